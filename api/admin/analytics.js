@@ -0,0 +1,33 @@
+// /api/admin/analytics.js — Vercel serverless (Node.js runtime)
+// GET /api/admin/analytics[?days=30] — dashboard aggregates (ADMIN_TOKEN); set ANALYTICS_STORE=redis, /tmp is per instance
+export const config = { runtime: "nodejs" };
+
+import { adminEnabled, isAdminRequest } from "../../lib/admin-auth.js";
+import { getTurnStore, summarizeTurns } from "../../lib/analytics.js";
+
+export default async function handler(req, res) {
+  /* ---------- CORS + preflight ---------- */
+  const origin = req.headers.origin || "*";
+  res.setHeader("Access-Control-Allow-Origin", origin);
+  res.setHeader("Access-Control-Allow-Credentials", "true");
+  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization, X-Admin-Token");
+  res.setHeader("Cache-Control", "no-store");
+
+  if (req.method === "OPTIONS") return res.status(204).end();
+  if (req.method !== "GET") {
+    res.setHeader("Allow", ["GET", "OPTIONS"]);
+    return res.status(405).json({ ok: false, error: "Method Not Allowed" });
+  }
+
+  if (!adminEnabled()) return res.status(503).json({ error: "Admin API disabled (set ADMIN_TOKEN)" });
+  if (!isAdminRequest(req)) return res.status(401).json({ error: "Unauthorized" });
+
+  try {
+    const days = Math.max(1, Math.min(365, parseInt(req.query?.days || "30", 10) || 30));
+    return res.status(200).json(summarizeTurns(await getTurnStore().all(), { days }));
+  } catch (err) {
+    console.error("analytics error:", err);
+    return res.status(500).json({ ok: false, error: "Analytics store unavailable" });
+  }
+}
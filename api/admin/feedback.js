@@ -0,0 +1,47 @@
+// /api/admin/feedback.js — Vercel serverless (Node.js runtime)
+// GET /api/admin/feedback[?rating=down|up|all&format=csv&limit=&since=] — rated answers (ADMIN_TOKEN)
+// GET /api/admin/feedback/chunks                                         — per-chunk up / down votes and retrieval weight
+// (vercel.json rewrites /api/admin/feedback/chunks to ?view=chunks)
+export const config = { runtime: "nodejs" };
+
+import { adminEnabled, isAdminRequest } from "../../lib/admin-auth.js";
+import { getFeedbackStore, listFeedback, feedbackCsv, chunkReport } from "../../lib/feedback.js";
+import { getVectorIndex } from "../../lib/vectors.js";
+
+export default async function handler(req, res) {
+  /* ---------- CORS + preflight ---------- */
+  const origin = req.headers.origin || "*";
+  res.setHeader("Access-Control-Allow-Origin", origin);
+  res.setHeader("Access-Control-Allow-Credentials", "true");
+  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization, X-Admin-Token");
+  res.setHeader("Cache-Control", "no-store");
+
+  if (req.method === "OPTIONS") return res.status(204).end();
+  if (req.method !== "GET") {
+    res.setHeader("Allow", ["GET", "OPTIONS"]);
+    return res.status(405).json({ ok: false, error: "Method Not Allowed" });
+  }
+
+  if (!adminEnabled()) return res.status(503).json({ error: "Admin API disabled (set ADMIN_TOKEN)" });
+  if (!isAdminRequest(req)) return res.status(401).json({ error: "Unauthorized" });
+
+  try {
+    const q = req.query || {};
+    const records = await getFeedbackStore().all();
+    if (q.view === "chunks") {
+      const chunks = chunkReport(records, getVectorIndex().vectors);
+      return res.status(200).json({ count: chunks.length, chunks });
+    }
+
+    const rating = ["up", "down", "all"].includes(q.rating) ? q.rating : "down";
+    const rows = listFeedback(records, { rating, limit: q.limit, since: q.since });
+    if (q.format !== "csv") return res.status(200).json({ count: rows.length, feedback: rows });
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="feedback-${rating}.csv"`);
+    return res.status(200).send(feedbackCsv(rows));
+  } catch (err) {
+    console.error("feedback export error:", err);
+    return res.status(500).json({ ok: false, error: "Feedback store unavailable" });
+  }
+}
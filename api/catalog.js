@@ -0,0 +1,37 @@
+// /api/catalog.js — Vercel serverless (Node.js runtime)
+// GET /api/catalog[?family=&heads=&needles=&attachment=&q=]  and  GET /api/catalog/:model
+// (vercel.json rewrites /api/catalog/<model> to ?model=<model>)
+export const config = { runtime: "nodejs" };
+
+import { getCatalog } from "../lib/catalog-store.js";
+import { filterCatalog, publicEntry } from "../lib/catalog.js";
+
+export default async function handler(req, res) {
+  /* ---------- CORS + preflight ---------- */
+  const origin = req.headers.origin || "*";
+  res.setHeader("Access-Control-Allow-Origin", origin);
+  res.setHeader("Access-Control-Allow-Credentials", "true");
+  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, X-Session-ID");
+  res.setHeader("Cache-Control", "no-store");
+
+  if (req.method === "OPTIONS") return res.status(204).end();
+  if (req.method !== "GET") {
+    res.setHeader("Allow", ["GET", "OPTIONS"]);
+    return res.status(405).json({ ok: false, error: "Method Not Allowed" });
+  }
+
+  const catalog = getCatalog();
+  const model = req.query?.model;
+
+  /* ---------- Single model ---------- */
+  if (model) {
+    const entry = catalog.find(String(model));
+    if (!entry) return res.status(404).json({ error: `Unknown model "${model}"` });
+    return res.status(200).json(publicEntry(entry, { full: true }));
+  }
+
+  /* ---------- Listing ---------- */
+  const models = filterCatalog(catalog.models, req.query || {});
+  return res.status(200).json({ count: models.length, updatedAt: catalog.updatedAt, models: models.map((m) => publicEntry(m)) });
+}
@@ -0,0 +1,48 @@
+// /api/feedback.js — Vercel serverless (Node.js runtime)
+// POST /api/feedback { messageId, rating: "up" | "down", comment? } — rates an answer of this session
+// (set FEEDBACK_STORE=redis, /tmp is per instance)
+export const config = { runtime: "nodejs" };
+
+import { v4 as uuidv4 } from "uuid";
+import { getSessionStore, openSession, readSessionId } from "../lib/session-store.js";
+import { recordFeedback } from "../lib/feedback.js";
+
+// Same persistent store as /api/ask and server.mjs (SESSION_STORE)
+const SESSIONS = getSessionStore();
+
+export default async function handler(req, res) {
+  /* ---------- CORS + preflight ---------- */
+  const origin = req.headers.origin || "*";
+  res.setHeader("Access-Control-Allow-Origin", origin);
+  res.setHeader("Access-Control-Allow-Credentials", "true");
+  res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, X-Session-ID");
+  res.setHeader("Cache-Control", "no-store");
+
+  if (req.method === "OPTIONS") return res.status(204).end();
+  if (req.method !== "POST") {
+    res.setHeader("Allow", ["POST", "OPTIONS"]);
+    return res.status(405).json({ ok: false, error: "Method Not Allowed" });
+  }
+
+  /* ---------- Parse body safely ---------- */
+  let body = {};
+  try {
+    body = typeof req.body === "string" ? JSON.parse(req.body) : (req.body || {});
+  } catch {
+    return res.status(400).json({ ok: false, error: "Invalid JSON body" });
+  }
+
+  try {
+    const sessionId = readSessionId(req, body) || uuidv4();
+    const session = await openSession(SESSIONS, sessionId);
+    const { messageId, rating, comment } = body;
+    const record = await recordFeedback({ session, sessionId, messageId, rating, comment });
+    await SESSIONS.save(sessionId, session);
+    return res.status(201).json({ id: record.id, messageId: record.messageId, rating: record.rating });
+  } catch (err) {
+    const status = err?.status || 500;
+    if (status >= 500) console.error("feedback error:", err);
+    return res.status(status).json({ ok: false, error: err?.message || "Server error" });
+  }
+}
@@ -1,6 +1,10 @@
 // /api/health.js — Vercel serverless function (Node.js runtime)
+// Reports store settings that would make the other routes fail at load (it never creates a store itself)
 export const config = { runtime: "nodejs" };
 
+import { sessionStoreProblem } from "../lib/session-store.js";
+import { leadStoreProblem } from "../lib/leads.js";
+
 const BOT_NAME = process.env.BOT_NAME || "Duki";
 
 export default async function handler(req, res) {
@@ -20,9 +24,13 @@ export default async function handler(req, res) {
     return res.status(405).json({ ok: false, error: "Method Not Allowed" });
   }
 
+  // ---- Misconfiguration (every route that keeps sessions or leads would return 500) ----
+  const problems = [sessionStoreProblem(), leadStoreProblem()].filter(Boolean);
+
   // ---- Healthy response ----
-  return res.status(200).json({
-    ok: true,
+  return res.status(problems.length ? 503 : 200).json({
+    ok: !problems.length,
+    ...(problems.length ? { problems } : {}),
     service: "duki",
     bot: BOT_NAME,
     ts: Date.now(),
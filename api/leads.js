@@ -0,0 +1,69 @@
+// /api/leads.js — Vercel serverless (Node.js runtime)
+// POST /api/leads { name, phone, company?, city?, machine? }  — public (lead forms)
+// GET  /api/leads[?limit=&since=]  and  GET /api/leads/:id      — admin (ADMIN_TOKEN)
+// (vercel.json rewrites /api/leads/<id> to ?id=<id>; needs LEAD_STORE=redis, /tmp is per instance)
+export const config = { runtime: "nodejs" };
+
+import { v4 as uuidv4 } from "uuid";
+import { getSessionStore, openSession, readSessionId } from "../lib/session-store.js";
+import { adminEnabled, isAdminRequest } from "../lib/admin-auth.js";
+import { getLeadStore, saveLead, validateLead } from "../lib/leads.js";
+import { pickContact } from "../lib/contacts.js";
+
+// Same persistent store as /api/ask and server.mjs (SESSION_STORE)
+const SESSIONS = getSessionStore();
+// Created up front so a store that can't keep leads (LEAD_STORE other than redis) fails the deploy, not a lead
+const LEADS = getLeadStore();
+
+export default async function handler(req, res) {
+  /* ---------- CORS + preflight ---------- */
+  const origin = req.headers.origin || "*";
+  res.setHeader("Access-Control-Allow-Origin", origin);
+  res.setHeader("Access-Control-Allow-Credentials", "true");
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, X-Session-ID, Authorization, X-Admin-Token");
+  res.setHeader("Cache-Control", "no-store");
+
+  if (req.method === "OPTIONS") return res.status(204).end();
+
+  try {
+    /* ---------- Submit ---------- */
+    if (req.method === "POST") {
+      let body = {};
+      try {
+        body = typeof req.body === "string" ? JSON.parse(req.body) : (req.body || {});
+      } catch {
+        return res.status(400).json({ ok: false, error: "Invalid JSON body" });
+      }
+      const fields = validateLead(body);
+      const sessionId = readSessionId(req, body) || uuidv4();
+      const session = await openSession(SESSIONS, sessionId);
+      const handoff = pickContact({ question: fields.machine || "", session, city: fields.city });
+      const lead = await saveLead({ fields, session, sessionId, reason: "form", handoff });
+      await SESSIONS.save(sessionId, session);
+      return res.status(201).json({ id: lead.id, createdAt: lead.createdAt, handoff });
+    }
+
+    if (req.method !== "GET") {
+      res.setHeader("Allow", ["GET", "POST", "OPTIONS"]);
+      return res.status(405).json({ ok: false, error: "Method Not Allowed" });
+    }
+
+    /* ---------- Admin: list / one ---------- */
+    if (!adminEnabled()) return res.status(503).json({ error: "Admin API disabled (set ADMIN_TOKEN)" });
+    if (!isAdminRequest(req)) return res.status(401).json({ error: "Unauthorized" });
+
+    const id = req.query?.id;
+    if (id) {
+      const lead = await LEADS.get(String(id));
+      if (!lead) return res.status(404).json({ error: `Unknown lead "${id}"` });
+      return res.status(200).json(lead);
+    }
+    const leads = await LEADS.list({ limit: req.query?.limit, since: req.query?.since });
+    return res.status(200).json({ count: leads.length, leads });
+  } catch (err) {
+    const status = err?.status || 500;
+    if (status >= 500) console.error("leads error:", err);
+    return res.status(status).json({ ok: false, error: err?.message || "Server error" });
+  }
+}
@@ -0,0 +1,58 @@
+// /api/recommend.js — Vercel serverless (Node.js runtime)
+// Machine recommendation wizard (lib/recommend.js); same flow as the chat and server.mjs.
+//   GET  → current question          POST { answer } → next question or ranked models
+//   POST { restart: true }           POST { answers: { application, volume, heads, budget } } → ranked at once
+//   any POST may carry { language: "english" | "hinglish" | "hindi" | "auto" } (kept in the session)
+export const config = { runtime: "nodejs" };
+
+import { v4 as uuidv4 } from "uuid";
+import { getSessionStore, openSession, readSessionId } from "../lib/session-store.js";
+import { getCatalog } from "../lib/catalog-store.js";
+import { recommendRequest } from "../lib/recommend.js";
+import { resolveResponseMode } from "../lib/language.js";
+
+// Same persistent store as /api/ask and server.mjs (SESSION_STORE)
+const SESSIONS = getSessionStore();
+
+export default async function handler(req, res) {
+  /* ---------- CORS + preflight ---------- */
+  const origin = req.headers.origin || "*";
+  res.setHeader("Access-Control-Allow-Origin", origin);
+  res.setHeader("Access-Control-Allow-Credentials", "true");
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, X-Session-ID");
+  res.setHeader("Access-Control-Expose-Headers", "X-Session-ID");
+  res.setHeader("Cache-Control", "no-store");
+
+  if (req.method === "OPTIONS") return res.status(204).end();
+  if (req.method !== "GET" && req.method !== "POST") {
+    res.setHeader("Allow", ["GET", "POST", "OPTIONS"]);
+    return res.status(405).json({ ok: false, error: "Method Not Allowed" });
+  }
+
+  /* ---------- Parse body safely ---------- */
+  let body = {};
+  if (req.method === "POST") {
+    try {
+      body = typeof req.body === "string" ? JSON.parse(req.body) : (req.body || {});
+    } catch {
+      return res.status(400).json({ ok: false, error: "Invalid JSON body" });
+    }
+  }
+
+  /* ---------- Session ---------- */
+  const sessionId = readSessionId(req, body) || uuidv4();
+  res.setHeader("X-Session-ID", sessionId);
+
+  try {
+    const session = await openSession(SESSIONS, sessionId);
+    const mode = resolveResponseMode(session, String(body.answer ?? ""), body.language);
+    const out = recommendRequest(session, body, { mode, models: getCatalog().models });
+    await SESSIONS.save(sessionId, session);
+    return res.status(200).json({ sessionId, ...out });
+  } catch (err) {
+    if (err?.status) return res.status(err.status).json({ ok: false, error: err.message }); // e.g. unknown `language`
+    console.error("recommend error:", err);
+    return res.status(500).json({ ok: false, error: "Session store unavailable" });
+  }
+}
@@ -1,9 +1,11 @@
 // /api/reset.js — Vercel serverless (Node.js runtime)
 export const config = { runtime: "nodejs" };
 
-// Keep a per-cold-start in-memory session cache (safe on serverless)
-const SESSIONS =
-  globalThis.__DUKEJIA_SESSIONS__ ?? (globalThis.__DUKEJIA_SESSIONS__ = new Map());
+import { v4 as uuidv4 } from "uuid";
+import { getSessionStore, readSessionId } from "../lib/session-store.js";
+
+// Same persistent store as /api/ask and server.mjs (SESSION_STORE)
+const SESSIONS = getSessionStore();
 
 const BOT_NAME = process.env.BOT_NAME || "Duki";
 
@@ -30,24 +32,22 @@ export default async function handler(req, res) {
     body = {};
   }
 
-  /* ---------- Extract session ID ---------- */
-  const cookie = req.headers.cookie || "";
-  const fromCookie =
-    cookie.match(/(?:^|;\s*)sid=([^;]+)/)?.[1] ||
-    cookie.match(/(?:^|;\s*)dukejia_sid=([^;]+)/)?.[1] ||
-    cookie.match(/(?:^|;\s*)hca_sid=([^;]+)/)?.[1];
-
-  const sid =
-    body.sessionId ||
-    req.headers["x-session-id"] ||
-    fromCookie ||
-    "anon";
+  /* ---------- Extract session ID (none = a new visitor, nothing to clear) ---------- */
+  const sid = readSessionId(req, body) || uuidv4();
 
-  /* ---------- Reset in-memory session ---------- */
+  /* ---------- Clear history (session itself is kept, as in server.mjs) ---------- */
   try {
-    SESSIONS.delete(String(sid));
-  } catch {
-    // ignore
+    const sess = await SESSIONS.get(sid);
+    if (sess) {
+      sess.history = [];
+      delete sess.wizard;
+      delete sess.lead;
+      sess.lastSeen = Date.now();
+      await SESSIONS.save(sid, sess);
+    }
+  } catch (err) {
+    console.error("reset error:", err);
+    return res.status(500).json({ ok: false, error: "Session store unavailable" });
   }
 
   // Optional: clear cookie for client
@@ -1,12 +1,13 @@
 // /api/session.js — Vercel serverless (Node.js runtime)
 export const config = { runtime: "nodejs" };
 
-// Shared in-memory map per cold start (serverless-safe).
-// Prefer Dukejia map; fall back to legacy HCA map if present.
-const SESSIONS =
-  globalThis.__DUKEJIA_SESSIONS__ ??
-  globalThis.__HCA_SESSIONS__ ??
-  (globalThis.__DUKEJIA_SESSIONS__ = new Map());
+import { v4 as uuidv4 } from "uuid";
+import { getSessionStore, openSession, readSessionId } from "../lib/session-store.js";
+import { SUGGESTIONS } from "../lib/config.js";
+import { starterSuggestions } from "../lib/smalltalk.js";
+
+// Same persistent store as /api/ask and server.mjs (SESSION_STORE)
+const SESSIONS = getSessionStore();
 
 const BOT_NAME = process.env.BOT_NAME || "Duki";
 
@@ -17,6 +18,7 @@ export default async function handler(req, res) {
   res.setHeader("Access-Control-Allow-Credentials", "true");
   res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
   res.setHeader("Access-Control-Allow-Headers", "Content-Type, X-Session-ID");
+  res.setHeader("Access-Control-Expose-Headers", "X-Session-ID");
   res.setHeader("Cache-Control", "no-store");
 
   if (req.method === "OPTIONS") return res.status(204).end();
@@ -25,20 +27,19 @@ export default async function handler(req, res) {
     return res.status(405).json({ ok: false, error: "Method Not Allowed" });
   }
 
-  /* ---------- Extract session ID (header or cookies) ---------- */
-  const cookie = req.headers.cookie || "";
-  const cookieSid =
-    cookie.match(/(?:^|;\s*)sid=([^;]+)/)?.[1] ||
-    cookie.match(/(?:^|;\s*)dukejia_sid=([^;]+)/)?.[1] ||
-    cookie.match(/(?:^|;\s*)hca_sid=([^;]+)/)?.[1];
-
-  const sid =
-    req.headers["x-session-id"] ||
-    cookieSid ||
-    "anon";
-
-  /* ---------- Read session safely ---------- */
-  const sess = SESSIONS.get(String(sid)) || {};
+  /* ---------- Extract session ID (header, query or cookies); a new visitor gets a fresh one ---------- */
+  const sid = readSessionId(req, {}) || uuidv4();
+  res.setHeader("X-Session-ID", sid);
+
+  /* ---------- Read session (counts as a visit, like server.mjs) ---------- */
+  let sess;
+  try {
+    sess = await openSession(SESSIONS, sid);
+    await SESSIONS.save(sid, sess);
+  } catch (err) {
+    console.error("session error:", err);
+    return res.status(500).json({ ok: false, error: "Session store unavailable" });
+  }
   const history = Array.isArray(sess.history) ? sess.history : [];
 
   /* ---------- Response ---------- */
@@ -51,6 +52,8 @@ export default async function handler(req, res) {
     createdAt: sess.createdAt || null,
     lastSeen: sess.lastSeen || null,
     hits: sess.hits || 0,
+    language: sess.language || "auto",
+    suggestions: SUGGESTIONS ? starterSuggestions(sess.language || "english") : [],
     env: process.env.VERCEL_ENV || "production",
   });
 }
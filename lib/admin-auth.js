@@ -0,0 +1,31 @@
+// lib/admin-auth.js — Shared-secret auth for admin endpoints (ADMIN_TOKEN)
+//
+// Send `Authorization: Bearer <ADMIN_TOKEN>` (or `X-Admin-Token: <ADMIN_TOKEN>`).
+// Without ADMIN_TOKEN configured, every admin endpoint is disabled.
+import crypto from "crypto";
+
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || "";
+
+export function adminEnabled() {
+  return ADMIN_TOKEN.length > 0;
+}
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+export function isAdminRequest(req) {
+  if (!adminEnabled()) return false;
+  const auth = String(req.headers?.authorization || "");
+  const token = auth.startsWith("Bearer ") ? auth.slice(7).trim() : req.headers?.["x-admin-token"];
+  return !!token && safeEqual(token, ADMIN_TOKEN);
+}
+
+/** Express middleware */
+export function requireAdmin(req, res, next) {
+  if (!adminEnabled()) return res.status(503).json({ error: "Admin API disabled (set ADMIN_TOKEN)" });
+  if (!isAdminRequest(req)) return res.status(401).json({ error: "Unauthorized" });
+  next();
+}
@@ -0,0 +1,225 @@
+// lib/analytics.js — Per-turn logs and the /admin dashboard aggregates
+//
+// lib/core.js records one structured line per /api/ask turn:
+//   query, rewritten query, mode, kind, small-talk kind, top retrieval scores
+//   (chunk, source, page, cosine, BM25, fused), the MIN_OK_SCORE fallback and
+//   "contact sales" flags, cited sources and latency.
+// summarizeTurns() turns those lines into what the dashboard shows: top questions,
+// clusters of unanswered questions, fallback rate per day and per-source hits.
+//
+// Answers typed into the in-chat lead form (name, phone, …) are logged as "[lead form]":
+// personal data stays in the lead store.
+//
+// Store (ANALYTICS_STORE, lib/record-store.js): file (default, ANALYTICS_PATH) | redis | memory | off.
+// On Vercel the default is redis when REDIS_URL is set; a file / memory store there only warns.
+import os from "os";
+import path from "path";
+import { randomUUID } from "crypto";
+import { DATA_DIR } from "./config.js";
+import { lexicalTokens } from "./bm25.js";
+import { chunkId } from "./retrieval.js";
+import { isSalesFallback } from "./leads.js";
+import { createRecordStore, warnIfEphemeral } from "./record-store.js";
+
+const TOP_SCORES      = 5;      // retrieved chunks kept per turn
+const REDIS_MAX_TURNS = 50000;  // redis list is trimmed to the newest N
+const RECENT_TURNS    = 50;     // raw turns shown under the charts
+const CLUSTER_JACCARD = 0.5;    // unanswered questions sharing ≥ half their terms group together
+// Turns that asked the knowledge base something (not small talk, wizard / lead-form answers or errors)
+const QUESTION_KINDS = new Set(["rag", "fallback", "catalog", "comparison", "no-index", "price"]);
+export const LEAD_FORM_QUERY = "[lead form]";
+
+// Vercel only allows writes under /tmp, which is per instance (warnIfEphemeral says so at startup)
+const DEFAULT_ANALYTICS_PATH = process.env.VERCEL
+  ? path.join(os.tmpdir(), "dukejia-turns.jsonl")
+  : path.join(DATA_DIR, "turns.jsonl");
+
+/* ───────────────────────────── Store ──────────────────────────────── */
+export function createTurnStore(kind = process.env.ANALYTICS_STORE || (process.env.VERCEL && process.env.REDIS_URL ? "redis" : "file")) {
+  if (String(kind).toLowerCase() === "off") {
+    return { kind: "off", async add() {}, async all() { return []; }, async list() { return []; }, async get() { return null; } };
+  }
+  warnIfEphemeral(kind, "ANALYTICS_STORE");
+  return createRecordStore(kind, {
+    filePath: process.env.ANALYTICS_PATH ? path.resolve(process.env.ANALYTICS_PATH) : DEFAULT_ANALYTICS_PATH,
+    redisKey: process.env.ANALYTICS_REDIS_KEY || "dukejia:turns",
+    maxRecords: REDIS_MAX_TURNS,
+    label: "ANALYTICS_STORE",
+  });
+}
+
+export function getTurnStore() {
+  return (globalThis.__DUKEJIA_TURN_STORE__ ??= createTurnStore());
+}
+
+/* ───────────────────────────── Recording ──────────────────────────── */
+const round = (n) => (typeof n === "number" && Number.isFinite(n) ? Math.round(n * 10000) / 10000 : null);
+
+/**
+ * One log line for a turn.
+ * @param {object}   args
+ * @param {string}  [args.id]        the answer's messageId (feedback joins on it)
+ * @param {string}   args.question
+ * @param {object}  [args.result]     answerQuestion() result (absent when it threw)
+ * @param {object[]}[args.searches]   every retrieve() result of the turn ({ top, maxScore })
+ * @param {number}   args.latencyMs
+ * @param {string}  [args.sessionId]
+ * @param {Error}   [args.error]
+ * @param {boolean} [args.leadForm]   the message went to an open lead form / offer: the query is not stored
+ */
+export function turnRecord({ id = randomUUID(), question, result = null, searches = [], latencyMs, sessionId = null, error = null, leadForm = false }) {
+  const top = searches
+    .flatMap((s) => s.top.slice(0, TOP_SCORES))
+    .sort((a, b) => (b.fused ?? b.score) - (a.fused ?? a.score))
+    .slice(0, TOP_SCORES)
+    .map((c) => ({
+      chunk_id: chunkId(c),
+      source: c.source || null,
+      page: c.page ?? null,
+      score: round(c.score),
+      bm25: round(c.bm25),
+      fused: round(c.fused),
+      modelMatch: !!c.modelMatch,
+    }));
+  const maxScores = searches.map((s) => s.maxScore).filter(Number.isFinite);
+
+  return {
+    id,
+    createdAt: new Date().toISOString(),
+    sessionId,
+    query: leadForm ? LEAD_FORM_QUERY : String(question ?? "").slice(0, 500),
+    retrievalQuery: !leadForm && result?.retrievalQuery && result.retrievalQuery !== question ? result.retrievalQuery : null,
+    mode: result?.mode || null,
+    kind: error ? "error" : result?.kind || null,
+    smallTalk: result?.smallTalk || null,
+    maxScore: maxScores.length ? round(Math.max(...maxScores)) : null,
+    top,
+    fallback: result?.kind === "fallback",
+    salesContact: !!result && isSalesFallback(result.answer),
+    citedSources: [...new Set((result?.citations || []).map((c) => c.source).filter(Boolean))],
+    latencyMs,
+    ...(error ? { error: String(error.message || error).slice(0, 200) } : {}),
+  };
+}
+
+/** Fire-and-forget: analytics never fails or slows down an answer (not even a misconfigured ANALYTICS_STORE) */
+export function logTurn(record, store) {
+  const warn = (e) => console.warn("⚠️ Turn log failed:", e?.message || e);
+  try {
+    (store ?? getTurnStore()).add(record).catch(warn);
+  } catch (e) {
+    warn(e);
+  }
+}
+
+/* ───────────────────────────── Aggregates ─────────────────────────── */
+const normalizeQuestion = (q) => String(q || "").toLowerCase().replace(/[^\p{L}\p{N}+\s-]/gu, " ").replace(/\s+/g, " ").trim();
+
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  return sorted[Math.min(sorted.length - 1, Math.floor((p / 100) * sorted.length))];
+}
+
+function jaccard(a, b) {
+  let inter = 0;
+  for (const t of a) if (b.has(t)) inter++;
+  return inter / (a.size + b.size - inter || 1);
+}
+
+/** Greedy single-pass clustering on question terms; biggest clusters first */
+export function clusterQuestions(questions = [], threshold = CLUSTER_JACCARD) {
+  const clusters = [];
+  for (const q of questions) {
+    const terms = new Set(lexicalTokens(q));
+    if (!terms.size) continue;
+    const home = clusters.find((c) => jaccard(terms, c.terms) >= threshold);
+    if (home) {
+      home.count++;
+      for (const t of terms) home.termCounts.set(t, (home.termCounts.get(t) || 0) + 1);
+      if (home.examples.length < 5 && !home.examples.includes(q)) home.examples.push(q);
+    } else {
+      clusters.push({ terms, count: 1, termCounts: new Map([...terms].map((t) => [t, 1])), examples: [q] });
+    }
+  }
+  return clusters
+    .sort((a, b) => b.count - a.count)
+    .map((c) => ({
+      label: [...c.termCounts].sort((a, b) => b[1] - a[1]).slice(0, 4).map(([t]) => t).join(" "),
+      count: c.count,
+      examples: c.examples,
+    }));
+}
+
+/**
+ * Dashboard data for the turns of the last `days` days.
+ * @returns {{ from:string, to:string, totals:object, byKind:object, byMode:object, topQuestions:object[],
+ *             unanswered:object[], daily:object[], sources:object[], recent:object[] }}
+ */
+export function summarizeTurns(records = [], { days = 30, now = Date.now(), limit = 20 } = {}) {
+  const from = now - days * 24 * 60 * 60 * 1000;
+  const turns = records.filter((r) => Date.parse(r.createdAt) >= from);
+  const count = (key) => turns.reduce((m, r) => ((m[r[key] || "unknown"] = (m[r[key] || "unknown"] || 0) + 1), m), {});
+  const latencies = turns.map((r) => r.latencyMs).filter(Number.isFinite).sort((a, b) => a - b);
+
+  const answerable = turns.filter((r) => QUESTION_KINDS.has(r.kind));
+  const unanswered = answerable.filter((r) => r.fallback || r.salesContact);
+
+  // Top questions
+  const byQuestion = new Map();
+  for (const r of answerable) {
+    const key = normalizeQuestion(r.query);
+    if (!key) continue;
+    const e = byQuestion.get(key) || { question: r.query, count: 0, unanswered: 0 };
+    e.count++;
+    if (r.fallback || r.salesContact) e.unanswered++;
+    byQuestion.set(key, e);
+  }
+
+  // Fallback rate per day (UTC)
+  const daily = new Map();
+  for (const r of answerable) {
+    const day = r.createdAt.slice(0, 10);
+    const d = daily.get(day) || { day, turns: 0, fallbacks: 0, salesContact: 0, unanswered: 0 };
+    d.turns++;
+    if (r.fallback) d.fallbacks++;
+    if (r.salesContact) d.salesContact++;
+    if (r.fallback || r.salesContact) d.unanswered++;
+    daily.set(day, d);
+  }
+
+  // Per-source hits: retrieved at all / ranked first / cited in the answer
+  const sources = new Map();
+  const src = (name) => sources.get(name) || sources.set(name, { source: name, retrieved: 0, top1: 0, cited: 0 }).get(name);
+  for (const r of turns) {
+    for (const name of new Set((r.top || []).map((c) => c.source).filter(Boolean))) src(name).retrieved++;
+    if (r.top?.[0]?.source) src(r.top[0].source).top1++;
+    for (const name of r.citedSources || []) src(name).cited++;
+  }
+
+  return {
+    from: new Date(from).toISOString(),
+    to: new Date(now).toISOString(),
+    totals: {
+      turns: turns.length,
+      sessions: new Set(turns.map((r) => r.sessionId).filter(Boolean)).size,
+      answerable: answerable.length,
+      fallbacks: answerable.filter((r) => r.fallback).length,
+      salesContact: answerable.filter((r) => r.salesContact).length,
+      fallbackRate: answerable.length ? round(unanswered.length / answerable.length) : 0,
+      errors: turns.filter((r) => r.kind === "error").length,
+      latencyMs: { p50: percentile(latencies, 50), p95: percentile(latencies, 95) },
+    },
+    byKind: count("kind"),
+    byMode: count("mode"),
+    topQuestions: [...byQuestion.values()].sort((a, b) => b.count - a.count).slice(0, limit),
+    unanswered: clusterQuestions(unanswered.map((r) => r.query)).slice(0, limit),
+    daily: [...daily.values()]
+      .sort((a, b) => a.day.localeCompare(b.day))
+      .map((d) => ({ ...d, rate: round(d.unanswered / d.turns) })),
+    sources: [...sources.values()].sort((a, b) => b.retrieved - a.retrieved),
+    recent: turns.slice(-RECENT_TURNS).reverse().map((r) => ({
+      createdAt: r.createdAt, query: r.query, kind: r.kind, mode: r.mode,
+      maxScore: r.maxScore, topSource: r.top?.[0]?.source || null, latencyMs: r.latencyMs,
+    })),
+  };
+}
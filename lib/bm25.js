@@ -0,0 +1,72 @@
+// lib/bm25.js — Lexical (BM25) index over the chunk texts
+//
+// Built next to the embeddings (lib/ingest.js buildPayload) and stored in index.json
+// as `lexical`, aligned with `vectors` by position. Model ids are indexed as single
+// normalized tokens ("dy1206hc") so an exact model lookup can't be diluted into
+// "dy" + "1206hc".
+import { EN_STOPWORDS, HINGLISH_STOPWORDS, HINDI_STOPWORDS, PROTECTED_TOKENS } from "./text.js";
+import { extractModelIds } from "./model-ids.js";
+
+export const BM25_K1 = 1.2;
+export const BM25_B  = 0.75;
+export const LEXICAL_VERSION = 1;
+
+function isStopword(t) {
+  if (PROTECTED_TOKENS.has(t)) return false;
+  return EN_STOPWORDS.has(t) || HINGLISH_STOPWORDS.has(t) || HINDI_STOPWORDS.has(t);
+}
+
+/** Lowercased word tokens plus normalized model ids; stopwords dropped */
+export function lexicalTokens(text = "") {
+  const lower = String(text).toLowerCase();
+  const words = (lower.match(/[\p{L}\p{N}]+/gu) || []).filter((t) => !isStopword(t));
+  return [...words, ...extractModelIds(lower)];
+}
+
+/**
+ * @param {{ text_original?: string, text_cleaned?: string }[]} vectors
+ * @returns {{ version:number, k1:number, b:number, N:number, avgdl:number, df:Object<string,number>, docs:{ len:number, tf:Object<string,number>, models:string[] }[] }}
+ */
+export function buildLexicalIndex(vectors = []) {
+  const df = {};
+  let total = 0;
+  const docs = vectors.map((v) => {
+    const text = v.text_original || v.text_cleaned || "";
+    const tokens = lexicalTokens(text);
+    const tf = {};
+    for (const t of tokens) tf[t] = (tf[t] || 0) + 1;
+    for (const t of Object.keys(tf)) df[t] = (df[t] || 0) + 1;
+    total += tokens.length;
+    return { len: tokens.length, tf, models: extractModelIds(text) };
+  });
+  return {
+    version: LEXICAL_VERSION,
+    k1: BM25_K1,
+    b: BM25_B,
+    N: docs.length,
+    avgdl: docs.length ? total / docs.length : 0,
+    df,
+    docs,
+  };
+}
+
+/** Usable stored index for these vectors? (else rebuild at load) */
+export function isLexicalIndexFor(lexical, vectors = []) {
+  return lexical?.version === LEXICAL_VERSION && lexical.docs?.length === vectors.length;
+}
+
+/** BM25 score of every doc for `query` (array aligned with lexical.docs) */
+export function bm25Scores(lexical, query = "") {
+  const { k1, b, N, avgdl, df, docs } = lexical;
+  const terms = [...new Set(lexicalTokens(query))].filter((t) => df[t]);
+  return docs.map((d) => {
+    let score = 0;
+    for (const t of terms) {
+      const f = d.tf[t];
+      if (!f) continue;
+      const idf = Math.log(1 + (N - df[t] + 0.5) / (df[t] + 0.5));
+      score += idf * (f * (k1 + 1)) / (f + k1 * (1 - b + b * (d.len / (avgdl || 1))));
+    }
+    return score;
+  });
+}
@@ -0,0 +1,59 @@
+// lib/catalog-store.js — The live machine catalog (data/catalog.json): loading, hot reload, lookup
+import fs from "fs";
+import path from "path";
+import { CATALOG_PATH } from "./config.js";
+import { readJsonFile } from "./ingest.js";
+import { findCatalogEntry } from "./catalog.js";
+
+/** Same holder pattern as lib/vectors.js: readers go through `.models`, swaps replace the array */
+export function createCatalogStore(filePath = CATALOG_PATH) {
+  let catalog = null;
+
+  const store = {
+    get models() { return catalog?.models || []; },
+    get catalog() { return catalog; },
+    get updatedAt() { return catalog?.createdAt || null; },
+    /** (Re)load from disk; keeps the previous catalog when the file is missing or broken */
+    load() {
+      const next = readJsonFile(filePath);
+      if (!Array.isArray(next?.models)) {
+        console.warn(`⚠️ Catalog not found at ${filePath}. Run "npm run embed" first.`);
+        return false;
+      }
+      catalog = next;
+      return true;
+    },
+    swap(next) {
+      catalog = next && Array.isArray(next.models) ? next : catalog;
+    },
+    find(model) {
+      return findCatalogEntry(store.models, model);
+    },
+    /** Reload whenever `npm run embed` rewrites the file (long-running server only) */
+    watch() {
+      const base = path.basename(filePath);
+      try {
+        fs.watch(path.dirname(filePath), { persistent: false }, (_event, name) => {
+          if (name && name !== base) return;
+          if (fs.existsSync(filePath) && store.load()) console.log(`♻️  Reloaded catalog (${store.models.length} models)`);
+        });
+      } catch { /* ignore */ }
+      return store;
+    },
+  };
+  return store;
+}
+
+/** Loaded once per process / cold start; setCatalog() swaps in another store (scripts/check-flows.mjs) */
+export function getCatalog() {
+  if (!globalThis.__DUKEJIA_CATALOG__) {
+    const store = createCatalogStore();
+    if (store.load()) console.log(`📚 Loaded catalog (${store.models.length} models)`);
+    globalThis.__DUKEJIA_CATALOG__ = store;
+  }
+  return globalThis.__DUKEJIA_CATALOG__;
+}
+
+export function setCatalog(store) {
+  globalThis.__DUKEJIA_CATALOG__ = store;
+}
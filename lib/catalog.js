@@ -0,0 +1,427 @@
+// lib/catalog.js — Structured machine catalog extracted from the source PDFs
+//
+// The PDFs describe each machine in three shapes, trusted in this order:
+//   3  "Q. … technical specifications of <MODEL>?" followed by "Key: value" lines
+//   2  one-line summaries: "• DY-1201L - 12-needle, 1-head; up to 1200 rpm; 400×600 mm"
+//   1  prose answers in a Q&A section that is about exactly one model
+// Every source yields a list of facts { id, field, value, priority, page, text, chunk_id, … };
+// buildCatalog() merges the facts of all sources into one entry per model. Each field's
+// evidence keeps the locator of the chunk its line sits in (chunk_id, page, row, …),
+// so a catalog answer cites the same chunk a retrieved answer would.
+//
+// No config import here: scripts/embed.mjs loads .env itself and passes paths in.
+import { findModelIds, extractModelIds, normalizeModelId } from "./model-ids.js";
+import { pageAt } from "./ingest.js";
+
+export const CATALOG_VERSION = 1;
+
+export const CATALOG_FIELDS = ["heads", "needles", "max_speed_rpm", "area", "control", "attachments"];
+
+const ATTACHMENTS = [
+  ["cap frame", /\bcaps?\b/i],
+  ["tubular frame", /\btubular\b/i],
+  ["sequin", /\bsequins?\b/i],
+  ["bead", /\bbeads?\b/i],
+  ["cording", /\bcording\b/i],
+  ["coiling", /\bcoiling\b/i],
+  ["taping", /\btaping\b/i],
+  ["rhinestone", /\brhinestones?\b/i],
+  ["chenille", /\bchenille\b/i],
+  ["chainstitch", /\bchain[- ]?stitch/i],
+  ["perforation", /\bperforation|\bpunch(?:ing)?\b/i],
+];
+
+const CONTROL_RE = /\b(dahao|a18|cad-based|cnc|computeri[sz]ed)\b[^.\n]{0,24}?\bcontrol/i;
+
+/* ───────────────────────── Value parsers ───────────────────────── */
+const num = (s) => parseInt(String(s).replace(/[,\s]/g, ""), 10);
+
+function parseHeads(s) {
+  const mixed = s.match(/(\d{1,2})\s*\+\s*(\d{1,2})(?=\s*(?:\(|mixed|heads?\b|$))/i);
+  if (mixed) return num(mixed[1]) + num(mixed[2]);
+  if (/\bsingle[- ]head\b/i.test(s)) return 1;
+  const m = s.match(/^\s*(\d{1,2})\b/) || s.match(/\b(\d{1,2})[- ]heads?\b/i);
+  return m ? num(m[1]) : null;
+}
+
+function parseNeedles(s) {
+  if (/\bsingle[- ]needle\b/i.test(s)) return 1;
+  const m = s.match(/^\s*(\d{1,2})\b/) || s.match(/\b(\d{1,2})[- ]needles?\b/i);
+  return m ? num(m[1]) : null;
+}
+
+/** Highest rpm/spm figure in `s` ("600–1200 RPM" → 1200) */
+function parseSpeed(s) {
+  let best = null;
+  const n = String.raw`(\d{1,2},\d{3}|\d{3,4})`;
+  for (const m of s.matchAll(new RegExp(String.raw`${n}(?:\s*[–-]\s*${n})?\s*(?:rpm|spm|stitches per minute)`, "gi"))) {
+    const v = Math.max(num(m[1]), m[2] ? num(m[2]) : 0);
+    if (!best || v > best) best = v;
+  }
+  return best;
+}
+
+/** First "W × H mm" (or "W×H") figure, normalized to "W × H mm" */
+function parseArea(s) {
+  const m = s.match(/(\d{2,4})\s*[×x*]\s*(\d{2,4})(?:\s*[×x*]\s*(\d{2,4}))?\s*(?:mm)?/i);
+  if (!m) return null;
+  return `${[m[1], m[2], m[3]].filter(Boolean).join(" × ")} mm`;
+}
+
+/** In prose only a figure tied to the word "area" counts */
+function parseProseArea(s) {
+  const m = s.match(/\barea\b[^.;\n]{0,40}?(\d{2,4}\s*[×x*]\s*\d{2,4}(?:\s*[×x*]\s*\d{2,4})?\s*mm\b)/i);
+  return m ? parseArea(m[1]) : null;
+}
+
+function parseControl(s) {
+  const m = s.match(CONTROL_RE);
+  if (!m) return null;
+  const name = m[1].toLowerCase();
+  return name === "a18" || name === "cnc" ? name.toUpperCase() : name[0].toUpperCase() + name.slice(1);
+}
+
+function parseAttachments(s) {
+  return ATTACHMENTS.filter(([, re]) => re.test(s)).map(([label]) => label);
+}
+
+/** Facts from free text (summary lines, or prose with `prose: true`) */
+function factsFromText(s, { prose = false } = {}) {
+  const out = {
+    heads: parseHeadsLoose(s),
+    needles: parseNeedlesLoose(s),
+    max_speed_rpm: parseSpeed(s),
+    area: prose ? parseProseArea(s) : parseArea(s),
+    control: parseControl(s),
+    attachments: parseAttachments(s),
+  };
+  if (!out.attachments.length) out.attachments = null;
+  return out;
+}
+
+// In prose the count must be attached to the noun ("6-head", "12 needles")
+function parseHeadsLoose(s) {
+  const mixed = s.match(/\b(\d{1,2})\s*\+\s*(\d{1,2})\s*(?:\(|heads?\b|mixed)/i);
+  if (mixed) return num(mixed[1]) + num(mixed[2]);
+  if (/\bsingle[- ]head\b/i.test(s)) return 1;
+  const m = s.match(/\b(\d{1,2})[- ]heads?\b/i);
+  return m ? num(m[1]) : null;
+}
+
+function parseNeedlesLoose(s) {
+  if (/\bsingle[- ]needle\b/i.test(s)) return 1;
+  const m = s.match(/\b(\d{1,2})[- ]needles?\b/i);
+  return m ? num(m[1]) : null;
+}
+
+/* ───────────────────────── Spec keys ───────────────────────── */
+// "Key: value" line → catalog field (raw pairs from spec sections are also kept under `specs`)
+const SPEC_KEYS = [
+  ["needles", /^needles?(?: per (?:flat )?head)?$|^number of needles$/i, parseNeedles],
+  ["heads", /^heads?(?:\(s\))?$|^number of (?:tool |embroidery )?heads$/i, parseHeads],
+  ["max_speed_rpm", /speed/i, parseSpeed],
+  ["area", /area/i, parseArea],
+  ["control", /control/i, (v) => parseControl(`${v} control`)],
+];
+
+const KV_RE = /^\s*(?:\d+\.\s*|[•\-]\s*)?([A-Za-z][A-Za-z ()\/×-]{1,40}?)\s*:\s*(.+?)\s*$/;
+
+/* ───────────────────────── Extraction ───────────────────────── */
+/** Split into Q&A sections: [{ start, question, body }] (offsets into `text`) */
+function qaSections(text) {
+  const marks = [...text.matchAll(/(?:^|\n)\s*Q[.:]\s*/g)];
+  return marks.map((m, i) => {
+    const start = m.index + m[0].length;
+    const end = i + 1 < marks.length ? marks[i + 1].index : text.length;
+    const block = text.slice(start, end);
+    const qEnd = block.indexOf("?");
+    const cut = qEnd >= 0 && qEnd < 300 ? qEnd + 1 : Math.max(0, block.indexOf("\n"));
+    return { start, question: block.slice(0, cut).replace(/\s+/g, " ").trim(), body: block.slice(cut) };
+  });
+}
+
+const squash = (s) => String(s || "").replace(/\s+/g, " ").trim();
+const CHUNK_LOCATOR = ["kind", "row", "sheet", "section"];
+
+/**
+ * Finder for the chunk a fact's line was read from: the first chunk holding the whole line
+ * (or its opening words, for a line cut by a chunk boundary), else one on the same page
+ * naming the model.
+ */
+function chunkLocator(chunks = []) {
+  const rows = chunks.map((c) => ({ chunk: c, text: squash(c.text_original), ids: new Set(extractModelIds(c.text_original || "")) }));
+  return (id, page, line) => {
+    const head = line.slice(0, 60);
+    const hit = rows.find((r) => r.text.includes(line)) || rows.find((r) => r.text.includes(head))
+      || rows.find((r) => page != null && r.chunk.page != null && page >= r.chunk.page && page <= (r.chunk.page_end ?? r.chunk.page) && r.ids.has(id));
+    if (!hit) return {};
+    const { chunk } = hit;
+    const out = { chunk_id: chunk.chunk_id || `${chunk.source}#${chunk.chunk_index}` };
+    for (const key of CHUNK_LOCATOR) if (chunk[key] != null) out[key] = chunk[key];
+    return out;
+  };
+}
+
+/**
+ * Catalog facts from one source.
+ * @param {{ name: string, text: string, pageStarts?: number[] }} src
+ * @param {object}   [opts]
+ * @param {object[]} [opts.chunks]  the source's chunks (lib/ingest.js chunkSource), to record where each fact sits
+ * @returns {{ id: string, raw: string, field: string, value: any, priority: number, page: number|null, text: string, chunk_id?: string, kind?: string, row?: number, sheet?: string, section?: string }[]}
+ */
+export function extractCatalogFacts(src, { chunks = [] } = {}) {
+  const text = src.text || "";
+  const page = (offset) => (src.pageStarts?.length ? pageAt(src.pageStarts, offset) : null);
+  const locate = chunkLocator(chunks);
+  const facts = [];
+  const push = (model, field, value, priority, offset, line) => {
+    if (value == null || value === "" || (Array.isArray(value) && !value.length)) return;
+    const at = page(offset);
+    const squashed = squash(line);
+    facts.push({ id: model.id, raw: model.raw, field, value, priority, page: at, text: squashed, ...locate(model.id, at, squashed) });
+  };
+
+  // 3 / 1: Q&A sections about a single model
+  for (const sec of qaSections(text)) {
+    const models = findModelIds(sec.question);
+    const ids = new Set(models.map((m) => m.id));
+    if (ids.size !== 1) continue;
+    const model = models[0];
+    const isSpec = /specification/i.test(sec.question);
+
+    // "Key: value" lines
+    let offset = sec.start + sec.question.length;
+    for (const line of sec.body.split("\n")) {
+      const lineAt = text.indexOf(line, offset);
+      if (lineAt >= 0) offset = lineAt + line.length;
+      const kv = line.match(KV_RE);
+      if (!kv) continue;
+      const [, key, value] = kv;
+      if (isSpec) push(model, `spec:${key.trim()}`, value, 3, lineAt, line);
+      for (const [field, re, parse] of SPEC_KEYS) {
+        if (re.test(key.trim())) { push(model, field, parse(value), isSpec ? 3 : 2, lineAt, line); break; }
+      }
+    }
+
+    // Prose, only when the answer doesn't bring in other models
+    const bodyIds = extractModelIds(sec.body);
+    if (bodyIds.some((id) => !ids.has(id))) continue;
+    const found = factsFromText(sec.body, { prose: true });
+    for (const field of CATALOG_FIELDS) push(model, field, found[field], 1, sec.start, `${sec.question} ${sec.body}`.slice(0, 300));
+  }
+
+  // 2: summary lines that start with a model id
+  const lines = text.split("\n");
+  let offset = 0;
+  for (let i = 0; i < lines.length; i++) {
+    const lineAt = offset;
+    offset += lines[i].length + 1;
+    const head = lines[i].match(/^\s*(?:•\s*)?(.+)$/);
+    const models = findModelIds(head?.[1] || "");
+    if (!models.length || models[0].index !== 0) continue;
+    const rest = head[1].slice(models[0].raw.length);
+    if (!/^\s*(?:\([^)]*\)\s*)?[-–—:]\s+\S/.test(rest)) continue;
+
+    // The summary may wrap onto following lines
+    let entry = rest;
+    for (let j = i + 1; j < lines.length; j++) {
+      const next = lines[j].trim();
+      if (!next || /^(?:•|Q[.:]|\d+\.)/.test(next) || findModelIds(next)[0]?.index === 0) break;
+      entry += ` ${next}`;
+    }
+    const found = factsFromText(entry);
+    for (const field of CATALOG_FIELDS) push(models[0], field, found[field], 2, lineAt, `${models[0].raw}${entry}`);
+  }
+
+  return facts;
+}
+
+/* ───────────────────────── Merge ───────────────────────── */
+/** "DY-1201XL" → "DY-1201", "DY-915-120" → "DY-915", "DY-PE750×600" → "PE750", "HALO-100" → "HALO-100" */
+export function modelFamily(model) {
+  const dy = model.match(/^dy[-\s]?(\d{3,4})(?!\d)/i);
+  if (dy) return `DY-${dy[1]}`;
+  const m = model.toLowerCase().replace(/^dy[-\s]?/, "").match(/^([a-z]+)[-\s]?(\d+)/);
+  if (!m) return /sk[-\s]?d2/i.test(model) ? "SK-D2" : model.toUpperCase();
+  return m[1] === "pe" || m[1] === "cs" ? `${m[1].toUpperCase()}${m[2]}` : `${m[1].toUpperCase()}-${m[2]}`;
+}
+
+/** Most common spelling, upper-cased ("dy 1206h" / "DY-1206H" → "DY-1206H") */
+function displayName(raws) {
+  const counts = new Map();
+  for (const r of raws) {
+    const k = r.toUpperCase().replace(/\s+/g, "-");
+    counts.set(k, (counts.get(k) || 0) + 1);
+  }
+  return [...counts].sort((a, b) => b[1] - a[1] || a[0].length - b[0].length)[0][0];
+}
+
+/**
+ * @param {{ name: string, facts: object[] }[]} sources  in priority order (earlier wins ties)
+ * @returns {object[]} catalog entries, sorted by model
+ */
+export function mergeCatalogFacts(sources = []) {
+  const byId = new Map();
+  for (const src of sources) {
+    for (const f of src.facts || []) {
+      if (!byId.has(f.id)) byId.set(f.id, { raws: [], fields: {}, specs: {}, attachments: new Map(), sources: new Map() });
+      const e = byId.get(f.id);
+      e.raws.push(f.raw);
+      const evidence = { source: src.name, page: f.page, text: f.text, chunk_id: f.chunk_id ?? null };
+      for (const key of CHUNK_LOCATOR) if (f[key] != null) evidence[key] = f[key];
+
+      if (f.field.startsWith("spec:")) {
+        const key = f.field.slice(5);
+        if (!(key in e.specs)) e.specs[key] = f.value;
+      } else if (f.field === "attachments") {
+        for (const a of f.value) if (!e.attachments.has(a)) e.attachments.set(a, evidence);
+      } else {
+        // Votes per value; the winner is the highest priority, then the most repeated
+        const votes = (e.fields[f.field] ??= new Map());
+        const key = JSON.stringify(f.value);
+        const v = votes.get(key);
+        if (!v) votes.set(key, { value: f.value, priority: f.priority, count: 1, evidence });
+        else {
+          v.count++;
+          if (f.priority > v.priority) Object.assign(v, { priority: f.priority, evidence });
+        }
+      }
+      const sk = `${src.name}#${f.page ?? ""}`;
+      if (!e.sources.has(sk)) e.sources.set(sk, { source: src.name, page: f.page });
+    }
+  }
+
+  return [...byId].map(([id, e]) => {
+    const best = {};
+    for (const [field, votes] of Object.entries(e.fields)) {
+      best[field] = [...votes.values()].sort((a, b) => b.priority - a.priority || b.count - a.count)[0];
+    }
+    const get = (field) => best[field]?.value ?? null;
+    const evidence = {};
+    for (const [field, v] of Object.entries(best)) evidence[field] = v.evidence;
+    if (e.attachments.size) evidence.attachments = [...e.attachments.values()][0];
+    const model = displayName(e.raws);
+    return {
+      model,
+      id,
+      family: modelFamily(model),
+      heads: get("heads"),
+      needles: get("needles"),
+      max_speed_rpm: get("max_speed_rpm"),
+      area: get("area"),
+      control: get("control"),
+      attachments: ATTACHMENTS.map(([label]) => label).filter((label) => e.attachments.has(label)),
+      specs: e.specs,
+      sources: [...e.sources.values()],
+      evidence,
+    };
+  }).sort((a, b) => a.model.localeCompare(b.model, "en", { numeric: true }));
+}
+
+/** catalog.json payload: per-source facts (so one source can be replaced) + merged models */
+export function buildCatalog(sources = []) {
+  return {
+    version: CATALOG_VERSION,
+    createdAt: new Date().toISOString(),
+    sources: sources.map((s) => ({ name: s.name, sha256: s.sha256 || null, facts: s.facts })),
+    models: mergeCatalogFacts(sources),
+  };
+}
+
+/** Replace (or with facts=null, drop) one source's facts and re-merge */
+export function updateCatalog(catalog, { name, sha256, facts }) {
+  const rest = (catalog?.sources || []).filter((s) => s.name !== name);
+  return buildCatalog(facts ? [...rest, { name, sha256, facts }] : rest);
+}
+
+/* ───────────────────────── Lookup & answers ───────────────────────── */
+export function findCatalogEntry(models = [], query = "") {
+  const id = normalizeModelId(query);
+  return models.find((m) => m.id === id) || null;
+}
+
+/**
+ * /api/catalog filters (all optional, combined with AND):
+ *   family=DY-1201  heads=6  needles=12  attachment=sequin  q=<substring of the model name>
+ */
+export function filterCatalog(models = [], { family, heads, needles, attachment, q } = {}) {
+  const eqNum = (v, want) => want == null || want === "" || v === parseInt(want, 10);
+  return models.filter((m) =>
+    (!family || m.family.toLowerCase() === String(family).toLowerCase()) &&
+    eqNum(m.heads, heads) &&
+    eqNum(m.needles, needles) &&
+    (!attachment || m.attachments.includes(String(attachment).toLowerCase())) &&
+    (!q || m.id.includes(normalizeModelId(q)))
+  );
+}
+
+/** API shape; the per-field evidence (source text) only on the single-model endpoint */
+export function publicEntry(entry, { full = false } = {}) {
+  const { evidence, ...rest } = entry;
+  return full ? { ...rest, evidence } : rest;
+}
+
+export const FIELD_LABELS = {
+  heads: "Heads",
+  needles: "Needles (per head)",
+  max_speed_rpm: "Max speed",
+  area: "Embroidery area",
+  control: "Control system",
+  attachments: "Frames / attachments",
+};
+
+export function formatField(field, value) {
+  if (value == null || (Array.isArray(value) && !value.length)) return null;
+  if (field === "max_speed_rpm") return `${value} RPM`;
+  if (Array.isArray(value)) return value.join(", ");
+  return String(value);
+}
+
+// Which spec a question asks about ("all" = a full spec sheet)
+const ASKED_FIELDS = [
+  ["heads", /\bheads?\b|\bsir\b/i],
+  ["needles", /\bneedles?\b|\bniddles?\b|\bsui\b/i],
+  ["max_speed_rpm", /\bspeed\b|\brpm\b|\bspm\b|\bhow fast\b|\bstitches per minute\b/i],
+  ["area", /\barea\b|\bframe size\b|\bembroidery (?:size|field)\b|\bfield size\b/i],
+  ["control", /\bcontrol(?:ler)?(?: system| panel)?\b/i],
+  ["attachments", /\battachments?\b|\bframes?\b(?! size)/i],
+];
+/** Catalog fields a question asks about ("speed and area of …" → ["max_speed_rpm", "area"]) */
+export function askedSpecFields(question = "") {
+  return ASKED_FIELDS.filter(([, re]) => re.test(question)).map(([f]) => f);
+}
+
+const ALL_SPECS_RE = /\bspecs?\b|\bspecifications?\b|\btechnical details\b/i;
+// Anything that needs reasoning or several models goes to RAG (or the comparison flow)
+const NOT_A_LOOKUP_RE = /\b(?:why|compare|comparison|vs|versus|difference|better|best|price|cost|rate|kimat|kitne ka|recommend|suggest)\b/i;
+
+/**
+ * Deterministic answer for "<one model> + <spec>" questions, or null.
+ * @returns {{ entry: object, fields: string[], lines: { field:string, label:string, value:string }[] } | null}
+ */
+export function lookupSpecQuestion(models = [], question = "") {
+  const ids = extractModelIds(question);
+  if (ids.length !== 1 || NOT_A_LOOKUP_RE.test(question)) return null;
+  const entry = models.find((m) => m.id === ids[0]);
+  if (!entry) return null;
+
+  let fields = askedSpecFields(question);
+  if (!fields.length && ALL_SPECS_RE.test(question)) fields = CATALOG_FIELDS;
+  if (!fields.length) return null;
+
+  const lines = fields
+    .map((field) => ({ field, label: FIELD_LABELS[field], value: formatField(field, entry[field]) }))
+    .filter((l) => l.value);
+  // A specific field we don't have → let RAG try the prose
+  if (!lines.length || (fields !== CATALOG_FIELDS && lines.length < fields.length)) return null;
+  return { entry, fields, lines };
+}
+
+/** Spec sheet reply in the user's language; labels stay in English (spec vocabulary) */
+export function formatSpecAnswer({ entry, lines }, mode = "english") {
+  const many = lines.length > 1;
+  const intro = mode === "hinglish" ? `**${entry.model}** ki ${many ? "specifications" : "specification"}:`
+    : mode === "hindi" ? `**${entry.model}** ${many ? "के स्पेसिफिकेशन" : "का स्पेसिफिकेशन"}:`
+    : `Here ${many ? "are the specifications" : "is the specification"} for **${entry.model}**:`;
+  return [intro, ...lines.map((l) => `- ${l.label}: ${l.value}`)].join("\n");
+}
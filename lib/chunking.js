@@ -0,0 +1,257 @@
+// lib/chunking.js — Source text → chunk spans
+//
+//   CHUNK_STRATEGY=fixed (default) — CHUNK_SIZE character windows with CHUNK_OVERLAP
+//   CHUNK_STRATEGY=structure       — split at headings; keep paragraphs, list items, "Key: value" lines
+//                                    and table rows whole, and pack them into chunks of up to CHUNK_SIZE
+//                                    characters. Every chunk starts with the heading it belongs to (and
+//                                    the model heading above that), so a spec row never loses the model
+//                                    it describes.
+// Switching re-chunks every source, so chunk ids (and thumbs-down feedback on them) start over;
+// compare first: build both indexes and run `npm run eval -- --compare`.
+//
+// Headings recognised: "Q. …?" questions (the Q&A PDFs), markdown "#" lines, ALL-CAPS lines and
+// lines that are just a model id ("DY-1201L Technical Specifications"). Table rows are lines with
+// three or more cells separated by runs of spaces, as `pdftotext -layout` prints them.
+// CHUNK_OVERLAP only applies to a single block longer than CHUNK_SIZE, which is cut in windows.
+import { findModelIds } from "./model-ids.js";
+
+export const CHUNK_STRATEGIES = ["structure", "fixed"];
+export const CHUNK_STRATEGY = (process.env.CHUNK_STRATEGY || "fixed").toLowerCase();
+
+/* ───────────────────────────── Fixed ────────────────────────────────── */
+/** Fixed-size windows with overlap → [{ text, start, end }] (offsets into `text`) */
+export function fixedSpans(text, size, overlap) {
+  const spans = [];
+  let start = 0;
+  while (start < text.length) {
+    const end = Math.min(start + size, text.length);
+    const chunk = text.slice(start, end).trim();
+    if (chunk) spans.push({ text: chunk, start, end });
+    if (end === text.length) break;
+    start = Math.max(0, end - overlap);
+  }
+  return spans;
+}
+
+/* ───────────────────────────── Blocks ───────────────────────────────── */
+const QUESTION_RE = /^Q\s*\d{0,3}\s*[.:)]\s*\S/i;
+const MARKDOWN_RE = /^(#{1,6})\s+(.+?)\s*#*$/;
+const ITEM_RE     = /^(?:[•●▪◦‣*–-]|\d{1,2}[.)]|[a-z][.)])\s+\S/;
+const KEY_VALUE_RE = /^[\p{L}][^:]{0,40}:\s+\S/u;
+
+/** Layout table row: three or more short cells separated by runs of spaces */
+function isTableRow(line) {
+  const cells = line.trim().split(/\s{2,}|\t+/);
+  return cells.length >= 3 && cells.every((c) => c.length <= 40);
+}
+
+/** ALL-CAPS title: mostly letters, at least 4 of them, no sentence punctuation at the end */
+function isCapsTitle(line) {
+  if (line.length > 80 || /[.,;]$/.test(line) || /[a-z]/.test(line)) return false;
+  const letters = (line.match(/\p{Lu}/gu) || []).length;
+  return letters >= 4 && letters / line.replace(/\s/g, "").length >= 0.6;
+}
+
+/** A line that opens with a model id and is only a title ("DY-1201L", "DY-1206H Technical Specifications") */
+function isModelTitle(line) {
+  const id = findModelIds(line)[0];
+  if (id?.index !== 0 || /[:.,;]$/.test(line)) return false;
+  const rest = line.slice(id.raw.length).trim().split(/\s+/).filter(Boolean);
+  return rest.length <= 4 && rest.every((w) => /^[\p{Lu}\d(]/u.test(w));
+}
+
+function headingLevel(line) {
+  const md = line.match(MARKDOWN_RE);
+  if (md) return md[1].length === 1 ? 1 : 2;
+  if (QUESTION_RE.test(line)) return 2;
+  if (ITEM_RE.test(line) || isTableRow(line)) return 0;
+  if (isCapsTitle(line) || isModelTitle(line)) return 1;
+  return 0;
+}
+
+/**
+ * Lines → blocks { type: "heading" | "item" | "row" | "para", level?, text, start, end }.
+ * Wrapped lines stay with their item / paragraph; a question heading keeps its wrapped lines
+ * and a trailing "Or …?" rephrasing.
+ */
+function toBlocks(text) {
+  const lines = [];
+  let offset = 0;
+  for (const raw of text.split("\n")) {
+    const lead = raw.length - raw.trimStart().length;
+    lines.push({ text: raw.trim(), start: offset + lead, end: offset + raw.trimEnd().length });
+    offset += raw.length + 1;
+  }
+
+  const blocks = [];
+  let open = null; // item or paragraph still taking wrapped lines
+  const push = (block) => { blocks.push(block); return block; };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (!line.text) { open = null; continue; }
+
+    const level = headingLevel(line.text);
+    if (level) {
+      const heading = push({ type: "heading", level, text: line.text.replace(MARKDOWN_RE, "$2"), start: line.start, end: line.end });
+      if (QUESTION_RE.test(line.text)) {
+        // "Q. … Embroidery\nseries?" and "Q. …?\nOr 1201 series of Duke Jia?"
+        while (i + 1 < lines.length && lines[i + 1].text && !headingLevel(lines[i + 1].text) && !ITEM_RE.test(lines[i + 1].text)) {
+          const next = lines[i + 1].text;
+          const wrapped = !/\?$/.test(heading.text) && [1, 2].some((d) => /\?$/.test(lines[i + d]?.text || ""));
+          if (!wrapped && !/^or\b.*\?$/i.test(next)) break;
+          heading.text += ` ${next}`;
+          heading.end = lines[++i].end;
+        }
+      }
+      open = null;
+      continue;
+    }
+
+    if (ITEM_RE.test(line.text)) {
+      open = push({ type: "item", text: line.text, start: line.start, end: line.end });
+      continue;
+    }
+
+    if (isTableRow(line.text) || KEY_VALUE_RE.test(line.text)) {
+      const prev = blocks[blocks.length - 1];
+      const table = isTableRow(line.text);
+      // Consecutive multi-column rows are one table; its first row is repeated when a chunk starts mid-table
+      const header = table && prev?.type === "row" && prev.table && prev.end === lines[i - 1]?.end ? prev.header : line.text;
+      push({ type: "row", table, header: table ? header : null, text: line.text, start: line.start, end: line.end });
+      open = null;
+      continue;
+    }
+
+    if (open) {
+      open.text += `\n${line.text}`;
+      open.end = line.end;
+      continue;
+    }
+    open = push({ type: "para", text: line.text, start: line.start, end: line.end });
+  }
+  return blocks;
+}
+
+/* ───────────────────────────── Structure ────────────────────────────── */
+/** Distinct model ids of `text`, as written */
+export function modelsIn(text) {
+  const seen = new Map();
+  for (const m of findModelIds(text)) if (!seen.has(m.id)) seen.set(m.id, m.raw);
+  return [...seen.values()];
+}
+
+/**
+ * Blocks → sections { heading, context, models, blocks, start, end }.
+ * `context` is the heading line, preceded by the level-1 heading above it when only that
+ * one names the model; `models` are the model ids of that context.
+ */
+function toSections(blocks) {
+  const sections = [];
+  let title = null;
+  let current = null;
+  const open = (heading) => {
+    const own = modelsIn(heading?.text || "");
+    const inherited = !own.length && title && title !== heading ? modelsIn(title.text) : [];
+    current = {
+      heading,
+      context: [...(inherited.length ? [title.text] : []), ...(heading ? [heading.text] : [])],
+      models: own.length ? own : inherited,
+      blocks: [],
+      start: heading?.start ?? null,
+      end: heading?.end ?? null,
+    };
+    sections.push(current);
+  };
+
+  for (const block of blocks) {
+    if (block.type === "heading") {
+      if (block.level === 1) title = block;
+      open(block);
+      continue;
+    }
+    if (!current) open(null);
+    current.blocks.push(block);
+    current.start ??= block.start;
+    current.end = block.end;
+  }
+  return sections.filter((s) => s.blocks.length);
+}
+
+/**
+ * Heading-aware chunks → [{ text, start, end, section?, models? }].
+ * Consecutive sections about the same models (or none) are packed together up to `size`; a longer section is split between
+ * blocks, and every piece starts with the section's headings (and the header row of a
+ * table it starts in). `section` is the first heading in the chunk, `models` the model
+ * ids of all its sections.
+ */
+export function structureSpans(text, size, overlap) {
+  const spans = [];
+  let chunk = null;
+
+  const flush = () => {
+    if (!chunk) return;
+    const section = chunk.sections.find((s) => s.heading)?.heading.text;
+    const models = [...new Set(chunk.sections.flatMap((s) => s.models))];
+    spans.push({
+      text: chunk.lines.join("\n"),
+      start: chunk.start,
+      end: chunk.end,
+      ...(section ? { section } : {}),
+      ...(models.length ? { models } : {}),
+    });
+    chunk = null;
+  };
+  const add = (section, lines, start, end) => {
+    chunk ??= { lines: [], length: -1, sections: [], start };
+    chunk.lines.push(...lines);
+    chunk.length += lines.reduce((n, l) => n + l.length + 1, 0);
+    chunk.end = end;
+    if (!chunk.sections.includes(section)) chunk.sections.push(section);
+  };
+  const fits = (length) => !chunk || chunk.length + 1 + length <= size;
+
+  for (const section of toSections(toBlocks(text))) {
+    const lines = [...section.context, ...section.blocks.map((b) => b.text)];
+    const length = lines.join("\n").length;
+    // Sections about different models never share a chunk
+    if (!fits(length) || (chunk && chunk.sections[0].models.join() !== section.models.join())) flush();
+    if (length <= size) {
+      add(section, lines, section.start, section.end);
+      continue;
+    }
+
+    // Longer than a chunk: split between blocks, each piece under the section's headings
+    flush();
+    const head = section.context.join("\n").length;
+    const window = Math.max(size - head - 1, Math.ceil(size / 2));
+    for (const block of section.blocks) {
+      const pieces = block.text.length <= window
+        ? [block]
+        : fixedSpans(block.text, window, Math.min(overlap, window >> 1))
+          .map((p) => ({ ...block, text: p.text, start: block.start + p.start, end: block.start + p.end }));
+      for (const piece of pieces) {
+        if (!fits(piece.text.length)) flush();
+        if (!chunk) {
+          const repeat = piece.type === "row" && piece.table && piece.header !== piece.text ? [piece.header] : [];
+          const first = section.blocks[0] === block && piece.start === block.start;
+          add(section, [...section.context, ...repeat], first ? section.start : piece.start, piece.start);
+        }
+        add(section, [piece.text], piece.start, piece.end);
+      }
+    }
+    flush();
+  }
+  flush();
+  return spans;
+}
+
+/* ───────────────────────────── Dispatch ─────────────────────────────── */
+/** Text → [{ text, start, end, section?, models? }] with the chosen strategy */
+export function chunkSpans(text, { strategy = CHUNK_STRATEGY, size, overlap }) {
+  switch (strategy) {
+    case "structure": return structureSpans(text, size, overlap);
+    case "fixed":     return fixedSpans(text, size, overlap);
+    default: throw new Error(`Unknown CHUNK_STRATEGY "${strategy}" (use ${CHUNK_STRATEGIES.join(" | ")})`);
+  }
+}
@@ -0,0 +1,110 @@
+// lib/citations.js — Retrieved chunks → customer-facing citations
+//
+// Each citation names the source document, the page the chunk starts on (or the
+// spreadsheet row / sheet it came from), the chunk id, and a short snippet with the
+// query terms in **bold**. PDF citations also link to the PDF at that page (served
+// from /data); other source kinds (lib/loaders) are not served, so `url` is null.
+import { EN_STOPWORDS, HINGLISH_STOPWORDS, HINDI_STOPWORDS } from "./text.js";
+
+const SNIPPET_CHARS = parseInt(process.env.CITATION_SNIPPET_CHARS || "220", 10);
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/** Distinct query terms worth highlighting (no stopwords, no 1–2 letter noise unless numeric) */
+export function queryTerms(query = "") {
+  const terms = new Set();
+  for (const t of String(query).toLowerCase().match(/[\p{L}\p{N}][\p{L}\p{N}+.-]*/gu) || []) {
+    const term = t.replace(/[.-]+$/, "");
+    if (EN_STOPWORDS.has(term) || HINGLISH_STOPWORDS.has(term) || HINDI_STOPWORDS.has(term)) continue;
+    if (term.length >= 3 || /\d/.test(term)) terms.add(term);
+  }
+  return [...terms].sort((a, b) => b.length - a.length);
+}
+
+/** Window of `maxChars` around the densest cluster of term hits, with hits in **bold** */
+export function makeSnippet(text = "", terms = [], maxChars = SNIPPET_CHARS) {
+  const flat = String(text).replace(/\s+/g, " ").trim();
+  const re = terms.length ? new RegExp(`(?<![\\p{L}\\p{N}])(${terms.map(escapeRe).join("|")})(?![\\p{L}\\p{N}])`, "giu") : null;
+
+  // Score each hit as a window start: distinct terms first, then total hits
+  let start = 0;
+  if (re && flat.length > maxChars) {
+    const hits = [...flat.matchAll(re)].map((m) => ({ at: m.index, term: m[1].toLowerCase() }));
+    let best = -1;
+    for (const h of hits) {
+      const inWindow = hits.filter((o) => o.at >= h.at && o.at < h.at + maxChars);
+      const score = new Set(inWindow.map((o) => o.term)).size * 100 + inWindow.length;
+      if (score > best) { best = score; start = h.at; }
+    }
+    // A little leading context, snapped to a word boundary
+    start = Math.max(0, start - 40);
+    if (start > 0) start = flat.indexOf(" ", start) + 1 || start;
+  }
+
+  let snippet = flat.slice(start, start + maxChars);
+  if (start + maxChars < flat.length) snippet = snippet.replace(/\s+\S*$/, "");
+  if (re) snippet = snippet.replace(re, "**$1**");
+  return `${start > 0 ? "…" : ""}${snippet}${start + maxChars < flat.length ? "…" : ""}`;
+}
+
+/** PDF link under /data, opened at the chunk's page; null for sources that aren't PDFs */
+export function sourceUrl(source, page) {
+  if (!/\.pdf$/i.test(source || "")) return null;
+  return `/data/${encodeURIComponent(source)}${page ? `#page=${page}` : ""}`;
+}
+
+/**
+ * @param {object[]} chunks  retrieved vectors with `score` (best first)
+ * @param {string}   query   the (rewritten) retrieval query, for highlighting
+ * @returns {{ idx:number, score:number, source:string, kind:string|null, page:number|null, page_end:number|null, row:number|null, sheet:string|null, section:string|null, chunk_id:string, snippet:string, url:string|null }[]}
+ */
+export function buildCitations(chunks = [], query = "") {
+  const terms = queryTerms(query);
+  return chunks.map((c, i) => ({
+    idx: i + 1,
+    score: c.score,
+    source: c.source,
+    kind: c.kind ?? null,
+    page: c.page ?? null,
+    page_end: c.page_end ?? c.page ?? null,
+    row: c.row ?? null,
+    sheet: c.sheet ?? null,
+    section: c.section ?? null,
+    chunk_id: c.chunk_id || `${c.source}#${c.chunk_index}`,
+    snippet: makeSnippet(c.text_original || c.text_cleaned || "", terms),
+    url: sourceUrl(c.source, c.page),
+  }));
+}
+
+/**
+ * Citations for a catalog answer: the line each reported field was read from, located by the
+ * chunk recorded in the catalog evidence (lib/catalog.js) — same shape as buildCitations().
+ * Catalogs built before evidence carried a chunk give `chunk_id: null`.
+ */
+export function buildCatalogCitations({ entry, lines }, query = "") {
+  const terms = queryTerms(query);
+  const seen = new Set();
+  const out = [];
+  for (const { field } of lines) {
+    const ev = entry.evidence?.[field];
+    if (!ev?.source) continue;
+    const key = `${ev.source}|${ev.page}|${ev.text}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    out.push({
+      idx: out.length + 1,
+      score: 1,
+      source: ev.source,
+      kind: ev.kind ?? null,
+      page: ev.page ?? null,
+      page_end: ev.page ?? null,
+      row: ev.row ?? null,
+      sheet: ev.sheet ?? null,
+      section: ev.section ?? null,
+      chunk_id: ev.chunk_id ?? null,
+      snippet: makeSnippet(ev.text, terms),
+      url: sourceUrl(ev.source, ev.page),
+    });
+  }
+  return out;
+}
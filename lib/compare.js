@@ -0,0 +1,123 @@
+// lib/compare.js — "Difference between X and Y" questions
+//
+// Detects comparison intent, resolves each named model against the catalog
+// ("DY-602" → DY-602+2, "DY-1201 vs 1201H" → DY-1201H) and builds the
+// side-by-side table returned as `comparison` from /api/ask.
+import { findModelIds, normalizeModelId } from "./model-ids.js";
+import { CATALOG_FIELDS, FIELD_LABELS, formatField } from "./catalog.js";
+
+const MAX_MODELS = 4;
+
+// English + Hinglish cues; a plain "or" ("DY-1201 or DY-1202?") is enough once two models are named.
+// "and" / "aur" is not: "does DY-1201 and DY-1202 support cap frames?" asks about both, not how they differ.
+const COMPARE_CUE_RE = /\b(?:vs\.?|versus|compare[ds]?|comparing|comparison|differences?|differ(?:ent|s)?|better|between|farak|fark|antar|mukabla)\b/i;
+const OR_CUE_RE = /\b(?:or|ya)\b/i;
+
+// Shorthand after a DY model: "DY-1201 vs 1201H"
+const BARE_DY_RE = /(?<![\p{L}\p{N}+-])(\d{3,4}(?:\+\d{1,2}[a-z]{0,3}|[a-z]{1,3})?)(?![\p{L}\p{N}])/giu;
+
+/** Catalog entry for an id: exact, else the shortest model it prefixes ("dy602" → "dy602+2") */
+export function resolveModel(models = [], id) {
+  const exact = models.find((m) => m.id === id);
+  if (exact) return exact;
+  return models
+    .filter((m) => m.id.startsWith(id) && !/^\d/.test(m.id.slice(id.length)))
+    .sort((a, b) => a.id.length - b.id.length)[0] || null;
+}
+
+/** Model mentions in order, including DY shorthand once a DY model has been named */
+function mentionedModels(question, models) {
+  const found = findModelIds(question);
+  if (found.some((m) => m.id.startsWith("dy"))) {
+    const taken = found.map((m) => [m.index, m.index + m.raw.length]);
+    for (const m of question.matchAll(BARE_DY_RE)) {
+      if (taken.some(([a, b]) => m.index >= a && m.index < b)) continue;
+      const id = normalizeModelId(`dy${m[1]}`);
+      // Only when it names a real model (not "1200 rpm")
+      if (models.some((e) => e.id === id)) found.push({ raw: m[0], id, index: m.index });
+    }
+  }
+  return found.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * @returns {{ ids: string[], labels: string[], entries: (object|null)[] } | null}
+ *   null unless the question names 2+ distinct models with a comparison cue
+ */
+export function detectComparison(question = "", models = []) {
+  const mentions = mentionedModels(question, models);
+  const byKey = new Map();
+  for (const m of mentions) {
+    const entry = resolveModel(models, m.id);
+    const key = entry?.id || m.id;
+    if (!byKey.has(key)) byKey.set(key, { id: key, label: entry?.model || m.raw.toUpperCase(), entry });
+  }
+  const picked = [...byKey.values()].slice(0, MAX_MODELS);
+  if (picked.length < 2) return null;
+  if (!COMPARE_CUE_RE.test(question) && !OR_CUE_RE.test(question)) return null;
+
+  return {
+    ids: picked.map((p) => p.id),
+    labels: picked.map((p) => p.label),
+    entries: picked.map((p) => p.entry),
+  };
+}
+
+/** Retrieval query for one model: the question with the other model names taken out */
+export function modelQuery(question = "", label = "") {
+  const rest = findModelIds(question)
+    .reverse()
+    .reduce((q, m) => q.slice(0, m.index) + q.slice(m.index + m.raw.length), question)
+    .replace(/\s+/g, " ")
+    .trim();
+  return `${label} ${rest}`.trim();
+}
+
+/**
+ * Side-by-side rows from the catalog; models missing from it show null.
+ * @returns {{ models: string[], rows: { field:string, label:string, values:(string|null)[], differs:boolean }[] }}
+ */
+export function buildComparisonTable({ labels, entries }) {
+  const rows = CATALOG_FIELDS
+    .map((field) => {
+      const values = entries.map((e) => (e ? formatField(field, e[field]) : null));
+      const known = values.filter(Boolean);
+      return { field, label: FIELD_LABELS[field], values, differs: new Set(known).size > 1 };
+    })
+    .filter((r) => r.values.some(Boolean));
+  return { models: labels, rows };
+}
+
+/** Plain-text differences, used when there's no index to ground an LLM answer */
+const SUMMARY_TEXT = {
+  english: {
+    title:   (names) => `Key differences: ${names}`,
+    same:    "- The listed specs are the same; see the table below.",
+    missing: (models) => `- No catalog specs for ${models}.`,
+  },
+  hinglish: {
+    title:   (names) => `${names} — mukhya antar:`,
+    same:    "- Listed specs same hain; details neeche table mein.",
+    missing: (models) => `- ${models} ki specs catalog mein nahi hain.`,
+  },
+  hindi: {
+    title:   (names) => `${names} — मुख्य अंतर:`,
+    same:    "- सूचीबद्ध स्पेसिफिकेशन एक जैसे हैं; विवरण नीचे तालिका में है।",
+    missing: (models) => `- ${models} के स्पेसिफिकेशन कैटलॉग में नहीं हैं।`,
+  },
+};
+
+export function formatComparisonSummary(table, mode = "english") {
+  const t = SUMMARY_TEXT[mode] || SUMMARY_TEXT.english;
+  const names = table.models.map((m) => `**${m}**`).join(" vs ");
+  const missing = table.models.filter((_, i) => table.rows.every((r) => !r.values[i]));
+  const diffs = table.rows.filter((r) => r.differs);
+
+  const lines = [t.title(names)];
+  for (const r of diffs) {
+    lines.push(`- ${r.label}: ${r.values.map((v, i) => `${table.models[i]} ${v || "—"}`).join(" · ")}`);
+  }
+  if (!diffs.length && !missing.length) lines.push(t.same);
+  if (missing.length) lines.push(t.missing(missing.join(", ")));
+  return lines.join("\n");
+}
@@ -0,0 +1,61 @@
+// lib/config.js — Runtime configuration shared by server.mjs, api/* and scripts/*
+import path from "path";
+import { fileURLToPath } from "url";
+
+/* ─────────────────────────── Paths ─────────────────────────── */
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const ROOT_DIR = path.resolve(__dirname, "..");
+export const DATA_DIR = path.join(ROOT_DIR, "data");
+export const EMB_PATH = process.env.OUT_PATH
+  ? path.resolve(ROOT_DIR, process.env.OUT_PATH)
+  : path.join(DATA_DIR, "index.json");
+export const CATALOG_PATH = process.env.CATALOG_PATH
+  ? path.resolve(ROOT_DIR, process.env.CATALOG_PATH)
+  : path.join(DATA_DIR, "catalog.json");
+export const CONTACTS_PATH = process.env.CONTACTS_PATH
+  ? path.resolve(ROOT_DIR, process.env.CONTACTS_PATH)
+  : path.join(DATA_DIR, "contacts.json");
+// Small-talk intents, phrases and replies (lib/smalltalk.js)
+export const INTENTS_PATH = process.env.INTENTS_PATH
+  ? path.resolve(ROOT_DIR, process.env.INTENTS_PATH)
+  : path.join(DATA_DIR, "intents.json");
+// Language-ID training sample (lib/langid.js)
+export const LANGID_PATH = process.env.LANGID_PATH
+  ? path.resolve(ROOT_DIR, process.env.LANGID_PATH)
+  : path.join(DATA_DIR, "langid", "train.json");
+
+/* ─────────────────────────── Models ─────────────────────────── */
+// Providers (lib/providers): gemini | openai (any OpenAI-compatible server) | mock
+export const LLM_PROVIDER       = (process.env.LLM_PROVIDER || "gemini").toLowerCase();
+export const EMBEDDING_PROVIDER = (process.env.EMBEDDING_PROVIDER || LLM_PROVIDER).toLowerCase();
+
+export const DEFAULT_MODELS = {
+  gemini: { generation: "gemini-2.5-flash", embedding: "text-embedding-004" },
+  openai: { generation: "gpt-4o-mini",      embedding: "text-embedding-3-small" },
+  mock:   { generation: "mock-extractive",  embedding: "mock-hash-256" },
+};
+
+export const GENERATION_MODEL = process.env.GENERATION_MODEL || DEFAULT_MODELS[LLM_PROVIDER]?.generation || "";
+export const EMBEDDING_MODEL  = process.env.EMBEDDING_MODEL  || DEFAULT_MODELS[EMBEDDING_PROVIDER]?.embedding || "";
+
+/* ─────────────────────────── Bot / Retrieval ─────────────────────────── */
+export const BOT_NAME     = process.env.BOT_NAME || "Duki";
+export const BRAND_NAME   = "Dukejia";
+export const TOP_K        = parseInt(process.env.TOP_K || "6", 10);
+export const MIN_OK_SCORE = parseFloat(process.env.MIN_OK_SCORE || "0.18");
+
+// Point-wise (bulleted) replies, default on
+export const POINTWISE_MODE  = process.env.POINTWISE_MODE !== "false";
+// Frontend already shows the greeting bubble → keep first-turn "hi" replies minimal
+export const FRONTEND_GREETS = (process.env.FRONTEND_GREETS ?? "true") !== "false";
+// Quick-reply chips in /api/ask replies (entry points, follow-up questions), default on
+export const SUGGESTIONS = process.env.SUGGESTIONS !== "false";
+// Below this language-ID confidence a message is answered in English (lib/language.js)
+export const LANGID_MIN_CONFIDENCE = parseFloat(process.env.LANGID_MIN_CONFIDENCE || "0.7");
+
+/** Gemini key under any of the names the scripts have historically accepted */
+export const GOOGLE_API_KEY =
+  process.env.GOOGLE_API_KEY ||
+  process.env.GEMINI_API_KEY ||
+  process.env.GENAI_API_KEY;
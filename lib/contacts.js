@@ -0,0 +1,165 @@
+// lib/contacts.js — Contact & escalation routing (data/contacts.json)
+//
+// Picks who a customer should talk to from
+//   product line — embroidery | sewing | leather | quilting (keywords, model families)
+//   region       — the nearest HCA office named in contact.pdf (city / state / country)
+// and returns it as the `handoff` object of /api/ask, with business hours in IST.
+// Contact details fall back line → office → head office, so a branch without its
+// own number still gets the head-office phone and the line's e-mail desk.
+import { CONTACTS_PATH } from "./config.js";
+import { readJsonFile } from "./ingest.js";
+import { extractModelIds, normalizeModelId } from "./model-ids.js";
+
+const USER_TURNS = 4; // recent user messages also scanned for a region / product line
+
+// Used when data/contacts.json is missing or unreadable
+const DEFAULT_CONTACTS = {
+  timezone: "Asia/Kolkata",
+  businessHours: { days: ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat"], open: "09:30", close: "18:30" },
+  offices: {
+    hq: {
+      name: "HCA India — Head Office",
+      city: "New Delhi",
+      phone: "+91 9350513789",
+      whatsapp: "+91 9350513789",
+      email: "Embroidery@grouphca.com",
+    },
+  },
+  lines: { embroidery: { label: "Embroidery machines", keywords: [] } },
+  regions: [],
+};
+
+/* ───────────────────────── Config ───────────────────────── */
+/** Loaded once per process; CONTACTS_PATH points elsewhere */
+export function getContacts() {
+  if (!globalThis.__DUKEJIA_CONTACTS__) {
+    const config = readJsonFile(CONTACTS_PATH);
+    if (!config?.offices?.hq) console.warn(`⚠️ Contacts not found at ${CONTACTS_PATH}; using the head office only.`);
+    globalThis.__DUKEJIA_CONTACTS__ = config?.offices?.hq ? config : DEFAULT_CONTACTS;
+  }
+  return globalThis.__DUKEJIA_CONTACTS__;
+}
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+const mentions = (text, words = []) =>
+  words.some((w) => new RegExp(`(?<![\\p{L}\\p{N}])${escapeRe(w)}(?![\\p{L}\\p{N}])`, "iu").test(text));
+
+/* ───────────────────────── Detection ───────────────────────── */
+/** Product line for the texts (first match wins, newest text first); defaults to the first configured line */
+export function detectLine(texts = [], config = getContacts()) {
+  const lines = Object.entries(config.lines || {});
+  for (const text of texts) {
+    const ids = extractModelIds(text);
+    for (const [id, line] of lines) {
+      const families = (line.families || []).map(normalizeModelId);
+      if (ids.some((m) => families.some((f) => m.startsWith(f)))) return id;
+      if (mentions(text, line.keywords)) return id;
+    }
+  }
+  return lines[0]?.[0] || "embroidery";
+}
+
+/** Region entry for the first text naming a known city / state / country, or null */
+export function detectRegion(texts = [], config = getContacts()) {
+  for (const text of texts) {
+    const region = (config.regions || []).find((r) => mentions(text, r.match));
+    if (region) return region;
+  }
+  return null;
+}
+
+/* ───────────────────────── Business hours ───────────────────────── */
+const DAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+function to12h(hhmm) {
+  const [h, m] = hhmm.split(":").map(Number);
+  return `${((h + 11) % 12) + 1}:${String(m).padStart(2, "0")} ${h < 12 ? "AM" : "PM"}`;
+}
+
+/** { open, text: "Mon–Sat, 9:30 AM–6:30 PM IST", timezone } at `now` */
+export function businessHours(config = getContacts(), now = new Date()) {
+  const { days = [], open = "09:30", close = "18:30" } = config.businessHours || {};
+  const timezone = config.timezone || "Asia/Kolkata";
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-GB", { timeZone: timezone, weekday: "short", hour: "2-digit", minute: "2-digit", hour12: false })
+      .formatToParts(now)
+      .map((p) => [p.type, p.value])
+  );
+  const minutes = (hhmm) => { const [h, m] = hhmm.split(":").map(Number); return h * 60 + m; };
+  const nowMin = (Number(parts.hour) % 24) * 60 + Number(parts.minute);
+  const isOpen = days.includes(parts.weekday) && nowMin >= minutes(open) && nowMin < minutes(close);
+
+  // "Mon–Sat" for a run of days, else a list
+  const idx = days.map((d) => DAY_NAMES.indexOf(d)).sort((a, b) => a - b);
+  const run = idx.length > 2 && idx.every((d, i) => !i || d === idx[i - 1] + 1);
+  const dayText = run ? `${DAY_NAMES[idx[0]]}–${DAY_NAMES[idx.at(-1)]}` : idx.map((d) => DAY_NAMES[d]).join(", ");
+  const tz = timezone === "Asia/Kolkata" ? "IST" : timezone;
+  return { open: isOpen, text: `${dayText}, ${to12h(open)}–${to12h(close)} ${tz}`, timezone };
+}
+
+/* ───────────────────────── Handoff ───────────────────────── */
+/** Sales-contact reply (also the prompt's "not in the CONTEXT" text, so keep "contact our sales team") */
+export function salesContactText({ phone, whatsapp, email, officeId, name, address }) {
+  const lines = ["Please contact our sales team at"];
+  if (whatsapp) lines.push(`Whatsapp: ${whatsapp}`);
+  if (phone && phone !== whatsapp) lines.push(`Call: ${phone}`);
+  if (email) lines.push(email);
+  if (officeId !== "hq" && address) lines.push(`Nearest office: ${name}, ${address}`);
+  return lines.join("\n");
+}
+
+/**
+ * Contact for a message: product line from the question (then recent user turns),
+ * region from the same texts or the city a lead gave.
+ * @param {object}  args
+ * @param {string} [args.question]
+ * @param {object} [args.session]   history + lead city, if any
+ * @param {string} [args.city]
+ * @returns {{ line:string, lineLabel:string, region:string|null, regionLabel:string|null, office:string,
+ *             name:string, phone:string|null, whatsapp:string|null, email:string|null, address:string|null,
+ *             hours:{open:boolean,text:string,timezone:string}, note:string|null, text:string }}
+ */
+export function pickContact({ question = "", session = null, city = "" } = {}, { config = getContacts(), now = new Date() } = {}) {
+  const userTurns = (session?.history || [])
+    .filter((m) => m.role === "user")
+    .map((m) => m.content)
+    .slice(-USER_TURNS)
+    .reverse();
+  const texts = [question, ...userTurns];
+  const leadCity = city || session?.lead?.fields?.city || "";
+
+  const line = detectLine(texts, config);
+  const region = detectRegion([leadCity, ...texts].filter(Boolean), config);
+  const officeId = region?.office && config.offices[region.office] ? region.office : "hq";
+
+  const hq = config.offices.hq;
+  const office = config.offices[officeId];
+  const desk = config.lines?.[line] || {};
+  const contact = {
+    phone: office.phone || desk.phone || hq.phone || null,
+    whatsapp: office.whatsapp || desk.whatsapp || hq.whatsapp || null,
+    email: desk.email || office.email || hq.email || null,
+  };
+
+  const handoff = {
+    line,
+    lineLabel: desk.label || line,
+    region: region?.id || null,
+    regionLabel: region?.label || null,
+    office: officeId,
+    name: office.name,
+    ...contact,
+    address: office.address || null,
+    hours: businessHours(config, now),
+    note: region?.note || null,
+  };
+  return { ...handoff, text: salesContactText({ ...handoff, officeId }) };
+}
+
+/** Line appended to a hand-off reply outside business hours */
+export function afterHoursNote(handoff, mode = "english") {
+  if (handoff.hours.open) return "";
+  if (mode === "hinglish") return `Hamari team ${handoff.hours.text} available hai—uske baad jald reply karegi.`;
+  if (mode === "hindi") return `हमारी टीम ${handoff.hours.text} उपलब्ध रहती है—उसके बाद जल्द जवाब देगी।`;
+  return `Our team is available ${handoff.hours.text} and will get back to you then.`;
+}
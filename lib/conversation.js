@@ -0,0 +1,76 @@
+// lib/conversation.js — Multi-turn memory for the RAG pipeline
+//
+// Prior turns are used twice:
+//   1. rewriteFollowUp() turns "what about its embroidery area?" into a standalone
+//      retrieval query ("DY-1201 embroidery area") before embedding;
+//   2. formatTranscript() feeds the same turns into the generation prompt.
+import { findModelIds } from "./model-ids.js";
+
+const HISTORY_LIMIT = parseInt(process.env.HISTORY_LIMIT || "50", 10);
+const MEMORY_TURNS  = parseInt(process.env.MEMORY_TURNS  || "6", 10);  // user+assistant pairs
+const MAX_TURN_CHARS = 600; // long bulleted answers are trimmed in the prompt
+
+/** Last `n` exchanges of the history (never more than HISTORY_LIMIT messages) */
+export function recentTurns(history = [], n = MEMORY_TURNS) {
+  const limit = Math.max(0, Math.min(n * 2, HISTORY_LIMIT));
+  if (!limit) return [];
+  return history
+    .filter((m) => (m.role === "user" || m.role === "assistant") && m.content)
+    .slice(-limit);
+}
+
+function clip(text, max = MAX_TURN_CHARS) {
+  const t = String(text || "").replace(/\s+/g, " ").trim();
+  return t.length > max ? `${t.slice(0, max)}…` : t;
+}
+
+/** "User: …\nAssistant: …" block for prompts */
+export function formatTranscript(turns = []) {
+  return turns
+    .map((m) => `${m.role === "user" ? "User" : "Assistant"}: ${clip(m.content)}`)
+    .join("\n");
+}
+
+// Pronouns / ellipsis cues (English + Hinglish) that usually point back at an earlier turn
+const FOLLOW_UP_CUES = /\b(it|its|it's|this|that|these|those|they|them|their|same|one|ones|above|previous|what about|how about|and the|also|too|else|iska|uska|iske|uske|isme|usme|inka|unka|woh|wo|ye|yeh|vahi|wahi)\b/i;
+
+/** Cheap gate so self-contained questions skip the extra LLM round-trip */
+export function looksLikeFollowUp(q = "", turns = []) {
+  if (!turns.length) return false;
+  const words = q.trim().split(/\s+/).filter(Boolean);
+  if (FOLLOW_UP_CUES.test(q)) return true;
+  // "and the speed?" / "1206 ka?" — short fragments without their own subject
+  return words.length <= 4 && !findModelIds(q).length;
+}
+
+/**
+ * Rewrite a follow-up into a standalone retrieval query.
+ * Falls back to the original question on any error or empty output.
+ */
+export async function rewriteFollowUp(llm, q, turns = []) {
+  if (!looksLikeFollowUp(q, turns)) return q;
+
+  const prompt = `
+Rewrite the user's LATEST MESSAGE as one standalone search query for the Dukejia machine knowledge base.
+- Resolve pronouns and ellipsis ("it", "its", "that one", "what about…") using the CONVERSATION.
+- Keep machine model numbers exactly as written (e.g. DY-1201, DY-1206HC).
+- Keep the user's language. Do not answer the question.
+- Output ONLY the rewritten query, nothing else.
+
+CONVERSATION:
+${formatTranscript(turns)}
+
+LATEST MESSAGE:
+${q}
+`.trim();
+
+  try {
+    const out = ((await llm.generate(prompt)) || "").trim().replace(/^["'“]|["'”]$/g, "");
+    // Guard against the model answering instead of rewriting
+    if (!out || out.length > Math.max(200, q.length * 4)) return q;
+    return out.split("\n")[0].trim();
+  } catch (err) {
+    console.warn("⚠️ Follow-up rewrite failed:", err?.message || err);
+    return q;
+  }
+}
@@ -0,0 +1,324 @@
+// lib/core.js — The single question → answer pipeline behind server.mjs and api/ask.js
+//
+//   lead offer / capture | recommendation wizard | buying phrase → lead capture | small talk → price (sales contact) → follow-up rewrite
+//   → Hinglish / Hindi → English query (lib/translate.js) → comparison | catalog spec lookup | (index loaded?) → clean → embed
+//   → top-K hybrid (cosine + BM25 + exact model id, lib/retrieval.js)
+//   → low-score fallback (+ call-back offer) | grounded prompt → LLM (optionally streamed) → point-wise
+//   → citations (source, page, snippet)
+//   sales hand-offs (fallbacks, lead capture) also carry the routed contact (lib/contacts.js)
+//   every turn → structured log line (lib/analytics.js)
+//   every answer → `messageId`, kept with its retrieved chunk ids for thumbs up / down (lib/feedback.js)
+//   answers → `suggestions` quick replies: entry points on the first turn / help / fallbacks,
+//   follow-up questions from the retrieved chunks and catalog otherwise (lib/suggestions.js)
+//
+// Both deployments call answerQuestion() and shape the reply with buildResponse(),
+// so they always give the same answers.
+import { randomUUID } from "crypto";
+import { BOT_NAME, TOP_K, MIN_OK_SCORE, SUGGESTIONS } from "./config.js";
+import { resolveResponseMode } from "./language.js";
+import { cleanForEmbedding } from "./text.js";
+import { handleSmallTalk, starterSuggestions } from "./smalltalk.js";
+import { followUpSuggestions } from "./suggestions.js";
+import { getVectorIndex } from "./vectors.js";
+import { retrieve, chunkId, isGrounded } from "./retrieval.js";
+import { recentTurns, rewriteFollowUp } from "./conversation.js";
+import { translateQuery } from "./translate.js";
+import { buildPrompt } from "./prompt.js";
+import { pickContact, afterHoursNote } from "./contacts.js";
+import { toPointWise } from "./format.js";
+import { buildCitations, buildCatalogCitations } from "./citations.js";
+import { CATALOG_FIELDS, lookupSpecQuestion, formatSpecAnswer } from "./catalog.js";
+import { getCatalog } from "./catalog-store.js";
+import { detectComparison, buildComparisonTable, formatComparisonSummary, modelQuery } from "./compare.js";
+import { leadActive, leadOfferable, offerLead, startLead, continueLead, saveLead, leadThanks, isPurchaseIntent, isPriceQuestion, isSalesFallback } from "./leads.js";
+import { isRecommendIntent, wizardActive, startWizard, continueWizard } from "./recommend.js";
+import { turnRecord, logTurn } from "./analytics.js";
+import { getChunkWeights } from "./feedback.js";
+import { getEmbedder, getLLM } from "./providers/index.js";
+
+/* ───────────────────────── Canned Replies ───────────────────────── */
+const NO_INDEX_REPLY = {
+  english:  "Reference data isn’t loaded yet. Please run `npm run embed` on the server and try again.",
+  hinglish: "Reference data abhi load nahi hai. Server par `npm run embed` chalayen, phir dobara poochhiye.",
+  hindi:    "संदर्भ डेटा अभी लोड नहीं हुआ है। कृपया सर्वर पर `npm run embed` चलाएँ और फिर से पूछें।",
+};
+
+// Replies that hand the user to sales always carry the routed contact as `handoff`
+const HANDOFF_KINDS = new Set(["fallback", "lead"]);
+
+const LOW_SCORE_REPLY = {
+  english:  "I couldn’t find enough details on that. Please try rephrasing or be more specific—like 'Dukejia E+P key features' or 'Highlead 269 applications'.",
+  hinglish: "Mujhe is par kaafi specifics nahi mil pa rahe. Kripya thoda specific likhiye—jaise 'Dukejia E+P key features' ya 'Highlead 269 applications'.",
+  hindi:    "मुझे इस बारे में पर्याप्त जानकारी नहीं मिली। कृपया थोड़ा और स्पष्ट लिखें—जैसे 'Dukejia E+P key features' या 'Highlead 269 applications'।",
+};
+
+// Prices aren't in the sources; the reply is followed by the sales contact (so it reads as a sales fallback)
+const PRICE_REPLY = {
+  english:  "Prices depend on the model, number of heads and attachments, so our sales team shares the current quotation.",
+  hinglish: "Price model, heads aur attachments par depend karta hai—current quotation hamari sales team degi.",
+  hindi:    "कीमत मॉडल, हेड और अटैचमेंट पर निर्भर करती है—ताज़ा कोटेशन हमारी सेल्स टीम देगी।",
+};
+
+/* ───────────────────────── Model Calls ───────────────────────── */
+async function embedQuery(text) {
+  const [vec] = await getEmbedder().embed([text]);
+  return vec || [];
+}
+
+/**
+ * Clean → embed → hybrid top-K for one query, feedback-weighted (also appended to `trace` for the turn log).
+ * scripts/eval.mjs scores retrieval through this same step; `weights` overrides the feedback weights.
+ */
+export async function searchIndex({ vectors, lexical, search }, queryText, { topK = TOP_K, trace = [], weights } = {}) {
+  const cleaned = cleanForEmbedding(queryText) || queryText.toLowerCase();
+  const [queryVec, chunkWeights] = await Promise.all([embedQuery(cleaned), weights ?? getChunkWeights()]);
+  if (!queryVec.length) throw Object.assign(new Error("Embedding failed"), { status: 502 });
+  const dims = vectors[0]?.embedding?.length;
+  if (dims && queryVec.length !== dims) {
+    // The index passed checkIndex() under INDEX_COMPAT=warn, or was swapped in from elsewhere
+    throw Object.assign(new Error(`Query embedding has ${queryVec.length} dimensions, the index ${dims}; re-embed or migrate the index`), { status: 500 });
+  }
+  const found = retrieve({ vectors, lexical, search, queryVec, queryText, topK, weights: chunkWeights });
+  trace.push(found);
+  return found;
+}
+
+/** Full completion; with `onDelta`, streams raw token deltas as they arrive */
+async function generate(prompt, onDelta) {
+  if (!onDelta) return getLLM().generate(prompt);
+  let text = "";
+  for await (const delta of getLLM().stream(prompt)) {
+    if (!delta) continue;
+    text += delta;
+    onDelta(delta);
+  }
+  return text;
+}
+
+/* ───────────────────────── Pipeline ───────────────────────── */
+/**
+ * Answer one user message and append the exchange to `session.history`
+ * (the caller persists the session).
+ *
+ * @param {object}   args
+ * @param {string}   args.question
+ * @param {object}   args.session              { history: [] , … } from lib/session-store.js
+ * @param {object}  [args.options]
+ * @param {Function}[args.options.onDelta]     receives text deltas; canned replies arrive as one delta
+ * @param {boolean} [args.options.isFirstTurn] defaults to "history is empty"
+ * @param {number}  [args.options.topK]
+ * @param {string}  [args.options.sessionId]   stored with captured leads and the turn log
+ * @param {string}  [args.options.language]    "english" | "hinglish" | "hindi" saved as the session's reply language,
+ *                                             "auto" back to detection (lib/language.js)
+ * @returns {Promise<{answer:string, messageId:string, mode:string, kind:string, citations:object[], suggestions:object[], smallTalk?:string, retrievalQuery?:string, model?:string, comparison?:object, wizard?:object, recommendations?:object[], lead?:object, handoff?:object}>}
+ *   messageId identifies the answer for POST /api/feedback (also the id of its turn log line)
+ *   kind: "lead" | "recommend" | "smalltalk" | "price" | "comparison" | "catalog" | "no-index" | "fallback" | "rag"
+ *   comparison kind also carries `comparison: { models, rows }` (lib/compare.js)
+ *   `lead` is the call-back offer / details flow state ({ status: "offered" }, { status: "collecting", step, fields }
+ *   or { status: "saved", id }), on any kind that offers, starts or continues it (lib/leads.js)
+ *   `handoff` (lib/contacts.js pickContact) on fallback / lead replies and answers that fell back to the sales contact
+ *   recommend kind carries the next `wizard` step (question + options) or the ranked `recommendations` (lib/recommend.js)
+ *   `suggestions` are quick replies ({ label, question }); empty while a lead or wizard flow asks its own questions
+ *
+ * Every turn (failed ones included) is logged for the admin dashboard (lib/analytics.js).
+ */
+export async function answerQuestion({ question, session, options = {} }) {
+  const startedAt = Date.now();
+  const messageId = randomUUID();
+  const searches = [];
+  // An answer to the open lead form may be a name or phone number: the turn log doesn't keep it
+  // (a question that left the form is logged as usual)
+  const inForm = leadActive(session);
+  const log = (fields) => logTurn(turnRecord({
+    id: messageId, question, searches, latencyMs: Date.now() - startedAt, sessionId: options.sessionId,
+    leadForm: inForm && (!fields.result || fields.result.kind === "lead"),
+    ...fields,
+  }));
+  try {
+    const result = await runPipeline({ question, session, options, searches, messageId });
+    log({ result });
+    return result;
+  } catch (error) {
+    log({ error });
+    throw error;
+  }
+}
+
+/** answerQuestion() minus the turn log; every retrieval lands in `searches` */
+async function runPipeline({ question, session, options, searches, messageId }) {
+  const { onDelta, topK = TOP_K, sessionId = null } = options;
+  const q = String(question ?? "").trim();
+  const history = (session.history ??= []);
+  const mode = resolveResponseMode(session, q, options.language);
+  const isFirstTurn = options.isFirstTurn ?? history.length === 0;
+  const turns = recentTurns(history);
+
+  const finish = (answer, extra = {}) => {
+    // Chunk ids stay with the answer so a later thumbs down can be pinned on them
+    const chunks = [...new Set(searches.flatMap((s) => s.top.map(chunkId)))];
+    history.push({ role: "user", content: q, ts: Date.now() });
+    history.push({ role: "assistant", content: answer, ts: Date.now(), id: messageId, kind: extra.kind, ...(chunks.length ? { chunks } : {}) });
+    const handoff = extra.handoff || (HANDOFF_KINDS.has(extra.kind) || isSalesFallback(answer) ? pickContact({ question: q, session }) : null);
+    return { answer, messageId, mode, citations: [], suggestions: [], ...extra, ...(handoff ? { handoff } : {}) };
+  };
+  const canned = (text, extra) => {
+    const answer = toPointWise(text);
+    onDelta?.(answer);
+    return finish(answer, extra);
+  };
+  // Flow prompts go out as written (no point-wise splitting)
+  const say = (text, extra) => {
+    onDelta?.(text);
+    return finish(text, extra);
+  };
+  // Sales-contact answers also offer a call back (until a lead is saved or declined); the form waits for a yes
+  const withLeadOffer = (answer, { force = false } = {}) => {
+    if (!leadOfferable(session) || (!force && !isSalesFallback(answer))) return { answer, offer: "", extra: {} };
+    const { text, lead } = offerLead(session, { reason: "fallback", mode, question: q });
+    return { answer: `${answer}\n\n${text}`, offer: `\n\n${text}`, extra: { lead } };
+  };
+  // Entry-point chips (data/intents.json); none while a lead offer waits for an answer
+  const starters = () => (SUGGESTIONS ? starterSuggestions(mode) : []);
+  const fallback = (extra) => {
+    const { answer, extra: leadExtra } = withLeadOffer(toPointWise(LOW_SCORE_REPLY[mode]), { force: true });
+    return say(answer, { kind: "fallback", ...extra, ...leadExtra, suggestions: leadExtra.lead ? [] : starters() });
+  };
+  /** Streamed LLM text → final answer (+ lead offer when it fell back to the sales contact) */
+  const generated = (text, extra) => {
+    const { answer, offer, extra: leadExtra } = withLeadOffer(toPointWise(text));
+    if (offer) onDelta?.(offer);
+    return finish(answer, { ...extra, ...leadExtra, ...(leadExtra.lead ? { suggestions: [] } : {}) });
+  };
+
+  // Lead capture: a pending offer takes its yes / no and an active flow its answer; a new question drops either
+  if (leadActive(session)) {
+    const step = continueLead(session, q, { mode });
+    if (step.complete) {
+      const handoff = pickContact({ question: q, session, city: step.fields.city });
+      const thanks = [leadThanks(step.fields, mode), afterHoursNote(handoff, mode)].filter(Boolean).join(" ");
+      const result = say(thanks, { kind: "lead", handoff });
+      const lead = await saveLead({ fields: step.fields, session, sessionId, reason: step.reason, language: mode, handoff });
+      return { ...result, lead: { status: "saved", id: lead.id } };
+    }
+    if (!step.passThrough) return say(step.text, { kind: "lead", ...(step.lead ? { lead: step.lead } : {}) });
+  }
+
+  // Machine finder: an active wizard consumes the answer; a new question drops it
+  const catalogModels = getCatalog().models;
+  const followUps = (args) => (SUGGESTIONS ? followUpSuggestions({ mode, models: catalogModels, asked: [q], ...args }) : []);
+  const wizardOpts = { mode, models: catalogModels };
+  const step = wizardActive(session)
+    ? continueWizard(session, q, wizardOpts)
+    : isRecommendIntent(q) ? startWizard(session, { ...wizardOpts, question: q }) : null;
+  if (step && !step.passThrough) {
+    const { text, wizard, recommendations } = step;
+    const citations = recommendations?.flatMap((r) => r.citations).map((c, i) => ({ ...c, idx: i + 1 })) || [];
+    return canned(text, { kind: "recommend", citations, ...(wizard ? { wizard } : {}), ...(recommendations ? { recommendations } : {}) });
+  }
+
+  // "I want to buy …", "send quotation" → sales; take the details right away
+  if (leadOfferable(session) && isPurchaseIntent(q)) {
+    const { text, lead } = startLead(session, { reason: "intent", mode, question: q });
+    return say(text, { kind: "lead", lead });
+  }
+
+  // Small talk never reaches the knowledge base
+  const st = handleSmallTalk(q, { mode, isFirstTurn });
+  if (st) return canned(st.text, { kind: "smalltalk", smallTalk: st.kind, suggestions: st.starters ? starters() : [] });
+
+  // "DY-1206 price?" → the sales contact + a call-back offer, like any sales fallback
+  if (isPriceQuestion(q)) {
+    const { text: contactText } = pickContact({ question: q, session });
+    const text = `${PRICE_REPLY[mode] || PRICE_REPLY.english}\n\n${contactText}`;
+    onDelta?.(text);
+    return generated(text, { kind: "price" });
+  }
+
+  // Follow-ups ("what about its area?") → standalone query, then English for the English sources
+  const standalone = await rewriteFollowUp(getLLM(), q, turns);
+  const { query: retrievalQuery } = await translateQuery(standalone, { llm: getLLM() });
+
+  const index = getVectorIndex();
+
+  // "X vs Y" → context retrieved per model + a side-by-side table
+  const cmp = detectComparison(retrievalQuery, catalogModels);
+  if (cmp) {
+    const comparison = buildComparisonTable(cmp);
+    const extra = { kind: "comparison", retrievalQuery, comparison };
+    if (!index.vectors.length) {
+      if (!comparison.rows.length) return canned(NO_INDEX_REPLY[mode], { kind: "no-index" });
+      return canned(formatComparisonSummary(comparison, mode), { ...extra, suggestions: followUps({ question: retrievalQuery, answered: CATALOG_FIELDS }) });
+    }
+
+    const perModel = Math.max(2, Math.ceil(topK / cmp.labels.length));
+    const seen = new Set();
+    const chunks = [];
+    let grounded = comparison.rows.length > 0;
+    for (const label of cmp.labels) {
+      const found = await searchIndex(index, modelQuery(retrievalQuery, label), { topK: perModel, trace: searches });
+      grounded ||= isGrounded(found, MIN_OK_SCORE);
+      for (const c of found.top) if (!seen.has(c.id)) { seen.add(c.id); chunks.push(c); }
+    }
+    if (!grounded) return fallback({ retrievalQuery });
+
+    const { text: contactText } = pickContact({ question: q, session });
+    const prompt = buildPrompt({ question: q, mode, chunks, turns, compare: cmp.labels, contactText });
+    const text = (await generate(prompt, onDelta)) || contactText;
+    // The table already has every catalog field
+    const suggestions = followUps({ question: retrievalQuery, chunks, answered: CATALOG_FIELDS });
+    return generated(text, { ...extra, citations: buildCitations(chunks, retrievalQuery), suggestions });
+  }
+
+  // "<model> + <spec>" → straight from the structured catalog, no LLM
+  const spec = lookupSpecQuestion(catalogModels, retrievalQuery);
+  if (spec) {
+    return canned(formatSpecAnswer(spec, mode), {
+      kind: "catalog",
+      retrievalQuery,
+      model: spec.entry.model,
+      citations: buildCatalogCitations(spec, retrievalQuery),
+      suggestions: followUps({ question: retrievalQuery, answered: spec.fields }),
+    });
+  }
+
+  // RAG: require vectors
+  if (!index.vectors.length) return canned(NO_INDEX_REPLY[mode], { kind: "no-index" });
+
+  // Retrieve top K: cosine and BM25 fused, exact model-id matches first
+  const found = await searchIndex(index, retrievalQuery, { topK, trace: searches });
+  const { top } = found;
+
+  // An exact model-id hit is grounded even when the embedding score is weak
+  if (!isGrounded(found, MIN_OK_SCORE)) return fallback({ retrievalQuery });
+
+  // Deltas go out raw; point-wise formatting only makes sense on the completed text
+  const { text: contactText } = pickContact({ question: q, session });
+  const prompt = buildPrompt({ question: q, mode, chunks: top, turns, contactText });
+  const text = (await generate(prompt, onDelta)) || contactText;
+
+  return generated(text, {
+    kind: "rag",
+    retrievalQuery,
+    citations: buildCitations(top, retrievalQuery),
+    suggestions: followUps({ question: retrievalQuery, chunks: top }),
+  });
+}
+
+/** Public JSON shape of an answer (also the payload of the SSE "done" event) */
+export function buildResponse(result, { sessionId } = {}) {
+  return {
+    answer: result.answer,
+    reply: result.answer,
+    messageId: result.messageId,
+    mode: result.mode,
+    sessionId,
+    bot: BOT_NAME,
+    citations: result.citations,
+    suggestions: result.suggestions || [],
+    ...(result.comparison ? { comparison: result.comparison } : {}),
+    ...(result.wizard ? { wizard: result.wizard } : {}),
+    ...(result.recommendations ? { recommendations: result.recommendations } : {}),
+    ...(result.lead ? { lead: result.lead } : {}),
+    ...(result.handoff ? { handoff: result.handoff } : {}),
+  };
+}
@@ -0,0 +1,142 @@
+// lib/eval.js — Retrieval metrics for the golden question set (scripts/eval.mjs)
+//
+// Golden file (data/eval/golden.json):
+//   { "questions": [ {
+//       "id": "warranty",
+//       "question": "What warranty do you offer?",
+//       "expect": [ { "source": "Question.pdf", "contains": ["1-year warranty"] }, … ],  // any one may match
+//       "facts": ["1-year warranty"],                                                   // expected answer facts
+//       "expectFallback": true                                                          // out-of-scope question
+//   } ] }
+// An expectation matches a retrieved chunk when every given field agrees: `chunk_id`,
+// `source`, `page` (within page..page_end) and `contains` (all phrases, case- and
+// whitespace-insensitive). Text anchors survive CHUNK_STRATEGY / CHUNK_SIZE / CHUNK_OVERLAP changes; chunk ids don't.
+import fs from "fs";
+import { chunkId } from "./retrieval.js";
+
+const norm = (s) => String(s ?? "").toLowerCase().replace(/\s+/g, " ").trim();
+const chunkText = (c) => norm(c.text_original || c.text_cleaned || "");
+
+/* ───────────────────────────── Golden set ──────────────────────────── */
+export function readGolden(filePath) {
+  const raw = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  const questions = Array.isArray(raw) ? raw : raw.questions;
+  if (!Array.isArray(questions) || !questions.length) throw new Error(`No questions in ${filePath}`);
+  return questions.map((q, i) => {
+    if (!q.question) throw new Error(`Golden question #${i + 1} has no "question"`);
+    const expect = q.expect == null ? [] : [].concat(q.expect);
+    if (!expect.length && !q.expectFallback) throw new Error(`Golden question "${q.id || i + 1}" needs "expect" or "expectFallback"`);
+    return {
+      id: String(q.id || i + 1),
+      question: q.question,
+      expect: expect.map((e) => ({ ...e, contains: e.contains == null ? [] : [].concat(e.contains) })),
+      facts: q.facts ? [].concat(q.facts) : [],
+      expectFallback: !!q.expectFallback,
+    };
+  });
+}
+
+/* ───────────────────────────── Matching ────────────────────────────── */
+export function matchesExpectation(chunk, e) {
+  if (e.chunk_id && chunkId(chunk) !== e.chunk_id) return false;
+  if (e.source && norm(chunk.source) !== norm(e.source)) return false;
+  if (e.page != null && !(chunk.page <= e.page && e.page <= (chunk.page_end ?? chunk.page))) return false;
+  if (e.contains.length) {
+    const text = chunkText(chunk);
+    if (!e.contains.every((p) => text.includes(norm(p)))) return false;
+  }
+  return true;
+}
+
+/** 1-based rank of the first relevant chunk, or null */
+export function firstRelevantRank(top, expect) {
+  const i = top.findIndex((c) => expect.some((e) => matchesExpectation(c, e)));
+  return i < 0 ? null : i + 1;
+}
+
+/** Facts (strings, case- and whitespace-insensitive) found in `text` */
+export function factsFound(facts, text) {
+  const t = norm(text);
+  return facts.filter((f) => t.includes(norm(f)));
+}
+
+/* ───────────────────────────── Scoring ─────────────────────────────── */
+/**
+ * One question's outcome.
+ * @param {object} q         readGolden() entry
+ * @param {object} found     retrieve() result ({ top, maxScore })
+ * @param {object} args
+ * @param {boolean} args.grounded   isGrounded(found, MIN_OK_SCORE)
+ * @param {string} [args.answer]    generated answer (facts are then checked there too)
+ */
+export function scoreQuestion(q, found, { grounded, answer = null }) {
+  const rank = q.expect.length ? firstRelevantRank(found.top, q.expect) : null;
+  const context = found.top.map((c) => c.text_original || c.text_cleaned || "").join("\n");
+  return {
+    id: q.id,
+    question: q.question,
+    expectFallback: q.expectFallback,
+    rank,
+    fallback: !grounded,
+    maxScore: Number.isFinite(found.maxScore) ? Math.round(found.maxScore * 10000) / 10000 : null,
+    top: found.top.slice(0, 3).map(chunkId),
+    facts: q.facts.length,
+    factsInContext: factsFound(q.facts, context).length,
+    ...(answer != null ? { factsInAnswer: factsFound(q.facts, answer).length, answer } : {}),
+  };
+}
+
+const mean = (xs) => (xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : null);
+const r4 = (x) => (x == null ? null : Math.round(x * 10000) / 10000);
+
+/**
+ * recall@k, MRR, fallback rates and fact coverage over scoreQuestion() results.
+ *   fallbackRate       — answerable questions that would get the low-score fallback
+ *   falseGroundedRate  — out-of-scope questions (expectFallback) that would be answered anyway
+ */
+export function summarizeRun(results, ks = [1, 3, 5]) {
+  const answerable = results.filter((r) => !r.expectFallback);
+  const outOfScope = results.filter((r) => r.expectFallback);
+  const withFacts = results.filter((r) => r.facts);
+  const totalFacts = withFacts.reduce((s, r) => s + r.facts, 0);
+  const generated = withFacts.filter((r) => r.factsInAnswer != null);
+  return {
+    questions: results.length,
+    answerable: answerable.length,
+    outOfScope: outOfScope.length,
+    recall: Object.fromEntries(ks.map((k) => [`@${k}`, r4(mean(answerable.map((r) => (r.rank && r.rank <= k ? 1 : 0))))])),
+    mrr: r4(mean(answerable.map((r) => (r.rank ? 1 / r.rank : 0)))),
+    fallbackRate: r4(mean(answerable.map((r) => (r.fallback ? 1 : 0)))),
+    falseGroundedRate: r4(mean(outOfScope.map((r) => (r.fallback ? 0 : 1)))),
+    factRecallContext: totalFacts ? r4(withFacts.reduce((s, r) => s + r.factsInContext, 0) / totalFacts) : null,
+    factRecallAnswer: generated.length
+      ? r4(generated.reduce((s, r) => s + r.factsInAnswer, 0) / generated.reduce((s, r) => s + r.facts, 0))
+      : null,
+  };
+}
+
+/** +1 when B handles the question better than A, −1 worse, 0 same */
+function compareResults(ra, rb) {
+  const fell = Number(rb.fallback) - Number(ra.fallback);
+  if (ra.expectFallback) return Math.sign(fell);
+  const score = (r) => (r.rank ? 1 / r.rank : 0);
+  return Math.sign(score(rb) - score(ra)) || -Math.sign(fell) || Math.sign((rb.factsInAnswer ?? rb.factsInContext) - (ra.factsInAnswer ?? ra.factsInContext));
+}
+
+/** Questions whose rank, fallback or fact coverage differ between run A and run B */
+export function diffRuns(a, b) {
+  const byId = new Map(b.map((r) => [r.id, r]));
+  return a
+    .map((ra) => ({ a: ra, b: byId.get(ra.id) }))
+    .filter(({ a: ra, b: rb }) => rb && (ra.rank !== rb.rank || ra.fallback !== rb.fallback
+      || ra.factsInContext !== rb.factsInContext || ra.factsInAnswer !== rb.factsInAnswer))
+    .map(({ a: ra, b: rb }) => ({
+      id: ra.id,
+      question: ra.question,
+      rank: [ra.rank, rb.rank],
+      fallback: [ra.fallback, rb.fallback],
+      factsInContext: [ra.factsInContext, rb.factsInContext],
+      ...(ra.factsInAnswer != null ? { factsInAnswer: [ra.factsInAnswer, rb.factsInAnswer] } : {}),
+      change: compareResults(ra, rb),
+    }));
+}
@@ -0,0 +1,186 @@
+// lib/feedback.js — Thumbs up / down on answers, tied to the chunks that were retrieved
+//
+// Every answer carries a `messageId`; lib/core.js stores it on the assistant message in
+// `session.history` together with the ids of the chunks retrieved for it. POST /api/feedback
+// looks the message up in the caller's own session, so a rating always carries the real
+// query, answer and chunk ids (and users can only rate answers they were given).
+//
+// Chunks rated down consistently (≥ FEEDBACK_MIN_VOTES ratings, mostly down) are
+// down-weighted in retrieval (lib/retrieval.js `weights`); FEEDBACK_DOWNWEIGHT=0 turns that off.
+// Re-rating a message replaces the earlier rating (latest wins).
+//
+// Store (FEEDBACK_STORE, lib/record-store.js): file (default, FEEDBACK_PATH) | redis | memory.
+// On Vercel the default is redis when REDIS_URL is set: ratings split across per-instance /tmp files
+// never add up to a down-weight, so a file / memory store there warns.
+import os from "os";
+import path from "path";
+import { randomUUID } from "crypto";
+import { DATA_DIR } from "./config.js";
+import { createRecordStore, newestFirst, warnIfEphemeral } from "./record-store.js";
+import { chunkId } from "./retrieval.js";
+
+export const FEEDBACK_RATINGS = ["up", "down"];
+
+const MAX_COMMENT     = 1000;
+const MAX_ANSWER      = 2000;
+const MIN_VOTES       = parseInt(process.env.FEEDBACK_MIN_VOTES || "3", 10);
+const DOWNWEIGHT      = parseFloat(process.env.FEEDBACK_DOWNWEIGHT ?? "0.5"); // weight = 1 − DOWNWEIGHT × share of downs
+const BAD_SHARE       = 0.6;    // "consistently bad": at least this share of the ratings are down
+const WEIGHTS_TTL_MS  = 60_000; // other instances' ratings show up within a minute (redis)
+
+let weightsCache = null; // { at, promise } — dropped on every new rating
+
+// Vercel only allows writes under /tmp, which is per instance (warnIfEphemeral says so at startup)
+const DEFAULT_FEEDBACK_PATH = process.env.VERCEL
+  ? path.join(os.tmpdir(), "dukejia-feedback.jsonl")
+  : path.join(DATA_DIR, "feedback.jsonl");
+
+/* ───────────────────────────── Store ──────────────────────────────── */
+export function createFeedbackStore(kind = process.env.FEEDBACK_STORE || (process.env.VERCEL && process.env.REDIS_URL ? "redis" : "file")) {
+  warnIfEphemeral(kind, "FEEDBACK_STORE");
+  return createRecordStore(kind, {
+    filePath: process.env.FEEDBACK_PATH ? path.resolve(process.env.FEEDBACK_PATH) : DEFAULT_FEEDBACK_PATH,
+    redisKey: process.env.FEEDBACK_REDIS_KEY || "dukejia:feedback",
+    label: "FEEDBACK_STORE",
+  });
+}
+
+export function getFeedbackStore() {
+  return (globalThis.__DUKEJIA_FEEDBACK_STORE__ ??= createFeedbackStore());
+}
+
+/* ───────────────────────────── Recording ──────────────────────────── */
+/** The assistant message `messageId` and the user message it answered */
+function findExchange(history = [], messageId) {
+  const i = history.findIndex((m) => m.role === "assistant" && m.id === messageId);
+  if (i < 0) return null;
+  const question = history.slice(0, i).reverse().find((m) => m.role === "user");
+  return { answer: history[i], question };
+}
+
+/**
+ * Store one rating for an answer in `session.history`. Throws 400 / 404.
+ * @param {object} args
+ * @param {object} args.session
+ * @param {string}[args.sessionId]
+ * @param {string} args.messageId
+ * @param {"up"|"down"} args.rating
+ * @param {string}[args.comment]
+ * @returns {Promise<object>} the stored record
+ */
+export async function recordFeedback({ session, sessionId = null, messageId, rating, comment = "", store = getFeedbackStore() }) {
+  const r = String(rating ?? "").toLowerCase();
+  if (!FEEDBACK_RATINGS.includes(r)) throw Object.assign(new Error(`'rating' must be one of: ${FEEDBACK_RATINGS.join(", ")}`), { status: 400 });
+  if (!messageId) throw Object.assign(new Error("Missing 'messageId'"), { status: 400 });
+
+  const exchange = findExchange(session?.history, String(messageId));
+  if (!exchange) throw Object.assign(new Error(`Unknown message "${messageId}"`), { status: 404 });
+
+  const record = {
+    id: randomUUID(),
+    createdAt: new Date().toISOString(),
+    sessionId,
+    messageId: exchange.answer.id,
+    rating: r,
+    comment: String(comment ?? "").replace(/\s+/g, " ").trim().slice(0, MAX_COMMENT) || null,
+    query: exchange.question?.content ?? null,
+    answer: String(exchange.answer.content ?? "").slice(0, MAX_ANSWER),
+    kind: exchange.answer.kind ?? null,
+    chunks: exchange.answer.chunks || [],
+  };
+  await store.add(record);
+  exchange.answer.feedback = r;
+  weightsCache = null;
+  return record;
+}
+
+/* ───────────────────────────── Aggregates ─────────────────────────── */
+/** One rating per answer: the latest */
+export function latestPerMessage(records = []) {
+  const byMessage = new Map();
+  for (const r of records) byMessage.set(r.messageId, r);
+  return [...byMessage.values()].sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/** chunk_id → { up, down, weight, comments } over the latest rating of every answer */
+export function chunkFeedback(records = []) {
+  const chunks = new Map();
+  for (const r of latestPerMessage(records)) {
+    for (const id of r.chunks || []) {
+      const c = chunks.get(id) || { up: 0, down: 0, comments: [] };
+      c[r.rating]++;
+      if (r.rating === "down" && r.comment && c.comments.length < 5) c.comments.push(r.comment);
+      chunks.set(id, c);
+    }
+  }
+  for (const c of chunks.values()) c.weight = chunkWeight(c);
+  return chunks;
+}
+
+/** Retrieval weight for a chunk's votes: 1 unless it is consistently rated down */
+export function chunkWeight({ up = 0, down = 0 }, { minVotes = MIN_VOTES, downweight = DOWNWEIGHT } = {}) {
+  const votes = up + down;
+  const share = votes ? down / votes : 0;
+  if (votes < minVotes || share < BAD_SHARE) return 1;
+  return Math.max(0, Math.round((1 - downweight * share) * 1000) / 1000);
+}
+
+/**
+ * chunk_id → weight for the down-weighted chunks only (cached; empty when FEEDBACK_DOWNWEIGHT=0,
+ * or when the store can't be created or read — retrieval never fails over feedback)
+ */
+export function getChunkWeights(store) {
+  if (!(DOWNWEIGHT > 0)) return Promise.resolve(new Map());
+  if (weightsCache && Date.now() - weightsCache.at < WEIGHTS_TTL_MS) return weightsCache.promise;
+  // Inside the chain so a store that throws on creation (redis without REDIS_URL) lands in the catch
+  const promise = Promise.resolve()
+    .then(() => (store ?? getFeedbackStore()).all())
+    .then((records) => new Map([...chunkFeedback(records)].filter(([, c]) => c.weight < 1).map(([id, c]) => [id, c.weight])))
+    .catch((e) => {
+      console.warn("⚠️ Feedback weights unavailable:", e?.message || e);
+      return new Map();
+    });
+  weightsCache = { at: Date.now(), promise };
+  return promise;
+}
+
+/**
+ * Per-chunk report for the knowledge team: which content is rated down, and how hard
+ * retrieval currently penalizes it. `vectors` adds source, page and a text snippet.
+ */
+export function chunkReport(records = [], vectors = []) {
+  const byId = new Map(vectors.map((v) => [chunkId(v), v]));
+  return [...chunkFeedback(records)]
+    .map(([chunk_id, c]) => {
+      const v = byId.get(chunk_id);
+      return {
+        chunk_id,
+        source: v?.source ?? chunk_id.split("#")[0],
+        page: v?.page ?? null,
+        up: c.up,
+        down: c.down,
+        weight: c.weight,
+        inIndex: !!v,
+        snippet: v ? String(v.text_original || v.text_cleaned || "").replace(/\s+/g, " ").slice(0, 240) : null,
+        comments: c.comments,
+      };
+    })
+    .sort((a, b) => b.down - a.down || a.up - b.up);
+}
+
+/** Latest rating per answer, filtered by rating ("down" | "up" | "all"), newest first */
+export function listFeedback(records = [], { rating = "down", limit = 1000, since } = {}) {
+  const rows = latestPerMessage(records).filter((r) => rating === "all" || r.rating === rating);
+  return newestFirst(rows, { limit, since, maxLimit: 10000 });
+}
+
+const CSV_COLUMNS = ["createdAt", "rating", "query", "answer", "comment", "chunks", "kind", "messageId", "sessionId"];
+
+/** Spreadsheet export of listFeedback() rows */
+export function feedbackCsv(rows = []) {
+  const cell = (v) => {
+    const s = Array.isArray(v) ? v.join("; ") : String(v ?? "");
+    return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  return [CSV_COLUMNS.join(","), ...rows.map((r) => CSV_COLUMNS.map((k) => cell(r[k])).join(","))].join("\n") + "\n";
+}
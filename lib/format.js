@@ -0,0 +1,34 @@
+// lib/format.js — Server-side point-wise (bulleted) reply formatting
+import { POINTWISE_MODE } from "./config.js";
+
+export function isListLike(text = "") {
+  return /^\s*([-*•]|\d+\.)\s+/m.test(text);
+}
+
+/** Split prose into "- " bullets; leaves lists, single sentences and POINTWISE_MODE=false untouched */
+export function toPointWise(text = "") {
+  if (!POINTWISE_MODE) return text;
+  if (!text || isListLike(text)) return text;
+
+  // Normalize whitespace
+  const norm = text.replace(/\r/g, "").replace(/[ \t]+\n/g, "\n").trim();
+
+  // Split on: blank lines | sentence boundaries | semicolons | bullets | " - " separators
+  let parts = norm
+    .split(/\n{2,}|(?<=[.!?])\s+(?=[A-Z(0-9])|[;•]|(?:\s+-\s+)/)
+    .map(s => s.trim())
+    .filter(Boolean);
+
+  // Fallback: single newlines if we still didn't separate
+  if (parts.length < 2) {
+    const byLine = norm.split(/\n+/).map(s => s.trim()).filter(Boolean);
+    if (byLine.length >= 2) parts = byLine;
+  }
+  if (parts.length < 2) return text;
+
+  return parts
+    .map(p => p.replace(/^[•*\-]\s+/, ""))  // strip accidental bullet
+    .map(p => p.replace(/\s*\.\s*$/, ""))   // drop trailing dot
+    .map(p => `- ${p}`)
+    .join("\n");
+}
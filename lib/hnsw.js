@@ -0,0 +1,164 @@
+// lib/hnsw.js — Hierarchical Navigable Small World graph (approximate nearest neighbours)
+//
+// Over a packed, L2-normalized Float32 matrix (lib/vector-search.js), similarity = dot product.
+// Each row gets a random top layer; upper layers are sparse express lanes and layer 0 links
+// every row to its ~2M nearest. A query walks greedily down the layers, then explores
+// layer 0 with a beam of `ef` candidates.
+//
+//   HNSW_M                links per row per layer (16)   — more = better recall, more memory
+//   HNSW_EF_CONSTRUCTION  beam while building (100)      — more = better graph, slower build
+//   HNSW_EF_SEARCH        beam while querying (64, ≥ k)  — more = better recall, slower query
+// Level draws use a fixed seed, so the same matrix always builds the same graph.
+import { dot } from "./vector-search.js";
+
+const M               = parseInt(process.env.HNSW_M || "16", 10);
+const EF_CONSTRUCTION = parseInt(process.env.HNSW_EF_CONSTRUCTION || "100", 10);
+const EF_SEARCH       = parseInt(process.env.HNSW_EF_SEARCH || "64", 10);
+
+/** Deterministic PRNG (mulberry32) → [0, 1) */
+function seeded(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** Binary heap of { i, score }; `higherFirst` picks max-heap vs min-heap */
+function createHeap(higherFirst) {
+  const items = [];
+  const before = higherFirst ? (a, b) => a.score > b.score : (a, b) => a.score < b.score;
+  return {
+    get size() { return items.length; },
+    peek() { return items[0]; },
+    push(item) {
+      items.push(item);
+      let i = items.length - 1;
+      while (i > 0) {
+        const p = (i - 1) >> 1;
+        if (!before(items[i], items[p])) break;
+        [items[i], items[p]] = [items[p], items[i]];
+        i = p;
+      }
+    },
+    pop() {
+      const top = items[0];
+      const last = items.pop();
+      if (items.length) {
+        items[0] = last;
+        for (let i = 0; ;) {
+          const l = 2 * i + 1, r = l + 1;
+          let m = i;
+          if (l < items.length && before(items[l], items[m])) m = l;
+          if (r < items.length && before(items[r], items[m])) m = r;
+          if (m === i) break;
+          [items[i], items[m]] = [items[m], items[i]];
+          i = m;
+        }
+      }
+      return top;
+    },
+    items,
+  };
+}
+
+/**
+ * @param {Float32Array} matrix  rows × dims, each row normalized
+ * @param {number} dims
+ * @returns {{ size: number, search(query: Float32Array, k: number, ef?: number): { i: number, score: number }[] }}
+ */
+export function buildHnsw(matrix, dims, { m = M, efConstruction = EF_CONSTRUCTION, efSearch = EF_SEARCH, seed = 42 } = {}) {
+  const n = dims ? matrix.length / dims : 0;
+  const random = seeded(seed);
+  const levelMult = 1 / Math.log(Math.max(2, m));
+  const links = new Array(n);   // links[row][layer] = neighbour rows
+  const visited = new Uint32Array(n);
+  let stamp = 0;
+  let entry = -1;
+  let topLayer = -1;
+
+  const maxLinks = (layer) => (layer === 0 ? 2 * m : m);
+  const simRows = (a, b) => dot(matrix, a * dims, matrix.subarray(b * dims, (b + 1) * dims));
+
+  /** Beam search within one layer from `entries`; → best `ef` as { i, score }, best first */
+  function searchLayer(score, entries, ef, layer) {
+    if (++stamp === 0xffffffff) { visited.fill(0); stamp = 1; }
+    const candidates = createHeap(true);
+    const results = createHeap(false);
+    for (const i of entries) {
+      visited[i] = stamp;
+      const item = { i, score: score(i) };
+      candidates.push(item);
+      results.push(item);
+    }
+    while (candidates.size) {
+      const c = candidates.pop();
+      if (results.size >= ef && c.score < results.peek().score) break;
+      for (const nb of links[c.i][layer] || []) {
+        if (visited[nb] === stamp) continue;
+        visited[nb] = stamp;
+        const s = score(nb);
+        if (results.size < ef || s > results.peek().score) {
+          const item = { i: nb, score: s };
+          candidates.push(item);
+          results.push(item);
+          if (results.size > ef) results.pop();
+        }
+      }
+    }
+    return results.items.slice().sort((a, b) => b.score - a.score);
+  }
+
+  /** Greedy walk from the entry point down to layer `floor` + 1 → closest row found */
+  function descend(score, floor) {
+    let ep = entry;
+    for (let layer = topLayer; layer > floor; layer--) ep = searchLayer(score, [ep], 1, layer)[0].i;
+    return ep;
+  }
+
+  /** Trim `row`'s links on `layer` to the maxLinks(layer) closest */
+  function prune(row, layer) {
+    const list = links[row][layer];
+    if (list.length <= maxLinks(layer)) return;
+    links[row][layer] = list
+      .map((nb) => ({ nb, s: simRows(row, nb) }))
+      .sort((a, b) => b.s - a.s)
+      .slice(0, maxLinks(layer))
+      .map((x) => x.nb);
+  }
+
+  function insert(row) {
+    const level = Math.floor(-Math.log(1 - random()) * levelMult);
+    links[row] = Array.from({ length: level + 1 }, () => []);
+    if (entry < 0) { entry = row; topLayer = level; return; }
+
+    const query = matrix.subarray(row * dims, (row + 1) * dims);
+    const score = (i) => dot(matrix, i * dims, query);
+    let entries = [descend(score, level)];
+    for (let layer = Math.min(level, topLayer); layer >= 0; layer--) {
+      const found = searchLayer(score, entries, efConstruction, layer);
+      const chosen = found.slice(0, m).map((x) => x.i);
+      links[row][layer] = chosen;
+      for (const nb of chosen) {
+        links[nb][layer].push(row);
+        prune(nb, layer);
+      }
+      entries = found.map((x) => x.i);
+    }
+    if (level > topLayer) { entry = row; topLayer = level; }
+  }
+
+  for (let row = 0; row < n; row++) insert(row);
+
+  return {
+    size: n,
+    search(query, k, ef = efSearch) {
+      if (entry < 0) return [];
+      const score = (i) => dot(matrix, i * dims, query);
+      return searchLayer(score, [descend(score, 0)], Math.max(ef, k), 0).slice(0, k);
+    },
+  };
+}
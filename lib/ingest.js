@@ -0,0 +1,249 @@
+// lib/ingest.js — Document → chunks → embeddings → index.json
+// Shared by scripts/embed.mjs (CLI) and lib/knowledge-base.js (admin API).
+//
+// Re-embedding is incremental: every chunk carries a content hash of
+// (embedding model + cleaned text); chunks whose hash already exists in the
+// previous index reuse that embedding instead of calling the API again.
+import fs from "fs";
+import os from "os";
+import path from "path";
+import crypto from "crypto";
+import { cleanChunkForEmbedding, normalizeWhitespace } from "./text.js";
+import { buildLexicalIndex } from "./bm25.js";
+import { packVectors, rowOf } from "./vector-search.js";
+import { chunkSpans, CHUNK_STRATEGY } from "./chunking.js";
+
+/* ===================== Hashing ===================== */
+export function sha256(data) {
+  return crypto.createHash("sha256").update(data).digest("hex");
+}
+
+/** Identity of an embedding: same model + same cleaned text ⇒ same vector */
+export function chunkHash(model, cleaned) {
+  return sha256(`${model}\n${cleaned}`);
+}
+
+/* ===================== Chunking ===================== */
+/** 1-based page containing character `offset`, given each page's start offset */
+export function pageAt(pageStarts, offset) {
+  let page = 1;
+  for (let i = 0; i < pageStarts.length && pageStarts[i] <= offset; i++) page = i + 1;
+  return page;
+}
+
+/**
+ * Source { name, kind, text, pageStarts?, layout?, records? } → chunk records (not yet embedded).
+ * With `pageStarts` (from readPdfText) each chunk records the page it starts on
+ * and the page it ends on. The structure strategy (lib/chunking.js) reads the
+ * `pdftotext -layout` text when there is one, and adds `section` / `models`.
+ * Sources with `records` (spreadsheet rows, Q&A pairs; lib/loaders) get one chunk per
+ * record whatever the strategy, keeping its `row` / `sheet` / `section` / `models`.
+ */
+export function chunkSource(src, { size, overlap, strategy = CHUNK_STRATEGY }) {
+  const { text, pageStarts } = strategy === "structure" && src.layout ? src.layout : src;
+  const spans = src.records ?? chunkSpans(text, { strategy, size, overlap });
+  return spans.map(({ text: c, start, end, section, models, row, sheet }, idx) => {
+    const cleaned = cleanChunkForEmbedding(c);
+    return {
+      source: src.name,
+      kind: src.kind,
+      chunk_index: idx,
+      chunk_id: `${src.name}#${idx}`,
+      ...(pageStarts?.length && start != null
+        ? { page: pageAt(pageStarts, start), page_end: pageAt(pageStarts, Math.max(start, end - 1)) }
+        : {}),
+      ...(row != null ? { row } : {}),
+      ...(sheet ? { sheet } : {}),
+      ...(section ? { section } : {}),
+      ...(models?.length ? { models } : {}),
+      text_original: c,
+      text_cleaned: cleaned && cleaned.trim() ? cleaned : (normalizeWhitespace(c).slice(0, 4000) || " "),
+    };
+  });
+}
+
+/* ===================== Embedding ===================== */
+/**
+ * Embed chunk records, reusing vectors from `previous` whose hash matches.
+ * `embedder` is a lib/providers embedder; pass only previous vectors from the same provider (embeddedWith).
+ * @returns {Promise<{ vectors: object[], reused: number, embedded: number }>}
+ */
+export async function embedChunks(chunks, { embedder, model = embedder.model, previous = [], batchSize = 64, onProgress } = {}) {
+  const known = new Map();
+  for (const v of previous) if (v.hash && v.embedding?.length) known.set(v.hash, v.embedding);
+
+  const vectors = chunks.map((c) => {
+    const hash = chunkHash(model, c.text_cleaned);
+    return { ...c, hash, embedding: known.get(hash) || null };
+  });
+  const pending = vectors.filter((v) => !v.embedding);
+
+  for (let i = 0; i < pending.length; i += batchSize) {
+    const batch = pending.slice(i, i + batchSize);
+    const emb = (await embedder.embed(batch.map((b) => b.text_cleaned))) || [];
+    if (emb.length !== batch.length) {
+      throw new Error(`Embedding batch returned ${emb.length} vectors for ${batch.length} chunks`);
+    }
+    batch.forEach((b, j) => { b.embedding = emb[j]; });
+    onProgress?.(Math.min(i + batchSize, pending.length), pending.length);
+  }
+
+  return { vectors, reused: vectors.length - pending.length, embedded: pending.length };
+}
+
+/* ===================== Index I/O ===================== */
+// Also used for data/catalog.json (lib/catalog.js)
+export function readJsonFile(filePath) {
+  if (!fs.existsSync(filePath)) return null;
+  try { return JSON.parse(fs.readFileSync(filePath, "utf8")); }
+  catch { return null; }
+}
+
+/** Write-then-rename, so readers (and fs.watch) never see a half-written file */
+export function writeJsonFile(filePath, payload, { space = 2 } = {}) {
+  writeFileAtomic(filePath, JSON.stringify(payload, null, space));
+}
+
+function writeFileAtomic(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmp = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, data);
+  fs.renameSync(tmp, filePath);
+}
+
+/*
+ * Binary layout (INDEX_FORMAT=binary, the default):
+ *   index.json          compact JSON, everything but the embeddings, plus
+ *                       `vectors_file` { file, dtype: "float32", count, dimensions, normalized: true }
+ *   index.<hash>.f32    count × dimensions little-endian float32, rows L2-normalized
+ * The vector file is named after its content and written first; renaming the sidecar over
+ * index.json is the commit point, so a reader never pairs a sidecar with the wrong vectors.
+ * INDEX_FORMAT=json keeps the older single-file layout (embeddings inline). Both are read.
+ */
+const INDEX_FORMAT = (process.env.INDEX_FORMAT || "binary").toLowerCase();
+
+const vectorFileRe = (base) => new RegExp(`^${base.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}\\.[0-9a-f]{12}\\.f32$`);
+
+function assertLittleEndian() {
+  if (os.endianness() !== "LE") throw new Error("Binary index files are little-endian; use INDEX_FORMAT=json on this platform");
+}
+
+/**
+ * index.json (+ vectors file); embeddings come back as Float32Array views of one normalized
+ * matrix, also attached as the non-enumerable `payload.packed` ({ matrix, dims }) for lib/vectors.js.
+ * Missing index → null; a sidecar whose vectors file is missing or the wrong size throws.
+ */
+export function readIndex(filePath) {
+  const raw = readJsonFile(filePath);
+  const vf = raw?.vectors_file;
+  if (!vf) return raw;
+  assertLittleEndian();
+  if (vf.dtype !== "float32") throw new Error(`${filePath}: unsupported vectors dtype "${vf.dtype}"`);
+  const binPath = path.join(path.dirname(filePath), path.basename(vf.file));
+  const buf = fs.readFileSync(binPath);
+  const dims = vf.dimensions;
+  if (vf.count !== raw.vectors.length || buf.byteLength !== vf.count * dims * 4) {
+    throw new Error(`${binPath} does not match ${path.basename(filePath)} (${vf.count} × ${dims} float32 expected, ${buf.byteLength} bytes found)`);
+  }
+  // Float32Array views need 4-byte alignment; small reads can come from Node's shared pool
+  const matrix = buf.byteOffset % 4 === 0
+    ? new Float32Array(buf.buffer, buf.byteOffset, buf.byteLength / 4)
+    : new Float32Array(buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.byteLength));
+  raw.vectors.forEach((v, i) => { v.embedding = rowOf(matrix, dims, i); });
+  Object.defineProperty(raw, "packed", { value: { matrix, dims }, enumerable: false });
+  return raw;
+}
+
+/** Write an index in INDEX_FORMAT; stale vector files of the same index are removed afterwards */
+export function writeIndex(filePath, payload, { format = INDEX_FORMAT } = {}) {
+  const dir = path.dirname(filePath);
+  const base = path.basename(filePath, path.extname(filePath));
+  const { vectors_file, ...rest } = payload;
+  let file = null;
+  if (format === "json") {
+    const vectors = payload.vectors.map((v) => (ArrayBuffer.isView(v.embedding) ? { ...v, embedding: Array.from(v.embedding) } : v));
+    writeJsonFile(filePath, { ...rest, vectors });
+  } else {
+    assertLittleEndian();
+    const { matrix, dims } = packVectors(payload.vectors);
+    const bytes = Buffer.from(matrix.buffer, matrix.byteOffset, matrix.byteLength);
+    file = `${base}.${sha256(bytes).slice(0, 12)}.f32`;
+    writeFileAtomic(path.join(dir, file), bytes);
+    writeJsonFile(filePath, {
+      ...rest,
+      vectors: payload.vectors.map(({ embedding, ...v }) => v),
+      vectors_file: { file, dtype: "float32", count: payload.vectors.length, dimensions: dims, normalized: true },
+    }, { space: 0 });
+  }
+
+  const stale = vectorFileRe(base);
+  for (const name of fs.readdirSync(dir)) {
+    if (name !== file && stale.test(name)) fs.rmSync(path.join(dir, name), { force: true });
+  }
+}
+
+/**
+ * Versioned source entry for `meta.sources`.
+ * The version only moves when the file content (sha256) changes.
+ */
+export function sourceMeta(prev, { name, kind, sha256: fileHash, chunks }) {
+  const changed = !prev || prev.sha256 !== fileHash;
+  return {
+    name,
+    kind,
+    version: changed ? (prev?.version || 0) + 1 : prev.version,
+    sha256: fileHash,
+    chunks,
+    updatedAt: changed ? new Date().toISOString() : (prev.updatedAt || new Date().toISOString()),
+  };
+}
+
+/**
+ * index.json layout version, checked when the server loads an index (lib/vectors.js).
+ *   1 — no `schema_version`; embedding provider implied (Gemini)
+ *   2 — `meta.embedding` { provider, model, dimensions } and `meta.generation`
+ *   3 — embeddings may live in a Float32 vectors file (`vectors_file`, see readIndex)
+ * Bump it when readers need the new layout, and teach scripts/migrate-index.mjs the upgrade.
+ */
+export const INDEX_SCHEMA_VERSION = 3;
+
+/**
+ * Provider / model / dimensions the index was embedded with.
+ * Indexes written before `meta.embedding` existed were all embedded by Gemini.
+ */
+export function indexEmbedding(payload) {
+  const e = payload?.meta?.embedding || {};
+  return {
+    provider: e.provider || "gemini",
+    model: e.model || payload?.model || null,
+    dimensions: e.dimensions ?? payload?.vectors?.find((v) => v.embedding?.length)?.embedding.length ?? null,
+  };
+}
+
+/** Were the index's vectors made by this embedder (so they can be reused / queried)? */
+export function embeddedWith(payload, { provider, model }) {
+  const e = indexEmbedding(payload);
+  return e.provider === provider && e.model === model;
+}
+
+/** Assemble the index.json payload; ids are re-numbered densely and the BM25 index rebuilt */
+export function buildPayload({ vectors, sources, provider, model, generationProvider, generationModel, chunkSize, chunkOverlap, chunkStrategy }) {
+  const numbered = vectors.map((v, i) => ({ ...v, id: i }));
+  return {
+    schema_version: INDEX_SCHEMA_VERSION,
+    createdAt: new Date().toISOString(),
+    model,
+    generation_model: generationModel,
+    stopwords: "EN+Hinglish+Hindi",
+    meta: {
+      sources,
+      chunk_size: chunkSize,
+      chunk_overlap: chunkOverlap,
+      chunk_strategy: chunkStrategy,
+      embedding: { provider, model, dimensions: numbered.find((v) => v.embedding?.length)?.embedding.length ?? null },
+      generation: { provider: generationProvider, model: generationModel },
+    },
+    vectors: numbered,
+    lexical: buildLexicalIndex(numbered),
+  };
+}
@@ -0,0 +1,199 @@
+// lib/knowledge-base.js — Admin-side source management on top of lib/ingest.js
+//
+// upload / replace / list / delete source files (PDF, Markdown, text, DOCX, CSV/XLSX, Q&A;
+// lib/loaders) under data/, re-embedding only the
+// chunks that changed, then hot-swapping the live vectors (and the machine catalog)
+// without a restart.
+// Operations are serialized so two uploads can't interleave their index writes.
+import fs from "fs";
+import path from "path";
+import { CATALOG_PATH, DATA_DIR, EMB_PATH, LLM_PROVIDER, GENERATION_MODEL } from "./config.js";
+import { getEmbedder } from "./providers/index.js";
+import {
+  chunkSource, embedChunks, readIndex, writeIndex, readJsonFile, writeJsonFile, sourceMeta, buildPayload,
+  indexEmbedding, embeddedWith,
+} from "./ingest.js";
+import { CHUNK_STRATEGY } from "./chunking.js";
+import { loadSource, sourceKind, uploadProblem, SUPPORTED_EXTENSIONS } from "./loaders/index.js";
+import { extractCatalogFacts, updateCatalog } from "./catalog.js";
+
+const CHUNK_SIZE    = parseInt(process.env.CHUNK_SIZE    || "1200", 10);
+const CHUNK_OVERLAP = parseInt(process.env.CHUNK_OVERLAP || "200", 10);
+
+// Plain file names only: no paths, no dot-files; the extension must have a loader
+const SOURCE_NAME_RE = /^[A-Za-z0-9][\w .()-]{0,120}\.[a-z]+$/i;
+
+function httpError(message, status) {
+  return Object.assign(new Error(message), { status });
+}
+
+export function validateSourceName(name) {
+  const base = path.basename(String(name || ""));
+  if (base !== name || !SOURCE_NAME_RE.test(base) || !sourceKind(base)) {
+    throw httpError(`Invalid source name "${name}" (expected a plain file name ending in ${SUPPORTED_EXTENSIONS.join(" ")})`, 400);
+  }
+  return base;
+}
+
+/**
+ * @param {object} opts
+ * @param {{ swap(vectors: object[], lexical?: object): void }} opts.vectorIndex  live index to hot-swap (lib/vectors.js)
+ * @param {{ swap(catalog: object): void }} [opts.catalog]  live catalog to hot-swap (lib/catalog-store.js)
+ * @param {object} [opts.embedder]  lib/providers embedder (default: the configured one)
+ */
+export function createKnowledgeBase({
+  vectorIndex,
+  catalog     = null,
+  indexPath   = EMB_PATH,
+  catalogPath = CATALOG_PATH,
+  sourcesDir  = DATA_DIR,
+  embedder    = null,
+} = {}) {
+  let queue = Promise.resolve();
+  const serial = (fn) => {
+    const run = queue.then(fn);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  const currentEmbedder = () => embedder || getEmbedder();
+
+  // Provider / model fields for buildPayload(); generation is what this server runs with
+  const models = () => ({
+    provider: currentEmbedder().provider,
+    model: currentEmbedder().model,
+    generationProvider: LLM_PROVIDER,
+    generationModel: GENERATION_MODEL,
+  });
+
+  const emptyIndex = () => buildPayload({
+    vectors: [], sources: [], ...models(),
+    chunkSize: CHUNK_SIZE, chunkOverlap: CHUNK_OVERLAP, chunkStrategy: CHUNK_STRATEGY,
+  });
+
+  function loadIndex() {
+    const payload = readIndex(indexPath) || emptyIndex();
+    if (payload.model && !embeddedWith(payload, currentEmbedder())) {
+      const built = indexEmbedding(payload);
+      const e = currentEmbedder();
+      throw httpError(`index.json was built with ${built.provider}/${built.model}, server embeds with ${e.provider}/${e.model}; run "npm run embed" first`, 409);
+    }
+    return payload;
+  }
+
+  function commit(payload) {
+    writeIndex(indexPath, payload);
+    vectorIndex?.swap(payload.vectors, payload.lexical);
+    return payload;
+  }
+
+  /** Replace (facts) or drop (null) one source's catalog facts */
+  function commitCatalog(name, sha256, facts) {
+    const next = updateCatalog(readJsonFile(catalogPath), { name, sha256, facts });
+    writeJsonFile(catalogPath, next);
+    catalog?.swap(next);
+    return next;
+  }
+
+  function describe(payload, name) {
+    return (payload.meta?.sources || []).find((s) => s.name === name) || null;
+  }
+
+  return {
+    /** Sources recorded in index.json meta, with live chunk counts */
+    async list() {
+      const payload = readIndex(indexPath) || emptyIndex();
+      const counts = new Map();
+      for (const v of payload.vectors || []) counts.set(v.source, (counts.get(v.source) || 0) + 1);
+      return (payload.meta?.sources || []).map((s) => ({
+        ...s,
+        chunks: counts.get(s.name) || 0,
+        onDisk: fs.existsSync(path.join(sourcesDir, s.name)),
+      }));
+    },
+
+    /**
+     * Add (replace=false) or replace (replace=true) a source file.
+     * @returns {Promise<{ source: object, reused: number, embedded: number, removed: number }>}
+     */
+    put(name, buffer, { replace = false } = {}) {
+      return serial(async () => {
+        name = validateSourceName(name);
+        if (!buffer?.length) throw httpError("Empty upload", 400);
+        const problem = uploadProblem(name, buffer);
+        if (problem) throw httpError(problem, 415);
+
+        const payload = loadIndex();
+        const prev = describe(payload, name);
+        if (prev && !replace) throw httpError(`Source "${name}" already exists; use PUT to replace it`, 409);
+
+        // Parse from a temp file first; the live file is only replaced on success
+        const finalPath = path.join(sourcesDir, name);
+        const tmpPath = `${finalPath}.${process.pid}.upload`;
+        fs.mkdirSync(sourcesDir, { recursive: true });
+        fs.writeFileSync(tmpPath, buffer);
+        try {
+          const read = await loadSource(tmpPath, { name });
+          if (!read.ok) throw httpError(`Could not extract text from "${name}" (${read.why})`, 422);
+
+          const chunks = chunkSource(
+            { name, kind: read.kind, text: read.text, pageStarts: read.pageStarts, layout: read.layout, records: read.records },
+            { size: CHUNK_SIZE, overlap: CHUNK_OVERLAP },
+          );
+          const others = payload.vectors.filter((v) => v.source !== name);
+          const { vectors, reused, embedded } = await embedChunks(chunks, {
+            embedder: currentEmbedder(),
+            previous: payload.vectors,
+          });
+
+          const source = sourceMeta(prev, { name, kind: read.kind, sha256: read.sha256, chunks: vectors.length });
+          const sources = [...(payload.meta?.sources || []).filter((s) => s.name !== name), source];
+
+          fs.renameSync(tmpPath, finalPath);
+          commit(buildPayload({
+            vectors: [...others, ...vectors],
+            sources,
+            ...models(),
+            chunkSize: CHUNK_SIZE,
+            chunkOverlap: CHUNK_OVERLAP,
+            chunkStrategy: CHUNK_STRATEGY,
+          }));
+
+          commitCatalog(name, read.sha256, extractCatalogFacts({ name, text: read.text, pageStarts: read.pageStarts }, { chunks }));
+
+          const removed = payload.vectors.length - others.length;
+          console.log(`📥 ${prev ? "Replaced" : "Added"} ${name} v${source.version}: ${embedded} embedded, ${reused} reused`);
+          return { source, reused, embedded, removed };
+        } finally {
+          fs.rmSync(tmpPath, { force: true });
+        }
+      });
+    },
+
+    /** Drop a source's vectors and meta entry, and delete the file */
+    remove(name) {
+      return serial(async () => {
+        name = validateSourceName(name);
+        const payload = loadIndex();
+        if (!describe(payload, name)) throw httpError(`Source "${name}" not found`, 404);
+
+        const vectors = payload.vectors.filter((v) => v.source !== name);
+        const sources = payload.meta.sources.filter((s) => s.name !== name);
+        const next = buildPayload({
+          vectors,
+          sources,
+          ...models(),
+          chunkSize: payload.meta.chunk_size ?? CHUNK_SIZE,
+          chunkOverlap: payload.meta.chunk_overlap ?? CHUNK_OVERLAP,
+          chunkStrategy: payload.meta.chunk_strategy ?? "fixed",
+        });
+        commit({ ...next, meta: { ...payload.meta, ...next.meta } }); // keep any extra meta recorded by embed
+        commitCatalog(name, null, null);
+        fs.rmSync(path.join(sourcesDir, name), { force: true });
+
+        console.log(`🗑️  Removed ${name}: ${payload.vectors.length - vectors.length} vectors`);
+        return { name, removed: payload.vectors.length - vectors.length };
+      });
+    },
+  };
+}
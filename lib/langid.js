@@ -0,0 +1,114 @@
+// lib/langid.js — Local language identification: English / Hinglish / Hindi
+//
+// Multinomial naive Bayes over character 1–4-grams, trained on first use from the bundled
+// sample (data/langid/train.json, LANGID_PATH) — a few hundred short customer messages per
+// label, so training takes milliseconds and nothing is called over the network.
+// `npm run langid-report` scores it on the held-out data/langid/test.json.
+//
+// Model ids and numbers become "0" before n-grams are taken: "DY-1201L" says nothing about
+// the language around it.
+import { LANGID_PATH } from "./config.js";
+import { readJsonFile } from "./ingest.js";
+
+const ORDERS = [1, 2, 3, 4];
+const ALPHA = 0.5; // additive smoothing for n-grams a label never saw
+
+/* ───────────────────────────── Features ─────────────────────────────── */
+/** Lowercased letters (Devanagari vowel signs kept), digits runs → "0", one space between words */
+function normalize(text = "") {
+  return String(text).toLowerCase()
+    .replace(/\S*\d\S*/g, " 0 ")
+    .replace(/[^\p{L}\p{M}0\s]/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/** Character n-grams of the space-padded text (ORDERS lengths, whitespace-only grams skipped) */
+export function charNgrams(text = "") {
+  const norm = normalize(text);
+  if (!norm) return [];
+  const s = ` ${norm} `;
+  const grams = [];
+  for (const n of ORDERS) {
+    for (let i = 0; i + n <= s.length; i++) {
+      const g = s.slice(i, i + n);
+      if (g.trim()) grams.push(g);
+    }
+  }
+  return grams;
+}
+
+/* ───────────────────────────── Model ────────────────────────────────── */
+/**
+ * { label: [texts] } → model { labels, priors, counts, totals, vocabulary }.
+ * Priors are log(share of training messages); counts[label] is a Map of n-gram → count.
+ */
+export function trainLanguageModel(samples = {}, { alpha = ALPHA } = {}) {
+  const labels = Object.keys(samples).filter((l) => samples[l]?.length);
+  if (!labels.length) throw new Error("Language-ID training sample is empty");
+  const docs = labels.reduce((n, l) => n + samples[l].length, 0);
+  const vocabulary = new Set();
+  const counts = {}, totals = {}, priors = {};
+
+  for (const label of labels) {
+    const c = (counts[label] = new Map());
+    let total = 0;
+    for (const text of samples[label]) {
+      for (const g of charNgrams(text)) {
+        c.set(g, (c.get(g) || 0) + 1);
+        vocabulary.add(g);
+        total++;
+      }
+    }
+    totals[label] = total;
+    priors[label] = Math.log(samples[label].length / docs);
+  }
+  return { labels, priors, counts, totals, vocabulary: vocabulary.size, alpha };
+}
+
+/** Loaded and trained once per process; null (script-only fallback) when the sample is missing */
+export function getLanguageModel() {
+  if (globalThis.__DUKEJIA_LANGID__ === undefined) {
+    const sample = readJsonFile(LANGID_PATH);
+    if (!sample?.labels) console.warn(`⚠️ Language-ID sample not found at ${LANGID_PATH}; detecting Devanagari script only.`);
+    globalThis.__DUKEJIA_LANGID__ = sample?.labels ? trainLanguageModel(sample.labels) : null;
+  }
+  return globalThis.__DUKEJIA_LANGID__;
+}
+
+/* ───────────────────────────── Scoring ──────────────────────────────── */
+/**
+ * Most likely language of `text`.
+ * `scores` are posterior probabilities per label; `confidence` is the winner's. Each character
+ * sits in up to four overlapping n-grams, so log-likelihoods are divided by ORDERS.length before
+ * normalising — otherwise every message would come out ~100% sure.
+ * Text without letters → { label: null, confidence: 0 }.
+ * @returns {{ label: string|null, confidence: number, scores: Object<string, number> }}
+ */
+export function identifyLanguage(text = "", model = getLanguageModel()) {
+  const grams = charNgrams(text);
+  if (!grams.length || !/\p{L}/u.test(text)) return { label: null, confidence: 0, scores: {} };
+
+  // No sample: Devanagari is Hindi, anything else English, with no claim to certainty
+  if (!model) {
+    return /[\u0900-\u097F]/.test(text)
+      ? { label: "hindi", confidence: 1, scores: { hindi: 1 } }
+      : { label: "english", confidence: 0, scores: { english: 0 } };
+  }
+
+  const { labels, priors, counts, totals, vocabulary, alpha } = model;
+  const logp = labels.map((label) => {
+    const c = counts[label];
+    const denom = Math.log(totals[label] + alpha * vocabulary);
+    let ll = 0;
+    for (const g of grams) ll += Math.log((c.get(g) || 0) + alpha) - denom;
+    return priors[label] + ll / ORDERS.length;
+  });
+
+  const max = Math.max(...logp);
+  const exp = logp.map((v) => Math.exp(v - max));
+  const sum = exp.reduce((a, b) => a + b, 0);
+  const scores = Object.fromEntries(labels.map((l, i) => [l, exp[i] / sum]));
+  const best = labels[logp.indexOf(max)];
+  return { label: best, confidence: scores[best], scores };
+}
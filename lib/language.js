@@ -0,0 +1,45 @@
+// lib/language.js — Reply language: English / Hinglish / Hindi (Devanagari)
+//
+// A language the user picked (widget toggle, `language` on /api/ask) is kept in
+// `session.language` and wins; otherwise each message is classified on its own by the
+// character n-gram model in lib/langid.js. Unsure calls ("ok", "hi") fall back to English.
+import { LANGID_MIN_CONFIDENCE } from "./config.js";
+import { identifyLanguage } from "./langid.js";
+
+export const RESPONSE_MODES = ["english", "hinglish", "hindi"];
+
+// Accepted `language` values → mode; "auto" drops the saved preference
+const LANGUAGE_ALIASES = {
+  english: "english", en: "english",
+  hinglish: "hinglish",
+  hindi: "hindi", hi: "hindi", "हिंदी": "hindi", "हिन्दी": "hindi",
+  auto: "auto",
+};
+
+/** Detected reply mode for one message; English below LANGID_MIN_CONFIDENCE */
+export function detectResponseMode(q = "") {
+  const { label, confidence } = identifyLanguage(q || "");
+  return label && RESPONSE_MODES.includes(label) && confidence >= LANGID_MIN_CONFIDENCE ? label : "english";
+}
+
+/** `language` request field → "english" | "hinglish" | "hindi" | "auto"; anything else is a 400 */
+export function parseLanguage(value) {
+  const mode = LANGUAGE_ALIASES[String(value).trim().toLowerCase()];
+  if (!mode) {
+    throw Object.assign(new Error(`Unknown language "${value}" (use ${[...RESPONSE_MODES, "auto"].join(" | ")})`), { status: 400 });
+  }
+  return mode;
+}
+
+/**
+ * Reply mode for one message. A `language` from the request is saved on the session first
+ * ("auto" clears it); the saved preference wins over detection.
+ */
+export function resolveResponseMode(session, text = "", language = null) {
+  if (language != null && language !== "") {
+    const mode = parseLanguage(language);
+    if (mode === "auto") delete session.language;
+    else session.language = mode;
+  }
+  return session?.language || detectResponseMode(text);
+}
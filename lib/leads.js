@@ -0,0 +1,366 @@
+// lib/leads.js — Lead capture: the in-chat details flow and the lead store behind /api/leads
+//
+// When an answer falls back to "contact our sales team" (price questions always do:
+// the knowledge base has no prices) the bot only offers a call back; the flow starts
+// once the user says yes. A clear buying phrase
+// ("want to buy", "send quotation") starts it right away. It asks for
+//   name → company → phone → city → machine of interest
+// one at a time (state in `session.lead`), then saves the lead with the
+// conversation transcript and notifies sales (lib/notify.js). A "no thanks"
+// (`session.leadDeclined`) or a saved lead (`session.leadId`) ends the offers
+// for the rest of the session.
+//
+// Store (LEAD_STORE, lib/record-store.js):
+//   file   — one JSON line per lead in LEADS_PATH (default data/leads.jsonl)
+//   redis  — a Redis list via REDIS_URL (same server as the sessions); required on Vercel
+//   memory — per-process array (dev / tests)
+import path from "path";
+import { randomUUID } from "crypto";
+import { DATA_DIR } from "./config.js";
+import { findModelIds } from "./model-ids.js";
+import { getNotifier } from "./notify.js";
+import { createRecordStore } from "./record-store.js";
+import { matchIntent } from "./smalltalk.js";
+
+const TRANSCRIPT_MESSAGES = 20;
+const REDIS_KEY = process.env.LEADS_REDIS_KEY || "dukejia:leads";
+const DEFAULT_LEADS_PATH = path.join(DATA_DIR, "leads.jsonl");
+
+export const LEAD_CAPTURE = process.env.LEAD_CAPTURE !== "false";
+
+/* ───────────────────────────── Steps ──────────────────────────────── */
+export const LEAD_STEPS = [
+  {
+    key: "name",
+    question: {
+      english:  "May I have your name?",
+      hinglish: "Aapka naam kya hai?",
+      hindi:    "आपका नाम क्या है?",
+    },
+  },
+  {
+    key: "company",
+    optional: true,
+    question: {
+      english:  "Which company are you with? (type “skip” if none)",
+      hinglish: "Company ka naam? (na ho to “skip” likhiye)",
+      hindi:    "आपकी कंपनी का नाम? (न हो तो “skip” लिखिए)",
+    },
+  },
+  {
+    key: "phone",
+    question: {
+      english:  "Your phone / WhatsApp number?",
+      hinglish: "Aapka phone / WhatsApp number?",
+      hindi:    "आपका फ़ोन / WhatsApp नंबर?",
+    },
+    invalid: {
+      english:  "That doesn’t look like a phone number—please share it with the country code if outside India.",
+      hinglish: "Yeh phone number sahi nahi lag raha—kripya dobara likhiye.",
+      hindi:    "यह फ़ोन नंबर सही नहीं लग रहा—कृपया दोबारा लिखिए।",
+    },
+  },
+  {
+    key: "city",
+    question: {
+      english:  "Which city are you in?",
+      hinglish: "Aap kis city se hain?",
+      hindi:    "आप किस शहर से हैं?",
+    },
+  },
+  {
+    key: "machine",
+    optional: true,
+    question: {
+      english:  "Which machine are you interested in? (type “skip” if not sure)",
+      hinglish: "Kaunsi machine mein interest hai? (pata na ho to “skip”)",
+      hindi:    "आपकी किस मशीन में रुचि है? (पता न हो तो “skip” लिखिए)",
+    },
+  },
+];
+
+/* ───────────────────────────── Intent ─────────────────────────────── */
+// Only clear buying phrases start the form; "stitch rate" or "dealer in …" are questions for the knowledge base,
+// and "price of …" gets the sales contact plus a call-back offer (isPriceQuestion)
+const PURCHASE_RE = new RegExp([
+  String.raw`\b(?:i|we)\s+(?:want|wish|would like|need|plan|am planning|are planning)\s+to\s+(?:buy|purchase|order)\b`,
+  String.raw`\b(?:want|looking|ready|interested)\s+(?:to\s+)?(?:buy|purchase|buying|purchasing)\b`,
+  String.raw`\b(?:send|share|give|need|want|get)\s+(?:me\s+|us\s+)?(?:a\s+|the\s+)?(?:quotation|quote)\b`,
+  String.raw`\b(?:book|schedule|arrange|request)\s+(?:a\s+)?demo\b`,
+  String.raw`\bplace\s+(?:an?\s+)?order\b`,
+  String.raw`\b(?:quotation|quote)\s+(?:bhejo|bhejiye|bhej do|chahiye)\b`,
+  String.raw`\b(?:kharidna|khareedna|kharidni|khareedni|leni|lena)\s+hai\b`,
+  String.raw`\bdemo\s+chahiye\b`,
+  "(?:खरीदनी|ख़रीदनी|खरीदना|ख़रीदना|लेनी|लेना) है",
+  "कोटेशन (?:भेज|चाहिए)",
+  "डेमो चाहिए",
+].join("|"), "i");
+// Whole-message yes to a call-back offer ("yes please", "haan ji", "हाँ")
+const YES_WORD = String.raw`(?:yes|yeah|yep|yup|sure|ok|okay|please|plz|pls|call me|go ahead|haan|han|ha|ji|zaroor|jaroor|हाँ|हां|जी|ज़रूर|जरूर|ठीक है)`;
+const YES_RE = new RegExp(String.raw`^\s*${YES_WORD}(?:[\s,]+${YES_WORD})*[\s.!]*$`, "i");
+const CANCEL_RE   = /^\s*(?:(?:cancel|stop|no thanks|no thank you|not now|nahi|nahin|rehne do|later)\b|(?:नहीं|रहने दो|बाद में|रद्द)(?![\u0900-\u097F]))/i;
+const SKIP_RE     = /^\s*(?:skip|none|na|n\/a|no|-|nil|nahi hai|not sure|no idea|pata nahi|नहीं|नहीं है|पता नहीं|कोई नहीं)\s*$/i;
+// "cost" alone, not "thread costs" / "running cost"
+const PRICE_RE    = /\b(?:price[sd]?|pricing|(?<!(?:running|operating|maintenance|thread|power|low) )cost|price list|rate list|kimat|keemat|qeemat|daam|kitne (?:ka|ki|ke|mein|me) (?:hai|milegi|milega|padegi|padega))\b|कीमत|क़ीमत|दाम/i;
+const SALES_FALLBACK_RE = /contact our sales team/i;
+
+export function isPurchaseIntent(question = "") {
+  return PURCHASE_RE.test(question);
+}
+
+/** "DY-1206 price?", "price kitna hai", "कीमत क्या है" — answered from sales, never the knowledge base */
+export function isPriceQuestion(question = "") {
+  return PRICE_RE.test(question);
+}
+
+/** The grounded prompt's "not in the knowledge base" reply */
+export function isSalesFallback(text = "") {
+  return SALES_FALLBACK_RE.test(text);
+}
+
+/** A call-back offer waiting for yes / no, or the details flow */
+export const leadActive = (session) => !!session?.lead;
+
+/** Nothing saved or declined yet in this session */
+export const leadOfferable = (session) => LEAD_CAPTURE && !session?.leadId && !session?.leadDeclined;
+
+/* ───────────────────────────── Answers ────────────────────────────── */
+const PHONE_RE = /^\+?[\d\s().-]{7,20}$/;
+const PLACE_RE = /^[\p{L}][\p{L} .'-]{0,59}$/u;
+// English / Hinglish / Hindi question openers and words that never belong in a name, company or city
+const QUESTION_RE = /^\s*(?:is|are|do|does|did|can|could|will|would|should|tell|show|explain|list|give|suggest|recommend)\b|\b(?:what|which|who|whom|whose|when|where|why|how|tell me|show me|kya|kaun|kaunsa|kaunsi|kaise|kitna|kitni|kitne|kab|kahan|kyun|kyon|batao|bataiye|bataye)\b|क्या|कौन|कैसे|कितन|कब|कहाँ|क्यों|बताइए|बताओ|बताएं/i;
+const words = (text) => text.split(/\s+/).filter(Boolean).length;
+
+/**
+ * A new question rather than an answer to `key`: a question mark or question word, a long
+ * message, small talk, or a model id anywhere but the machine step.
+ */
+export function looksLikeQuestion(text = "", key = null) {
+  const t = String(text).trim();
+  if (!t) return false;
+  if (/\?\s*$/.test(t) || QUESTION_RE.test(t) || words(t) > 8) return true;
+  if (key !== "machine" && findModelIds(t).length) return true;
+  return !!matchIntent(t);
+}
+
+/** Normalize one answer; undefined = invalid, null = skipped */
+export function parseLeadField(key, input = "") {
+  const text = String(input).replace(/\s+/g, " ").trim();
+  const step = LEAD_STEPS.find((s) => s.key === key);
+  if (!text) return undefined;
+  if (step?.optional && SKIP_RE.test(text)) return null;
+
+  switch (key) {
+    case "name": {
+      const name = text.replace(/^(?:my name is|name is|i am|i'm|this is|mera naam|main)\s+/i, "").replace(/\s+(?:hai|hoon|here)\.?$/i, "");
+      return PLACE_RE.test(name) && words(name) <= 4 ? name : undefined;
+    }
+    case "company":
+      return words(text) <= 8 ? text.slice(0, 80) : undefined;
+    case "city":
+      return PLACE_RE.test(text) && words(text) <= 4 ? text : undefined;
+    case "phone": {
+      const phone = text.replace(/^(?:my number is|number is|phone:?|mobile:?)\s*/i, "");
+      const digits = phone.replace(/\D/g, "");
+      return PHONE_RE.test(phone) && digits.length >= 7 && digits.length <= 15 ? phone : undefined;
+    }
+    case "machine": {
+      const ids = findModelIds(text);
+      return ids.length ? ids.map((m) => m.raw.toUpperCase()).join(", ") : text.slice(0, 80);
+    }
+    default:
+      return text.slice(0, 80);
+  }
+}
+
+/** Machine already named in the question or the last few user turns */
+function machineFrom(texts) {
+  for (const t of texts) {
+    const ids = findModelIds(t);
+    if (ids.length) return ids.map((m) => m.raw.toUpperCase()).join(", ");
+  }
+  return undefined;
+}
+
+const nextStep = (fields) => LEAD_STEPS.find((s) => fields[s.key] === undefined) || null;
+
+function stepPayload(step, fields) {
+  return {
+    status: "collecting",
+    step: step.key,
+    index: LEAD_STEPS.indexOf(step) + 1,
+    total: LEAD_STEPS.length,
+    fields: { ...fields },
+  };
+}
+
+/* ───────────────────────────── Flow ───────────────────────────────── */
+const INTRO = {
+  intent: {
+    english:  "Prices, quotations and demos come straight from our sales team—share a few details and they’ll get in touch.",
+    hinglish: "Price, quotation aur demo ke liye hamari sales team seedha contact karegi—bas kuch details share kijiye.",
+    hindi:    "कीमत, कोटेशन और डेमो के लिए हमारी सेल्स टीम सीधे संपर्क करेगी—बस कुछ जानकारी साझा कीजिए।",
+  },
+};
+const OFFER = {
+  english:  "Want our sales team to call you back? Reply “yes” to share your details, or “no thanks”.",
+  hinglish: "Sales team aapko call kare? Details share karne ke liye “haan” likhiye, ya “no thanks”.",
+  hindi:    "क्या हमारी सेल्स टीम आपको कॉल करे? जानकारी देने के लिए “हाँ” लिखिए, या “नहीं”।",
+};
+const CANCELLED = {
+  english:  "No problem—ask me anything else!",
+  hinglish: "Koi baat nahi—aur kuch poochhiye!",
+  hindi:    "कोई बात नहीं—और कुछ पूछिए!",
+};
+const NO_RE = /^\s*(?:no|nope|nah|na)\b/i;
+
+/**
+ * Offer a call back; the details flow only starts once the user says yes (continueLead).
+ * @returns {{ text:string, lead:object }}
+ */
+export function offerLead(session, { reason = "fallback", mode = "english", question = "" } = {}) {
+  session.lead = { reason, offered: true, question, startedAt: Date.now() };
+  return { text: OFFER[mode] || OFFER.english, lead: { status: "offered" } };
+}
+
+/**
+ * Start collecting details in `session.lead`.
+ * @param {"intent"|"fallback"} reason
+ * @returns {{ text:string, lead:object }}
+ */
+export function startLead(session, { reason = "intent", mode = "english", question = "" } = {}) {
+  const fields = {};
+  const machine = machineFrom([question, ...(session.history || []).filter((m) => m.role === "user").map((m) => m.content).reverse().slice(0, 3)]);
+  if (machine) fields.machine = machine;
+  session.lead = { reason, fields, startedAt: Date.now() };
+
+  const step = nextStep(fields);
+  const intro = INTRO[reason]?.[mode] || INTRO[reason]?.english;
+  const ask = step.question[mode] || step.question.english;
+  return { text: intro ? `${intro}\n\n${ask}` : ask, lead: stepPayload(step, fields) };
+}
+
+/**
+ * Feed one message to a pending offer or the active flow.
+ * @returns {{ text:string, lead:object } | { complete:true, reason:string, fields:object } | { cancelled:true, text:string } | { passThrough:true }}
+ *   cancelled: "no thanks" — recorded as `session.leadDeclined`, so nothing is offered again this session
+ *   passThrough: a new question instead of an answer — the offer / flow is dropped
+ */
+export function continueLead(session, input = "", { mode = "english" } = {}) {
+  const text = String(input).trim();
+  const { offered, fields, reason, question } = session.lead;
+  // "nahi hai" / "नहीं" skips an optional step rather than cancelling
+  const skipping = !offered && nextStep(fields).optional && SKIP_RE.test(text);
+  if (!skipping && (CANCEL_RE.test(text) || (offered && NO_RE.test(text)))) {
+    delete session.lead;
+    session.leadDeclined = true;
+    return { cancelled: true, text: CANCELLED[mode] || CANCELLED.english };
+  }
+  if (offered) {
+    if (YES_RE.test(text)) return startLead(session, { reason, mode, question });
+    delete session.lead;
+    return { passThrough: true };
+  }
+
+  const step = nextStep(fields);
+  const value = parseLeadField(step.key, text);
+  // A valid phone number is never a question; anything else is checked before it's taken as an answer
+  if (step.key !== "phone" || value === undefined) {
+    if (looksLikeQuestion(text, step.key)) { delete session.lead; return { passThrough: true }; }
+  }
+  if (value === undefined) {
+    const ask = step.invalid || step.question;
+    return { text: ask[mode] || ask.english, lead: stepPayload(step, fields) };
+  }
+  fields[step.key] = value;
+
+  const next = nextStep(fields);
+  if (next) return { text: next.question[mode] || next.question.english, lead: stepPayload(next, fields) };
+  delete session.lead;
+  return { complete: true, reason, fields };
+}
+
+export function leadThanks(lead, mode = "english") {
+  if (mode === "hinglish") return `Dhanyavaad ${lead.name}! Hamari sales team jald hi ${lead.phone} par contact karegi.`;
+  if (mode === "hindi") return `धन्यवाद ${lead.name}! हमारी सेल्स टीम जल्द ही ${lead.phone} पर संपर्क करेगी।`;
+  return `Thank you, ${lead.name}! Our sales team will contact you at ${lead.phone} shortly.`;
+}
+
+/* ───────────────────────────── Saving ─────────────────────────────── */
+/** Form submissions (POST /api/leads): name + a valid phone required. Throws 400 with the first problem. */
+export function validateLead(input = {}) {
+  const fields = {};
+  for (const { key } of LEAD_STEPS) {
+    const raw = input[key];
+    if (raw == null || raw === "") {
+      if (key === "name" || key === "phone") throw Object.assign(new Error(`Missing '${key}'`), { status: 400 });
+      fields[key] = null;
+      continue;
+    }
+    const value = parseLeadField(key, raw);
+    if (value === undefined) throw Object.assign(new Error(`Invalid '${key}'`), { status: 400 });
+    fields[key] = value;
+  }
+  return fields;
+}
+
+/**
+ * Store a lead with the session transcript and its routing, and notify sales.
+ * @returns {Promise<object>} the stored lead
+ */
+export async function saveLead({ fields, session, sessionId = null, reason = "form", language = "english", handoff = null, store = getLeadStore(), notifier = getNotifier() }) {
+  const lead = {
+    id: randomUUID(),
+    createdAt: new Date().toISOString(),
+    reason,
+    language,
+    sessionId,
+    name: fields.name ?? null,
+    company: fields.company ?? null,
+    phone: fields.phone ?? null,
+    city: fields.city ?? null,
+    machine: fields.machine ?? null,
+    // where lib/contacts.js routed it (product line, region, office, desk e-mail)
+    routing: handoff ? { line: handoff.line, region: handoff.region, office: handoff.office, email: handoff.email } : null,
+    transcript: (session?.history || [])
+      .slice(-TRANSCRIPT_MESSAGES)
+      .map(({ role, content, ts }) => ({ role, content, ts })),
+  };
+  await store.add(lead);
+  if (session) session.leadId = lead.id;
+
+  try {
+    await notifier.notify({ type: "lead", lead });
+  } catch (e) {
+    console.warn("⚠️ Lead notification failed:", e?.message || e);
+  }
+  return lead;
+}
+
+/* ───────────────────────────── Store ──────────────────────────────── */
+/** Why a `kind` store can't keep leads here, or null — createLeadStore throws it, /api/health reports it */
+export function leadStoreProblem(kind = process.env.LEAD_STORE || "file") {
+  // Vercel's /tmp and memory are per instance and gone on the next cold start — a lead there is silently lost
+  if (process.env.VERCEL && String(kind).toLowerCase() !== "redis") {
+    return `LEAD_STORE=redis is required on Vercel (got "${kind}"; /tmp and memory are lost on cold start)`;
+  }
+  if (String(kind).toLowerCase() === "redis" && !process.env.REDIS_URL) {
+    return 'LEAD_STORE=redis needs REDIS_URL (e.g. "redis://localhost:6379")';
+  }
+  return null;
+}
+
+export function createLeadStore(kind = process.env.LEAD_STORE || "file") {
+  const problem = leadStoreProblem(kind);
+  if (problem) throw new Error(problem);
+  return createRecordStore(kind, {
+    filePath: process.env.LEADS_PATH ? path.resolve(process.env.LEADS_PATH) : DEFAULT_LEADS_PATH,
+    redisKey: REDIS_KEY,
+    label: "LEAD_STORE",
+  });
+}
+
+/** One store per process (and per warm serverless instance) */
+export function getLeadStore() {
+  return (globalThis.__DUKEJIA_LEAD_STORE__ ??= createLeadStore());
+}
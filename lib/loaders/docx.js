@@ -0,0 +1,63 @@
+// lib/loaders/docx.js — Word (.docx) → text
+//
+// Reads word/document.xml: heading styles become "#" lines and numbered / bulleted paragraphs
+// "•" items, so the structure chunker sees the document's outline. Two-column table rows are
+// written as "Key: value", wider ones as layout rows (cells spaced apart).
+import { openZip, xmlText, xmlAttr } from "./zip.js";
+
+/** Text of one <w:p>, with tabs and line breaks kept */
+function paragraphText(xml) {
+  return xmlText(xml
+    .replace(/<w:(?:tab|ptab)\b[^>]*\/>/g, "\t")
+    .replace(/<w:(?:br|cr)\b[^>]*\/>/g, "\n")
+    .replace(/<w:instrText\b[\s\S]*?<\/w:instrText>/g, "")
+    .replace(/<w:delText\b[\s\S]*?<\/w:delText>/g, ""));
+}
+
+/** Heading level from the paragraph style ("Title", "Heading2") or its outline level */
+function headingLevel(pPr) {
+  const style = pPr.match(/<w:pStyle\b([^>]*)\/>/)?.[1];
+  const name = style ? xmlAttr(style, "w:val") || "" : "";
+  if (/^title$/i.test(name)) return 1;
+  const outline = pPr.match(/<w:outlineLvl\b([^>]*)\/>/)?.[1];
+  const lvl = outline ? parseInt(xmlAttr(outline, "w:val"), 10) : NaN;
+  if (lvl >= 0 && lvl < 9) return Math.min(6, lvl + 1); // 9 = body text
+  const m = name.match(/heading\s*(\d)/i);
+  return m ? parseInt(m[1], 10) : 0;
+}
+
+function paragraph(xml) {
+  const pPr = xml.match(/<w:pPr>([\s\S]*?)<\/w:pPr>/)?.[1] || "";
+  const text = paragraphText(xml.replace(/<w:pPr>[\s\S]*?<\/w:pPr>/, "")).trim();
+  if (!text) return "";
+  const level = headingLevel(pPr);
+  if (level) return `${"#".repeat(level)} ${text.replace(/\s+/g, " ")}`;
+  if (/<w:numPr>/.test(pPr)) return `• ${text}`;
+  return text;
+}
+
+function table(xml) {
+  const rows = [];
+  for (const [row] of xml.matchAll(/<w:tr\b[\s\S]*?<\/w:tr>/g)) {
+    const cells = [...row.matchAll(/<w:tc\b[\s\S]*?<\/w:tc>/g)]
+      .map(([tc]) => [...tc.matchAll(/<w:p\b[\s\S]*?<\/w:p>/g)].map(([p]) => paragraphText(p).trim()).filter(Boolean).join(" "));
+    if (!cells.some(Boolean)) continue;
+    rows.push(cells.length === 2 && cells[0] && cells[1] ? `${cells[0]}: ${cells[1]}` : cells.join("   "));
+  }
+  return rows.join("\n");
+}
+
+/** DOCX buffer → text; paragraphs and tables in document order, separated by blank lines */
+export function docxToText(buf) {
+  const xml = openZip(buf).read("word/document.xml");
+  if (xml == null) throw new Error("Not a Word document (no word/document.xml)");
+  const body = xml.match(/<w:body>([\s\S]*)<\/w:body>/)?.[1] || "";
+
+  const blocks = [];
+  // Top-level tables first (they contain paragraphs of their own), then the paragraphs between them
+  for (const [, tbl, p] of body.matchAll(/(<w:tbl>[\s\S]*?<\/w:tbl>)|(<w:p\b[^>]*\/>|<w:p\b[\s\S]*?<\/w:p>)/g)) {
+    const text = tbl ? table(tbl) : paragraph(p);
+    if (text) blocks.push(text);
+  }
+  return blocks.join("\n\n");
+}
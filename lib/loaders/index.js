@@ -0,0 +1,103 @@
+// lib/loaders/index.js — Knowledge source files → text (+ records) for lib/ingest.js
+//
+// The file extension picks the loader, and becomes the source `kind` stored on every chunk and
+// in `meta.sources` (citations only link PDFs; other kinds cite the row or section instead):
+//   pdf                   PDF pages (pdf-parse, Poppler fallback; lib/loaders/pdf.js)
+//   markdown  .md         headings / lists / tables kept for the structure chunker
+//   text      .txt        as is
+//   docx      .docx       Word paragraphs, headings and tables
+//   csv       .csv .tsv   one chunk per row, "Header: value" lines
+//   xlsx      .xlsx       one chunk per row of every sheet
+//   qa        .qa.txt .qa.md, or a csv / xlsx with question + answer columns — one chunk per pair
+// Record kinds (csv, xlsx, qa) come back with `records` (one chunk each); `text` is still the
+// whole document, for lib/catalog.js.
+import fs from "fs";
+import path from "path";
+import { sha256 } from "../ingest.js";
+import { readPdfText } from "./pdf.js";
+import { decodeText, markdownToText } from "./text.js";
+import { parseQaText } from "./qa.js";
+import { parseCsv, readXlsx, tableRecords } from "./table.js";
+import { docxToText } from "./docx.js";
+
+export const SUPPORTED_EXTENSIONS = [".pdf", ".md", ".markdown", ".txt", ".docx", ".csv", ".tsv", ".xlsx"];
+
+/** Source kind for a file name, or null when no loader reads it */
+export function sourceKind(name = "") {
+  const lower = String(name).toLowerCase();
+  if (/\.qa\.(txt|md|markdown)$/.test(lower)) return "qa";
+  switch (path.extname(lower)) {
+    case ".pdf":      return "pdf";
+    case ".md":
+    case ".markdown": return "markdown";
+    case ".txt":      return "text";
+    case ".docx":     return "docx";
+    case ".csv":
+    case ".tsv":      return "csv";
+    case ".xlsx":     return "xlsx";
+    default:          return null;
+  }
+}
+
+/** Why `buf` can't be a `name` upload (wrong magic bytes, not UTF-8 text), or null */
+export function uploadProblem(name, buf) {
+  const kind = sourceKind(name);
+  if (!kind) return `Unsupported file type (use ${SUPPORTED_EXTENSIONS.join(" ")})`;
+  if (kind === "pdf") return buf.subarray(0, 5).toString("latin1") === "%PDF-" ? null : "Upload is not a PDF";
+  if (kind === "docx" || kind === "xlsx") {
+    return buf.subarray(0, 4).toString("latin1") === "PK\x03\x04" ? null : `Upload is not a .${kind} file`;
+  }
+  try { new TextDecoder("utf-8", { fatal: true }).decode(buf); return null; }
+  catch { return "Upload is not UTF-8 text"; }
+}
+
+/** Whole-document text for record kinds: records separated by blank lines */
+function fromRecords(kind, records) {
+  return { kind, text: records.map((r) => r.text).join("\n\n"), records };
+}
+
+function readAs(kind, buf, name) {
+  switch (kind) {
+    case "markdown": return { kind, text: markdownToText(decodeText(buf)) };
+    case "text":     return { kind, text: decodeText(buf).trim() };
+    case "docx":     return { kind, text: docxToText(buf) };
+    case "qa": {
+      const text = decodeText(buf);
+      return fromRecords(kind, parseQaText(/\.qa\.(md|markdown)$/i.test(name) ? markdownToText(text) : text));
+    }
+    case "csv": {
+      const text = decodeText(buf);
+      const { kind: k, records } = tableRecords(parseCsv(text, /\.tsv$/i.test(name) ? "\t" : undefined));
+      return fromRecords(k === "qa" ? "qa" : kind, records);
+    }
+    case "xlsx": {
+      const sheets = readXlsx(buf).map((s) => tableRecords(s.rows, { sheet: s.name }));
+      return fromRecords(sheets.length && sheets.every((s) => s.kind === "qa") ? "qa" : kind, sheets.flatMap((s) => s.records));
+    }
+    default: throw new Error(`Unknown source kind "${kind}"`);
+  }
+}
+
+/**
+ * Read one source file. `name` (default: the file's base name) picks the loader.
+ * @returns {Promise<{ ok: true, kind: string, text: string, pageStarts?: number[], layout?: object, records?: object[], pages?: number, filePath: string, sha256: string } | { ok: false, why: string, filePath?: string }>}
+ */
+export async function loadSource(filePath, { name = path.basename(filePath || "") } = {}) {
+  const kind = sourceKind(name);
+  if (!kind) return { ok: false, why: "unsupported", filePath };
+  if (kind === "pdf") {
+    const res = await readPdfText(filePath);
+    return res.ok ? { ...res, kind } : res;
+  }
+
+  if (!filePath) return { ok: false, why: "no path" };
+  if (!fs.existsSync(filePath)) return { ok: false, why: "missing", filePath };
+  const buf = fs.readFileSync(filePath);
+  if (!buf?.length) return { ok: false, why: "empty", filePath };
+
+  let read;
+  try { read = readAs(kind, buf, name); }
+  catch (err) { return { ok: false, why: `unreadable (${err.message})`, filePath }; }
+  if (!read.text.trim()) return { ok: false, why: "no-extract", filePath };
+  return { ok: true, ...read, filePath, sha256: sha256(buf) };
+}
@@ -0,0 +1,107 @@
+// lib/loaders/pdf.js — PDF → text, one page at a time (pdf-parse, Poppler fallback)
+import fs from "fs";
+import path from "path";
+import { execFileSync } from "child_process";
+import { createRequire } from "module";
+import { normalizeWhitespace } from "../text.js";
+import { sha256 } from "../ingest.js";
+
+/* ---- pdf-parse: robust ESM/CJS loader (loaded on first PDF) ---- */
+const require = createRequire(import.meta.url);
+let pdfParse = null;
+
+async function loadPdfParse() {
+  if (pdfParse) return pdfParse;
+  try {
+    const m = await import("pdf-parse");
+    pdfParse = m?.default ?? m;
+  } catch {
+    const m2 = require("pdf-parse");
+    pdfParse = m2?.default ?? m2;
+  }
+  if (typeof pdfParse !== "function") {
+    throw new TypeError("pdf-parse export resolution failed. Try `npm i pdf-parse@1`.");
+  }
+  return pdfParse;
+}
+
+// Try Poppler when pdf-parse returns too little (fonts/encoding issues)
+// Pages come back separated by form feeds.
+function tryPopplerPages(pdfPath) {
+  try {
+    const args = ["-layout", "-enc", "UTF-8", pdfPath, "-"]; // stdout
+    const out = execFileSync("pdftotext", args, { encoding: "utf8", stdio: ["ignore", "pipe", "pipe"] });
+    return (out || "").replace(/\f$/, "").split("\f");
+  } catch {
+    return [];
+  }
+}
+
+// Same text layout as pdf-parse's default page renderer, but kept per page
+function renderPage(pages) {
+  return (pageData) => pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false })
+    .then((content) => {
+      let lastY, text = "";
+      for (const item of content.items) {
+        text += (lastY == item.transform[5] || !lastY) ? item.str : "\n" + item.str;
+        lastY = item.transform[5];
+      }
+      pages[pageData.pageIndex] = text;
+      return text;
+    });
+}
+
+const visibleLength = (pages) => pages.join("").replace(/\s+/g, "").length;
+
+/** Join normalized pages; `pageStarts[i]` is the offset where page i+1 begins in `text` */
+function joinPages(pages) {
+  let text = "";
+  const pageStarts = [];
+  for (const raw of pages) {
+    const page = normalizeWhitespace(raw || "").trim();
+    pageStarts.push(text ? text.length + 2 : 0);
+    if (page) text = text ? `${text}\n\n${page}` : page;
+  }
+  return { text, pageStarts };
+}
+
+/**
+ * `layout` is the `pdftotext -layout` rendering (columns kept) when Poppler is installed;
+ * the structure chunker prefers it, the catalog keeps reading `text`.
+ * @returns {Promise<{ ok: true, text: string, pageStarts: number[], layout?: { text: string, pageStarts: number[] }, pages: number, filePath: string, sha256: string } | { ok: false, why: string }>}
+ */
+export async function readPdfText(filePath) {
+  if (!filePath) return { ok: false, why: "no path" };
+  if (!fs.existsSync(filePath)) return { ok: false, why: "missing", filePath };
+
+  const buf = fs.readFileSync(filePath);
+  if (!buf?.length) return { ok: false, why: "empty", filePath };
+
+  // 1) primary: pdf-parse, one string per page
+  let pages = [];
+  try {
+    const parse = await loadPdfParse();
+    await parse(buf, { pagerender: renderPage(pages) });
+    pages = Array.from(pages, (p) => p || "");
+  } catch {
+    pages = [];
+  }
+
+  // 2) Poppler fallback if too little text
+  let poppler = null;
+  if (visibleLength(pages) < 50) {
+    poppler = tryPopplerPages(filePath);
+    if (visibleLength(poppler) >= 50) {
+      pages = poppler;
+      console.log("ℹ️  Used Poppler fallback for:", path.basename(filePath));
+    }
+  }
+
+  const { text, pageStarts } = joinPages(pages);
+  if (!text) return { ok: false, why: "no-extract", filePath };
+
+  // 3) Column layout for the structure chunker
+  const layoutPages = poppler ?? tryPopplerPages(filePath);
+  const layout = visibleLength(layoutPages) >= 50 ? joinPages(layoutPages) : null;
+  return { ok: true, text, pageStarts, ...(layout ? { layout } : {}), pages: pages.length, filePath, sha256: sha256(buf) };
+}
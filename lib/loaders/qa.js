@@ -0,0 +1,49 @@
+// lib/loaders/qa.js — Q&A sources: every question / answer pair becomes its own chunk
+//
+// Text format (*.qa.txt, *.qa.md):
+//   Q: What is the max speed of DY-1201L?        ("Q." / "Q1." / "## …?" headings work too)
+//   A: 1200 stitches per minute.                  ("A:" is optional; the answer runs to the next question)
+// Spreadsheets with question / answer columns (lib/loaders/table.js) produce the same records.
+// Records render as "Q. question\nanswer", the layout lib/catalog.js reads specs from.
+import { modelsIn } from "../chunking.js";
+
+const QUESTION_RE = /^\s*(?:Q\s*\d{0,3}\s*[.:)]|#{1,6}\s+(?=.*\?\s*$))\s*/i;
+const ANSWER_RE   = /^\s*A\s*\d{0,3}\s*[.:)]\s*/i;
+
+/** One Q&A record { text, section, models? }; `extra` are further "Key: value" lines */
+export function qaRecord(question, answer, extra = []) {
+  const q = String(question).replace(/\s+/g, " ").trim();
+  const text = [`Q. ${q}`, String(answer).trim(), ...extra].filter(Boolean).join("\n");
+  const models = modelsIn(q);
+  return { text, section: q, ...(models.length ? { models } : {}) };
+}
+
+/** Q&A text → records; text before the first question is kept as its own record */
+export function parseQaText(text = "") {
+  const pairs = [];
+  let current = null;
+  let preamble = [];
+
+  for (const line of text.split("\n")) {
+    if (QUESTION_RE.test(line)) {
+      current = { question: line.replace(QUESTION_RE, ""), answer: [], asking: !/\?\s*$/.test(line) };
+      pairs.push(current);
+      continue;
+    }
+    if (!current) { preamble.push(line); continue; }
+    // A question wrapped onto the next line ("Q. … of the\nDY-1201L?")
+    if (current.asking && /\?\s*$/.test(line) && !ANSWER_RE.test(line)) {
+      current.question += ` ${line.trim()}`;
+      current.asking = false;
+      continue;
+    }
+    current.asking = false;
+    current.answer.push(line.replace(ANSWER_RE, ""));
+  }
+
+  const records = pairs
+    .map((p) => qaRecord(p.question, p.answer.join("\n").replace(/\n{3,}/g, "\n\n")))
+    .filter((r) => r.section);
+  preamble = preamble.join("\n").trim();
+  return preamble ? [{ text: preamble }, ...records] : records;
+}
@@ -0,0 +1,138 @@
+// lib/loaders/table.js — CSV / TSV / XLSX sources: one record (→ one chunk) per row
+//
+// Every row is written out as "Header: value" lines, so a chunk still says which column each
+// value came from; XLSX rows start with their sheet name. A sheet (or file) whose header has
+// question and answer columns is a Q&A table: each row becomes a Q&A record (lib/loaders/qa.js).
+import { openZip, xmlText, xmlAttr } from "./zip.js";
+import { qaRecord } from "./qa.js";
+import { modelsIn } from "../chunking.js";
+
+const QUESTION_COL = /^(q|question|questions|faq|query|prompt)$/i;
+const ANSWER_COL   = /^(a|answer|answers|reply|response)$/i;
+
+/* ───────────────────────────── CSV ──────────────────────────────────── */
+/** Delimiter of the first line: the most frequent of , ; tab | outside quotes */
+function sniffDelimiter(text) {
+  const first = text.slice(0, text.indexOf("\n") >>> 0).replace(/"[^"]*"/g, "");
+  let best = ",", count = 0;
+  for (const d of [",", ";", "\t", "|"]) {
+    const n = first.split(d).length - 1;
+    if (n > count) { best = d; count = n; }
+  }
+  return best;
+}
+
+/**
+ * RFC 4180 CSV → [{ cells, line }]; quoted fields may hold delimiters, "" and newlines.
+ * `line` is the 1-based line the record starts on.
+ */
+export function parseCsv(text, delimiter = sniffDelimiter(text)) {
+  const rows = [];
+  let cells = [], cell = "", quoted = false, line = 1, startLine = 1;
+  const endCell = () => { cells.push(cell); cell = ""; };
+  const endRow = () => {
+    endCell();
+    if (cells.some((c) => c.trim())) rows.push({ cells, line: startLine });
+    cells = [];
+    startLine = line;
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else { if (ch === "\n") line++; cell += ch; }
+    } else if (ch === '"' && !cell.trim()) { cell = ""; quoted = true; }
+    else if (ch === delimiter) endCell();
+    else if (ch === "\n") { line++; endRow(); }
+    else cell += ch;
+  }
+  if (cell || cells.length) endRow();
+  return rows;
+}
+
+/* ───────────────────────────── XLSX ─────────────────────────────────── */
+/** "BC12" → 54 (0-based column index) */
+function columnIndex(ref) {
+  let n = 0;
+  for (const ch of ref.replace(/\d+$/, "").toUpperCase()) n = n * 26 + ch.charCodeAt(0) - 64;
+  return n - 1;
+}
+
+/** Sheets in workbook order → [{ name, path }] */
+function listSheets(zip) {
+  const rels = new Map();
+  for (const [, attrs] of (zip.read("xl/_rels/workbook.xml.rels") || "").matchAll(/<Relationship\b([^>]*)\/?>/g)) {
+    const target = xmlAttr(attrs, "Target") || "";
+    rels.set(xmlAttr(attrs, "Id"), target.startsWith("/") ? target.slice(1) : `xl/${target}`);
+  }
+  return [...(zip.read("xl/workbook.xml") || "").matchAll(/<sheet\b([^>]*)\/?>/g)]
+    .map(([, attrs]) => ({ name: xmlAttr(attrs, "name"), path: rels.get(xmlAttr(attrs, "r:id")) }))
+    .filter((s) => s.path && zip.names.includes(s.path));
+}
+
+/** Rows of one worksheet → [{ cells, line }] (`line` = spreadsheet row number) */
+function sheetRows(xml, shared) {
+  const rows = [];
+  for (const [, rowAttrs, body] of xml.matchAll(/<row\b([^>]*)>([\s\S]*?)<\/row>/g)) {
+    const cells = [];
+    for (const [, attrs, inner] of body.matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const type = xmlAttr(attrs, "t");
+      const v = inner?.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+      let value = "";
+      if (type === "s") value = shared[parseInt(v, 10)] ?? "";
+      else if (type === "inlineStr") value = xmlText(inner.match(/<is>([\s\S]*?)<\/is>/)?.[1] || "");
+      else if (type === "b") value = v === "1" ? "TRUE" : "FALSE";
+      else if (v != null) value = xmlText(v);
+      const ref = xmlAttr(attrs, "r");
+      cells[ref ? columnIndex(ref) : cells.length] = value;
+    }
+    const line = parseInt(xmlAttr(rowAttrs, "r"), 10) || rows.length + 1;
+    if (cells.some((c) => c?.trim())) rows.push({ cells: Array.from(cells, (c) => c ?? ""), line });
+  }
+  return rows;
+}
+
+/** XLSX buffer → [{ name, rows }] */
+export function readXlsx(buf) {
+  const zip = openZip(buf);
+  // Rich-text strings are several <r><t> runs; phonetic hints (<rPh>) are not part of the text
+  const shared = [...(zip.read("xl/sharedStrings.xml") || "").matchAll(/<si>([\s\S]*?)<\/si>/g)]
+    .map(([, si]) => xmlText(si.replace(/<rPh\b[\s\S]*?<\/rPh>/g, "")));
+  return listSheets(zip).map((s) => ({ name: s.name, rows: sheetRows(zip.read(s.path), shared) }));
+}
+
+/* ───────────────────────────── Records ──────────────────────────────── */
+/**
+ * Table rows (first row = header) → records { text, row, sheet?, section?, models? }.
+ * `row` is the file / sheet row the record came from.
+ * @returns {{ kind: "table" | "qa", records: object[] }}
+ */
+export function tableRecords(rows, { sheet = null } = {}) {
+  const [head, ...body] = rows;
+  if (!head) return { kind: "table", records: [] };
+  const headers = head.cells.map((h, i) => h.replace(/\s+/g, " ").trim() || `Column ${i + 1}`);
+  const q = headers.findIndex((h) => QUESTION_COL.test(h));
+  const a = headers.findIndex((h) => ANSWER_COL.test(h));
+  const qa = q >= 0 && a >= 0;
+
+  const records = [];
+  for (const { cells, line } of body) {
+    const fields = headers
+      .map((h, i) => [h, String(cells[i] ?? "").trim()])
+      .filter(([, v], i) => v && !(qa && (i === q || i === a)));
+    const lines = fields.map(([h, v]) => `${h}: ${v}`);
+    const where = { row: line, ...(sheet ? { sheet } : {}) };
+
+    if (qa && String(cells[q] ?? "").trim()) {
+      records.push({ ...qaRecord(cells[q], cells[a] ?? "", lines), ...where });
+      continue;
+    }
+    if (!lines.length) continue;
+    const text = [...(sheet ? [sheet] : []), ...lines].join("\n");
+    const models = modelsIn(lines.join("\n"));
+    records.push({ text, ...where, ...(sheet ? { section: sheet } : {}), ...(models.length ? { models } : {}) });
+  }
+  return { kind: qa ? "qa" : "table", records };
+}
@@ -0,0 +1,38 @@
+// lib/loaders/text.js — Markdown and plain-text sources
+//
+// Markdown keeps its "#" headings, list markers and table rows (cells spaced apart), which is
+// what the structure chunker (lib/chunking.js) splits on; links, images and emphasis are
+// flattened to their text so they don't end up in the embeddings.
+
+/** UTF-8 buffer → text: BOM dropped, CRLF / CR → LF */
+export function decodeText(buf) {
+  return Buffer.from(buf).toString("utf8").replace(/^﻿/, "").replace(/\r\n?/g, "\n");
+}
+
+/** Markdown source → readable text */
+export function markdownToText(md = "") {
+  const lines = [];
+  let fenced = false;
+  const body = md.replace(/^---\n[\s\S]*?\n---\n/, "").replace(/<!--[\s\S]*?-->/g, "");
+
+  for (const raw of body.split("\n")) {
+    if (/^\s*(```|~~~)/.test(raw)) { fenced = !fenced; continue; }
+    if (fenced) { lines.push(raw); continue; }
+
+    // Table: drop the |---|---| rule, space the cells apart like a layout table row
+    if (/^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/.test(raw)) continue;
+    let line = /^\s*\|.*\|\s*$/.test(raw)
+      ? raw.trim().replace(/^\||\|$/g, "").split("|").map((c) => c.trim()).join("   ")
+      : raw;
+
+    line = line
+      .replace(/!\[([^\]]*)\]\([^)]*\)/g, "$1")
+      .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1")
+      .replace(/(\*\*|__)(.+?)\1/g, "$2")
+      .replace(/(^|[^\w*])[*_]([^*_\n]+)[*_](?=[^\w*]|$)/g, "$1$2")
+      .replace(/`([^`]+)`/g, "$1")
+      .replace(/^\s*>\s?/, "");
+    lines.push(line.replace(/\s+$/, ""));
+  }
+  return lines.join("\n").replace(/\n{3,}/g, "\n\n").trim();
+}
@@ -0,0 +1,85 @@
+// lib/loaders/zip.js — Just enough ZIP to read .docx / .xlsx parts (both are zipped XML)
+//
+// Reads the central directory, then inflates only the entries asked for. Stored and
+// deflated entries are supported; ZIP64 and encrypted archives are refused.
+import zlib from "zlib";
+
+const EOCD_SIG    = 0x06054b50;
+const CENTRAL_SIG = 0x02014b50;
+const LOCAL_SIG   = 0x04034b50;
+
+/** End-of-central-directory record: the last 22 bytes, or earlier when the archive has a comment */
+function findEndOfDirectory(buf) {
+  for (let i = buf.length - 22; i >= Math.max(0, buf.length - 65557); i--) {
+    if (buf.readUInt32LE(i) === EOCD_SIG) return i;
+  }
+  throw new Error("Not a ZIP archive (no end of central directory)");
+}
+
+/** name → { method, flags, size, offset } for every entry */
+function listEntries(buf) {
+  const eocd = findEndOfDirectory(buf);
+  const count = buf.readUInt16LE(eocd + 10);
+  let at = buf.readUInt32LE(eocd + 16);
+  if (at === 0xffffffff) throw new Error("ZIP64 archives are not supported");
+
+  const entries = new Map();
+  for (let n = 0; n < count; n++) {
+    if (buf.readUInt32LE(at) !== CENTRAL_SIG) throw new Error("Corrupt ZIP central directory");
+    const nameLen = buf.readUInt16LE(at + 28);
+    const extraLen = buf.readUInt16LE(at + 30);
+    const commentLen = buf.readUInt16LE(at + 32);
+    entries.set(buf.toString("utf8", at + 46, at + 46 + nameLen), {
+      flags: buf.readUInt16LE(at + 8),
+      method: buf.readUInt16LE(at + 10),
+      size: buf.readUInt32LE(at + 20),
+      offset: buf.readUInt32LE(at + 42),
+    });
+    at += 46 + nameLen + extraLen + commentLen;
+  }
+  return entries;
+}
+
+function inflateEntry(buf, name, { flags, method, size, offset }) {
+  if (flags & 1) throw new Error(`${name} is encrypted`);
+  if (buf.readUInt32LE(offset) !== LOCAL_SIG) throw new Error(`Corrupt ZIP entry ${name}`);
+  const start = offset + 30 + buf.readUInt16LE(offset + 26) + buf.readUInt16LE(offset + 28);
+  const data = buf.subarray(start, start + size);
+  if (method === 0) return data;
+  if (method === 8) return zlib.inflateRawSync(data);
+  throw new Error(`${name} uses unsupported ZIP compression ${method}`);
+}
+
+/**
+ * Open an archive; read(name) → utf8 text of that entry, or null when it isn't there.
+ * @param {Buffer} buf
+ */
+export function openZip(buf) {
+  const entries = listEntries(buf);
+  return {
+    names: [...entries.keys()],
+    read(name) {
+      const entry = entries.get(name);
+      return entry ? inflateEntry(buf, name, entry).toString("utf8") : null;
+    },
+  };
+}
+
+/** Text content of an XML fragment: tags dropped, entities decoded */
+export function xmlText(xml = "") {
+  return decodeXml(String(xml).replace(/<[^>]+>/g, ""));
+}
+
+export function decodeXml(s = "") {
+  return s.replace(/&(?:#x([0-9a-f]+)|#(\d+)|(lt|gt|amp|quot|apos));/gi, (_, hex, dec, name) => {
+    if (hex) return String.fromCodePoint(parseInt(hex, 16));
+    if (dec) return String.fromCodePoint(parseInt(dec, 10));
+    return { lt: "<", gt: ">", amp: "&", quot: '"', apos: "'" }[name.toLowerCase()];
+  });
+}
+
+/** Value of attribute `name` in a tag's attribute string */
+export function xmlAttr(attrs = "", name) {
+  const m = attrs.match(new RegExp(`(?:^|\\s)${name}="([^"]*)"`));
+  return m ? decodeXml(m[1]) : null;
+}
@@ -0,0 +1,34 @@
+// lib/model-ids.js — Machine model identifiers (DY-1206HC, DY-1201+1PD, PE750X600, HALO-100, SK-D2-10Z …)
+//
+// Users type the same model many ways ("dy-1206hc", "DY 1206HC", "dy1206hc"), so ids are
+// compared in a normalized form: lowercase, no spaces/hyphens, optional "DY" dropped
+// in front of the non-DY families.
+
+// DY-<3–4 digits>[-<3 digits>][+<n><suffix> | <suffix>], or the PE / CS / ES / HALO / SK-D2 families
+const MODEL_ID_RE = new RegExp(
+  String.raw`(?<![\p{L}\p{N}])(?:` +
+    String.raw`(?:dy[-\s]?)?(?:pe[-\s]?\d{3}(?:\s?[x×]\s?\d{3})?|cs[-\s]?\d{4}|es[-\s]?\d{4}|halo[-\s]?\d{3}|sk[-\s]?d2[-\s]?\d{1,2}(?:\.\d)?[a-z]{0,3})` +
+    String.raw`|dy[-\s]?\d{3,4}(?:-\d{3})?(?:\+\d{1,2}[a-z]{0,3}|[a-z]{1,3})?` +
+  String.raw`)(?![\p{L}\p{N}])`,
+  "giu"
+);
+
+/** "DY 1206HC" → "dy1206hc", "DY-PE750×600" → "pe750x600" */
+export function normalizeModelId(id = "") {
+  const flat = String(id).toLowerCase().replace(/×/g, "x").replace(/[\s-]+/g, "");
+  return flat.replace(/^dy(?=pe|cs|es|halo|sk)/, "");
+}
+
+/** Distinct normalized model ids mentioned in `text` */
+export function extractModelIds(text = "") {
+  const ids = new Set();
+  for (const m of String(text).matchAll(MODEL_ID_RE)) ids.add(normalizeModelId(m[0]));
+  return [...ids];
+}
+
+/** Raw matches with their positions (for callers that need the surrounding text) */
+export function findModelIds(text = "") {
+  return [...String(text).matchAll(MODEL_ID_RE)].map((m) => ({
+    raw: m[0], id: normalizeModelId(m[0]), index: m.index,
+  }));
+}
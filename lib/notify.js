@@ -0,0 +1,96 @@
+// lib/notify.js — Pluggable sales notifications (new leads)
+//
+// Backends (LEAD_NOTIFIER):
+//   log     — console only (default)
+//   webhook — POST { type, lead } as JSON to LEAD_WEBHOOK_URL (Slack/Zapier/CRM relay…)
+//   smtp    — e-mail to LEAD_EMAIL_TO via SMTP_URL (nodemailer, loaded only when selected)
+//   memory  — keeps every message in `.sent` (tests / local runs)
+//   none    — drop silently
+//
+// Every backend exposes: kind, async notify(event) where event = { type: "lead", lead }.
+// Notification failures are logged, never surfaced to the chat user.
+
+/** Plain-text body shared by the e-mail and log backends */
+export function formatLeadMessage(lead) {
+  const line = (label, v) => (v ? `${label}: ${v}` : null);
+  return [
+    `New ${lead.reason === "fallback" ? "unanswered-question" : "sales"} lead`,
+    line("Name", lead.name),
+    line("Company", lead.company),
+    line("Phone", lead.phone),
+    line("City", lead.city),
+    line("Machine", lead.machine),
+    line("Route to", lead.routing && [lead.routing.line, lead.routing.office, lead.routing.email].filter(Boolean).join(" · ")),
+    line("Session", lead.sessionId),
+    "",
+    ...(lead.transcript || []).map((m) => `${m.role === "user" ? "User" : "Bot"}: ${m.content}`),
+  ].filter((l) => l != null).join("\n");
+}
+
+/* ───────────────────────────── Backends ─────────────────────────────── */
+function createWebhookNotifier(url = process.env.LEAD_WEBHOOK_URL) {
+  if (!url) throw new Error('LEAD_NOTIFIER=webhook needs LEAD_WEBHOOK_URL');
+  return {
+    kind: "webhook",
+    async notify(event) {
+      const res = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(event),
+      });
+      if (!res.ok) throw new Error(`Webhook responded ${res.status}`);
+    },
+  };
+}
+
+function createSmtpNotifier({
+  url = process.env.SMTP_URL,
+  to = process.env.LEAD_EMAIL_TO,
+  from = process.env.LEAD_EMAIL_FROM || process.env.LEAD_EMAIL_TO,
+} = {}) {
+  if (!url || !to) throw new Error('LEAD_NOTIFIER=smtp needs SMTP_URL and LEAD_EMAIL_TO');
+
+  // nodemailer is only loaded when this backend is selected
+  let transportPromise = null;
+  const transport = () => (transportPromise ??= import("nodemailer").then(({ default: nodemailer }) =>
+    nodemailer.createTransport(url)
+  ));
+
+  return {
+    kind: "smtp",
+    async notify({ lead }) {
+      await (await transport()).sendMail({
+        from,
+        to,
+        subject: `New lead: ${lead.name || "unknown"}${lead.machine ? ` (${lead.machine})` : ""}`,
+        text: formatLeadMessage(lead),
+      });
+    },
+  };
+}
+
+function createMemoryNotifier() {
+  const sent = [];
+  return { kind: "memory", sent, async notify(event) { sent.push(structuredClone(event)); } };
+}
+
+/* ───────────────────────────── Factory ──────────────────────────────── */
+export function createNotifier(kind = process.env.LEAD_NOTIFIER || "log") {
+  switch (String(kind).toLowerCase()) {
+    case "log":     return { kind: "log", async notify({ lead }) { console.log(`📇 ${formatLeadMessage({ ...lead, transcript: [] })}`); } };
+    case "webhook": return createWebhookNotifier();
+    case "smtp":    return createSmtpNotifier();
+    case "memory":  return createMemoryNotifier();
+    case "none":    return { kind: "none", async notify() {} };
+    default: throw new Error(`Unknown LEAD_NOTIFIER "${kind}" (use log | webhook | smtp | memory | none)`);
+  }
+}
+
+/** One notifier per process; setNotifier() swaps in a stub (tests) */
+export function getNotifier() {
+  return (globalThis.__DUKEJIA_NOTIFIER__ ??= createNotifier());
+}
+
+export function setNotifier(notifier) {
+  globalThis.__DUKEJIA_NOTIFIER__ = notifier;
+}
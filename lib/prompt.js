@@ -0,0 +1,70 @@
+// lib/prompt.js — Grounded RAG prompt template
+import { BOT_NAME } from "./config.js";
+import { formatTranscript } from "./conversation.js";
+import { pickContact } from "./contacts.js";
+
+const LANGUAGE_GUIDES = {
+  english:  "REPLY LANGUAGE: English. Professional and concise.",
+  hinglish: "REPLY LANGUAGE: Hinglish (Hindi in Latin script). Do not use Devanagari.",
+  hindi:    "REPLY LANGUAGE: Hindi in Devanagari script. Keep model numbers, units and technical terms (e.g. DY-1201L, RPM, mm) as written in the CONTEXT.",
+};
+
+function languageGuide(mode) {
+  return LANGUAGE_GUIDES[mode] || LANGUAGE_GUIDES.english;
+}
+
+function sourceLabel(s) {
+  if (!s.source) return "";
+  if (s.page) return ` (${s.source}, p.${s.page})`;
+  if (s.row != null) return ` (${s.source}, ${s.sheet ? `${s.sheet} ` : ""}row ${s.row})`;
+  return ` (${s.source})`;
+}
+
+/** Numbered context blocks: 【1】 …, 【2】 … (citations refer to these numbers) */
+export function formatContextBlocks(chunks = []) {
+  return chunks
+    .map((s, i) => `【${i + 1}】${sourceLabel(s)} ${s.text_original || s.text_cleaned || s.text}`)
+    .join("\n\n");
+}
+
+function compareGuide(models) {
+  if (!models?.length) return "";
+  return `
+- The user is comparing: ${models.join(", ")}. Contrast them point by point (same aspect, each model), focusing on real differences; a spec table is shown separately, so don't repeat every number.
+- If the CONTEXT lacks details for one of the models, say so for that model instead of guessing.`;
+}
+
+/** `contactText`: the routed sales contact (lib/contacts.js), given verbatim when the CONTEXT has no answer */
+export function buildPrompt({ question, mode, chunks = [], turns = [], compare = null, contactText = pickContact().text }) {
+  const systemInstruction = `
+You are ${BOT_NAME}, Dukejia’s assistant. Answer STRICTLY and ONLY from the provided CONTEXT (the Dukejia knowledge base).
+If the answer is not present in the CONTEXT, reply exactly:
+"${contactText}"
+
+Rules:
+- Do not invent or add external knowledge.
+- Use the CONVERSATION only to work out what the QUESTION refers to (e.g. "it" = the machine discussed earlier); facts must come from the CONTEXT.
+- Be concise and factual.
+- ${languageGuide(mode)}${compareGuide(compare)}
+`.trim();
+
+  const conversationBlock = turns.length
+    ? `CONVERSATION SO FAR (oldest first):\n${formatTranscript(turns)}\n\n`
+    : "";
+
+  return `
+${systemInstruction}
+
+${conversationBlock}QUESTION:
+${question}
+
+CONTEXT (numbered blocks):
+${formatContextBlocks(chunks)}
+
+Format:
+- Direct answer grounded in context.
+- If not found: “${contactText}
+”
+- Use the reply language specified above.
+`.trim();
+}
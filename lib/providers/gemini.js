@@ -0,0 +1,54 @@
+// lib/providers/gemini.js — Google Gemini (@google/generative-ai), GOOGLE_API_KEY
+import { GoogleGenerativeAI } from "@google/generative-ai";
+import { GOOGLE_API_KEY } from "../config.js";
+
+const BATCH_LIMIT = 100; // batchEmbedContents accepts at most 100 requests
+
+/** One SDK model per (key, model), created on first call so a missing key only fails when used */
+function lazyModel(apiKey, model) {
+  let m = null;
+  return () => {
+    if (!apiKey) throw new Error("Missing GOOGLE_API_KEY");
+    return (m ??= new GoogleGenerativeAI(apiKey).getGenerativeModel({ model }));
+  };
+}
+
+const userTurn = (prompt) => ({ contents: [{ role: "user", parts: [{ text: prompt }] }] });
+
+export function createGeminiEmbedder({ model, apiKey = GOOGLE_API_KEY }) {
+  const client = lazyModel(apiKey, model);
+  return {
+    provider: "gemini",
+    model,
+    async embed(texts) {
+      if (texts.length === 1) {
+        const res = await client().embedContent({ content: { parts: [{ text: texts[0] }] } });
+        return [res?.embedding?.values || []];
+      }
+      const out = [];
+      for (let i = 0; i < texts.length; i += BATCH_LIMIT) {
+        const res = await client().batchEmbedContents({
+          requests: texts.slice(i, i + BATCH_LIMIT).map((text) => ({ content: { parts: [{ text }] } })),
+        });
+        out.push(...(res?.embeddings || []).map((e) => e.values));
+      }
+      return out;
+    },
+  };
+}
+
+export function createGeminiLLM({ model, apiKey = GOOGLE_API_KEY }) {
+  const client = lazyModel(apiKey, model);
+  return {
+    provider: "gemini",
+    model,
+    async generate(prompt) {
+      const result = await client().generateContent(userTurn(prompt));
+      return result?.response?.text?.() || "";
+    },
+    async *stream(prompt) {
+      const result = await client().generateContentStream(userTurn(prompt));
+      for await (const chunk of result.stream) yield chunk.text();
+    },
+  };
+}
@@ -0,0 +1,79 @@
+// lib/providers/index.js — Embedding + generation providers, chosen by env
+//
+//   EMBEDDING_PROVIDER / LLM_PROVIDER:
+//     gemini — Google Gemini (default, GOOGLE_API_KEY)
+//     openai — any OpenAI-compatible HTTP server (OpenAI, Ollama, llama.cpp …; lib/providers/openai.js)
+//     mock   — deterministic, offline (tests, scripts/eval.mjs)
+//   EMBEDDING_MODEL / GENERATION_MODEL pick the model (defaults per provider in lib/config.js).
+//
+// Every embedder exposes: provider, model, async embed(texts) → one vector per text
+// Every LLM exposes:      provider, model, async generate(prompt) → text, stream(prompt) → async iterable of text deltas
+// Clients are created on first use; setEmbedder() / setLLM() swap in another one (tests, eval).
+import {
+  LLM_PROVIDER, EMBEDDING_PROVIDER, GENERATION_MODEL, EMBEDDING_MODEL, DEFAULT_MODELS, GOOGLE_API_KEY,
+} from "../config.js";
+import { createGeminiEmbedder, createGeminiLLM } from "./gemini.js";
+import { createOpenAIEmbedder, createOpenAILLM } from "./openai.js";
+import { createMockEmbedder, createMockLLM } from "./mock.js";
+
+export const PROVIDERS = ["gemini", "openai", "mock"];
+
+const unknown = (label, kind) => new Error(`Unknown ${label} "${kind}" (use ${PROVIDERS.join(" | ")})`);
+
+/* ───────────────────────────── Factories ────────────────────────────── */
+// EMBEDDING_MODEL / GENERATION_MODEL belong to the configured provider; any other provider gets its default
+const embeddingModelFor = (kind) => (kind === EMBEDDING_PROVIDER ? EMBEDDING_MODEL : DEFAULT_MODELS[kind]?.embedding);
+const generationModelFor = (kind) => (kind === LLM_PROVIDER ? GENERATION_MODEL : DEFAULT_MODELS[kind]?.generation);
+
+export function createEmbedder(kind = EMBEDDING_PROVIDER, { model = embeddingModelFor(kind) } = {}) {
+  switch (String(kind).toLowerCase()) {
+    case "gemini": return createGeminiEmbedder({ model });
+    case "openai": return createOpenAIEmbedder({ model });
+    case "mock":   return createMockEmbedder();
+    default: throw unknown("EMBEDDING_PROVIDER", kind);
+  }
+}
+
+export function createLLM(kind = LLM_PROVIDER, { model = generationModelFor(kind) } = {}) {
+  switch (String(kind).toLowerCase()) {
+    case "gemini": return createGeminiLLM({ model });
+    case "openai": return createOpenAILLM({ model });
+    case "mock":   return createMockLLM();
+    default: throw unknown("LLM_PROVIDER", kind);
+  }
+}
+
+/* ───────────────────────────── Singletons ───────────────────────────── */
+export function getEmbedder() {
+  return (globalThis.__DUKEJIA_EMBEDDER__ ??= createEmbedder());
+}
+
+export function getLLM() {
+  return (globalThis.__DUKEJIA_LLM__ ??= createLLM());
+}
+
+export function setEmbedder(embedder) {
+  globalThis.__DUKEJIA_EMBEDDER__ = embedder;
+}
+
+export function setLLM(llm) {
+  globalThis.__DUKEJIA_LLM__ = llm;
+}
+
+/* ───────────────────────────── Startup check ────────────────────────── */
+/**
+ * What the configured providers are missing (empty when they can run); servers refuse to start otherwise.
+ * Pass `llm: null` (or `embedding: null`) to check only one side.
+ */
+export function providerProblems({ embedding = EMBEDDING_PROVIDER, llm = LLM_PROVIDER } = {}) {
+  const problems = [];
+  for (const [label, kind] of [["EMBEDDING_PROVIDER", embedding], ["LLM_PROVIDER", llm]]) {
+    if (kind == null) continue;
+    if (!PROVIDERS.includes(kind)) problems.push(unknown(label, kind).message);
+    else if (kind === "gemini" && !GOOGLE_API_KEY) problems.push(`${label}=gemini needs GOOGLE_API_KEY`);
+    else if (kind === "openai" && !process.env.OPENAI_BASE_URL && !process.env.OPENAI_API_KEY) {
+      problems.push(`${label}=openai needs OPENAI_API_KEY (api.openai.com) or OPENAI_BASE_URL (local server)`);
+    }
+  }
+  return problems;
+}
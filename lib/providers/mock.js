@@ -0,0 +1,86 @@
+// lib/providers/mock.js — Deterministic offline provider (no key, no network)
+//
+//   embedder — hashed bag of terms + character trigrams, L2-normalized. Shared words → high
+//              cosine; the same vector for the same text on every run.
+//   llm      — extractive: returns the CONTEXT lines of a lib/prompt.js prompt that share the
+//              most terms with the QUESTION (streamed line by line).
+// Used by tests, scripts/eval.mjs and `EMBEDDING_PROVIDER=mock npm run embed`.
+// Scores are not comparable with real embeddings — compare mock runs with mock runs.
+import { lexicalTokens } from "../bm25.js";
+
+export const MOCK_EMBEDDING_MODEL  = "mock-hash-256";
+export const MOCK_GENERATION_MODEL = "mock-extractive";
+
+const DIMS = 256;
+const ANSWER_LINES = 3;
+
+/** 32-bit FNV-1a */
+function fnv1a(s) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+export function mockEmbedding(text = "", dims = DIMS) {
+  const vec = new Array(dims).fill(0);
+  const add = (feature, w) => {
+    const h = fnv1a(feature);
+    vec[h % dims] += h & 0x80000000 ? -w : w;
+  };
+  for (const t of lexicalTokens(text)) {
+    add(`w:${t}`, 1);
+    const padded = `#${t}#`;
+    for (let i = 0; i + 3 <= padded.length; i++) add(`c:${padded.slice(i, i + 3)}`, 0.25);
+  }
+  const norm = Math.sqrt(vec.reduce((s, x) => s + x * x, 0)) || 1;
+  return vec.map((x) => x / norm);
+}
+
+export function createMockEmbedder({ dims = DIMS } = {}) {
+  return {
+    provider: "mock",
+    model: MOCK_EMBEDDING_MODEL,
+    async embed(texts) {
+      return texts.map((t) => mockEmbedding(t, dims));
+    },
+  };
+}
+
+/* ───────────────────────────── LLM ──────────────────────────────────── */
+/** QUESTION / CONTEXT sections of a lib/prompt.js prompt */
+function promptParts(prompt = "") {
+  const question = (prompt.match(/QUESTION:\n([\s\S]*?)\n\nCONTEXT/) || [])[1] || prompt;
+  const context = (prompt.match(/CONTEXT \(numbered blocks\):\n([\s\S]*?)\n\nFormat:/) || [])[1] || "";
+  return { question, context };
+}
+
+/** Best-overlapping context lines, in document order; "" when nothing overlaps */
+export function mockAnswer(prompt) {
+  const { question, context } = promptParts(prompt);
+  const terms = new Set(lexicalTokens(question));
+  const lines = context.split("\n").map((l) => l.replace(/^【\d+】(?: \([^)]*\))?\s*/, "").trim()).filter(Boolean);
+  return lines
+    .map((line, i) => ({ line, i, hits: lexicalTokens(line).filter((t) => terms.has(t)).length }))
+    .filter((l) => l.hits > 0)
+    .sort((a, b) => b.hits - a.hits || a.i - b.i)
+    .slice(0, ANSWER_LINES)
+    .sort((a, b) => a.i - b.i)
+    .map((l) => l.line)
+    .join("\n");
+}
+
+export function createMockLLM() {
+  return {
+    provider: "mock",
+    model: MOCK_GENERATION_MODEL,
+    async generate(prompt) {
+      return mockAnswer(prompt);
+    },
+    async *stream(prompt) {
+      for (const piece of mockAnswer(prompt).split(/(?<=\n)/)) yield piece;
+    },
+  };
+}
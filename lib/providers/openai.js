@@ -0,0 +1,90 @@
+// lib/providers/openai.js — Any OpenAI-compatible HTTP API (OpenAI, Ollama, llama.cpp server, vLLM, LM Studio …)
+//
+//   POST {base}/embeddings        { model, input: [texts] }
+//   POST {base}/chat/completions  { model, messages, stream }   (streamed as SSE "data:" lines)
+//
+// OPENAI_BASE_URL      default https://api.openai.com/v1 (Ollama: http://localhost:11434/v1)
+// OPENAI_API_KEY       sent as a Bearer token when set (local servers usually need none)
+// OPENAI_EMBEDDING_BASE_URL  separate embedding server (e.g. a second llama.cpp instance)
+// OPENAI_TIMEOUT_MS    per request, default 60000
+const DEFAULT_BASE_URL = "https://api.openai.com/v1";
+const TIMEOUT_MS = parseInt(process.env.OPENAI_TIMEOUT_MS || "60000", 10);
+
+const trimSlash = (url) => String(url).replace(/\/+$/, "");
+
+async function post(baseUrl, apiKey, route, body) {
+  const url = `${trimSlash(baseUrl)}${route}`;
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}) },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(TIMEOUT_MS),
+  });
+  if (!res.ok) {
+    const detail = (await res.text().catch(() => "")).replace(/\s+/g, " ").slice(0, 300);
+    throw Object.assign(new Error(`${url} responded ${res.status}${detail ? `: ${detail}` : ""}`), { status: 502 });
+  }
+  return res;
+}
+
+export function createOpenAIEmbedder({
+  model,
+  baseUrl = process.env.OPENAI_EMBEDDING_BASE_URL || process.env.OPENAI_BASE_URL || DEFAULT_BASE_URL,
+  apiKey = process.env.OPENAI_API_KEY,
+}) {
+  return {
+    provider: "openai",
+    model,
+    async embed(texts) {
+      const res = await post(baseUrl, apiKey, "/embeddings", { model, input: texts });
+      const { data = [] } = await res.json();
+      // Results carry their input index; servers aren't required to keep the order
+      return [...data].sort((a, b) => (a.index ?? 0) - (b.index ?? 0)).map((d) => d.embedding);
+    },
+  };
+}
+
+/** "data: {…}" payloads of a server-sent event stream, up to "data: [DONE]" */
+async function* sseData(body) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+  for await (const bytes of body) {
+    buffer += decoder.decode(bytes, { stream: true });
+    let nl;
+    while ((nl = buffer.indexOf("\n")) >= 0) {
+      const line = buffer.slice(0, nl).trim();
+      buffer = buffer.slice(nl + 1);
+      if (!line.startsWith("data:")) continue;
+      const data = line.slice(5).trim();
+      if (data === "[DONE]") return;
+      if (data) yield JSON.parse(data);
+    }
+  }
+}
+
+export function createOpenAILLM({
+  model,
+  baseUrl = process.env.OPENAI_BASE_URL || DEFAULT_BASE_URL,
+  apiKey = process.env.OPENAI_API_KEY,
+}) {
+  const request = (prompt, stream) => post(baseUrl, apiKey, "/chat/completions", {
+    model,
+    messages: [{ role: "user", content: prompt }],
+    stream,
+  });
+  return {
+    provider: "openai",
+    model,
+    async generate(prompt) {
+      const json = await (await request(prompt, false)).json();
+      return json?.choices?.[0]?.message?.content || "";
+    },
+    async *stream(prompt) {
+      const res = await request(prompt, true);
+      for await (const event of sseData(res.body)) {
+        const delta = event?.choices?.[0]?.delta?.content;
+        if (delta) yield delta;
+      }
+    },
+  };
+}
@@ -0,0 +1,384 @@
+// lib/recommend.js — Application-based machine recommendation wizard
+//
+//   application → production volume → heads → budget / floor space → ranked models
+//
+// Answers live in `session.wizard` between turns, so the same flow runs from the
+// chat (quick-reply chips or typed answers) and from /api/recommend. Models are
+// scored on their catalog specs (lib/catalog.js); every reason is backed by the
+// catalog evidence line it was read from, returned as citations.
+import { buildCatalogCitations } from "./citations.js";
+import { isPurchaseIntent } from "./leads.js";
+import { findModelIds } from "./model-ids.js";
+
+const MAX_RESULTS = 3;
+
+/* ───────────────────────── Steps ───────────────────────── */
+// `match` maps typed (English / Hinglish / Hindi) answers onto an option; labels stay in English
+export const RECOMMEND_STEPS = [
+  {
+    key: "application",
+    question: {
+      english:  "What will you mainly embroider?",
+      hinglish: "Aap mainly kis cheez par embroidery karenge?",
+      hindi:    "आप मुख्य रूप से किस चीज़ पर कढ़ाई करेंगे?",
+    },
+    options: [
+      { value: "cap",      label: "Caps",              match: /\bcaps?\b|\btopi\b|\bhats?\b|टोपी|कैप/i },
+      { value: "garment",  label: "Garments",          match: /\bgarments?\b|t-?shirts?|\bshirts?\b|\buniforms?\b|\bapparel\b|\bpolos?\b|\bkapd[ae]\b|\bsuits?\b|\bsaree|\bkurt[ai]|कपड़|शर्ट|वर्दी|साड़ी|कुर्त/i },
+      { value: "leather",  label: "Leather",           match: /\bleather\b|\bshoes?\b|\bfootwear\b|\bcar seats?\b|\bperforat|चमड़|लेदर|जूत/i },
+      { value: "sequin",   label: "Sequin / cording",  match: /\bsequins?\b|\bsitara\b|\bcording\b|\bbeads?\b|\bcoiling\b|\btaping\b|\bdecorative\b|सितार|सीक्वेंस|मोती/i },
+    ],
+  },
+  {
+    key: "volume",
+    question: {
+      english:  "What production volume do you expect?",
+      hinglish: "Roz ka production kitna hoga?",
+      hindi:    "रोज़ का उत्पादन कितना होगा?",
+    },
+    options: [
+      { value: "small",  label: "Sampling / small runs",  match: /\bsampl|\bsmall\b|\bfew\b|\bkam\b|\bboutique\b|\bstart(?:ing|up)\b|\bcustom\b|\blow\b/i },
+      { value: "medium", label: "Medium (50–300 pcs/day)", match: /\bmedium\b|\bmoderate\b|\bmid\b|\baverage\b|\bnormal\b/i },
+      { value: "bulk",   label: "Bulk (300+ pcs/day)",    match: /\bbulk\b|\bmass\b|\bhigh\b|\blarge\b|\bzyada\b|\bexport\b|\bfactory\b/i },
+    ],
+  },
+  {
+    key: "heads",
+    question: {
+      english:  "How many heads are you looking for?",
+      hinglish: "Kitne heads wali machine chahiye?",
+      hindi:    "कितने हेड वाली मशीन चाहिए?",
+    },
+    options: [
+      { value: "1",    label: "1 head",      match: /\bsingle\b|\bone\b|\bek\b/i },
+      { value: "2-4",  label: "2–4 heads",   match: /\b(?:two|three|four|do|teen|char)\b/i },
+      { value: "6-8",  label: "6–8 heads",   match: /\b(?:six|eight|chhe|aath)\b/i },
+      { value: "12+",  label: "12+ heads",   match: /\b(?:twelve|fifteen|eighteen|barah)\b/i },
+      { value: "any",  label: "Not sure",    match: /\bnot sure\b|\bany\b|\bdon'?t know\b|\bpata nahi\b|\bkoi bhi\b|\bskip\b|पता नहीं|कोई भी/i },
+    ],
+  },
+  {
+    key: "budget",
+    question: {
+      english:  "What budget and floor space do you have?",
+      hinglish: "Budget aur jagah kitni hai?",
+      hindi:    "आपका बजट और जगह कितनी है?",
+    },
+    options: [
+      { value: "compact",  label: "Compact / entry budget", match: /\bcompact\b|\bentry\b|\blow\b|\bsmall\b|\bhome\b|\btight\b|\bkam\b|\bsasta\b|\bchhot[ai]\b/i },
+      { value: "standard", label: "Standard workshop",      match: /\bstandard\b|\bmedium\b|\bworkshop\b|\bnormal\b|\baverage\b/i },
+      { value: "large",    label: "Factory floor / higher budget", match: /\bfactory\b|\blarge\b|\bbig\b|\bhigh(?:er)?\b|\bno limit\b|\bbada\b|\bzyada\b/i },
+    ],
+  },
+];
+
+const STEP_KEYS = RECOMMEND_STEPS.map((s) => s.key);
+
+/* ───────────────────────── Intent ───────────────────────── */
+const START_RE = /\b(?:recommend(?:ation)?|suggest(?:ion)?|which machine (?:should|to|for)|help me (?:choose|pick|select)|best machine for|kaun ?si machine|konsi machine|machine (?:batao|suggest))\b|कौन\s*सी\s*मशीन|मशीन\s*(?:सुझाइए|सुझाओ|बताइए|बताओ)/i;
+const CANCEL_RE = /^\s*(?:(?:cancel|stop|exit|quit|band karo|rehne do)\b|(?:बंद करो|रहने दो|रद्द)(?![\u0900-\u097F]))/i;
+const RESTART_RE = /^\s*(?:(?:restart|start over|start again|dobara|phir se)\b|(?:दोबारा|फिर से)(?![\u0900-\u097F]))/i;
+// Question words ("do" / "is" openers are left out: "do" is Hinglish for two)
+const QUESTION_RE = /\b(?:what|which|who|why|where|when|how|tell me|show me|kya|kaun|kaunsa|kaunsi|kaise|kitna|kitni|kab|kahan|kyun|batao|bataiye)\b|क्या|कौन|कैसे|कितन|कब|कहाँ|क्यों|बताइए|बताओ/i;
+const MAX_NUMBER_WORDS = 5;
+
+/**
+ * A new question or request rather than a wizard answer: a question mark or question word,
+ * a long message, a model id ("What is the speed of DY-1201?") or purchase intent
+ * ("I want a quotation for DY-1206").
+ */
+export function isWizardExit(input = "") {
+  const text = String(input).trim();
+  return /\?\s*$/.test(text) || QUESTION_RE.test(text) || text.split(/\s+/).length > 6
+    || findModelIds(text).length > 0 || isPurchaseIntent(text);
+}
+
+/** "Application-wise machine suggestion", "recommend a machine for caps", … (not "X vs Y") */
+export function isRecommendIntent(question = "") {
+  return START_RE.test(question) && !/\b(?:vs\.?|versus|compare|difference)\b/i.test(question);
+}
+
+export const wizardActive = (session) => !!session?.wizard?.answers;
+
+/* ───────────────────────── Answers ───────────────────────── */
+/** Option value for a typed answer or chip value, or null */
+export function matchOption(stepKey, input = "") {
+  const step = RECOMMEND_STEPS.find((s) => s.key === stepKey);
+  if (!step) return null;
+  const text = String(input).trim();
+  const exact = step.options.find((o) => o.value === text.toLowerCase() || o.label.toLowerCase() === text.toLowerCase());
+  if (exact) return exact.value;
+
+  // Numbers: "150 pieces a day", "8 heads" — only in a short answer without a model id (the 1206 in "DY-1206")
+  const bare = text.split(/\s+/).length <= MAX_NUMBER_WORDS && !findModelIds(text).length;
+  const n = bare ? parseInt(text.match(/\d{1,5}/)?.[0] || "", 10) : NaN;
+  if (stepKey === "volume" && n) return n < 50 ? "small" : n < 300 ? "medium" : "bulk";
+  if (stepKey === "heads" && n) return n === 1 ? "1" : n <= 4 ? "2-4" : n <= 8 ? "6-8" : "12+";
+
+  return step.options.find((o) => o.match.test(text))?.value || null;
+}
+
+/** Pre-fill answers the opening message already gives ("recommend a machine for caps") */
+function prefill(question) {
+  const answers = {};
+  const app = matchOption("application", question);
+  if (app) answers.application = app;
+  return answers;
+}
+
+const nextStep = (answers) => RECOMMEND_STEPS.find((s) => !answers[s.key]) || null;
+
+function stepPayload(step, answers, mode) {
+  return {
+    step: step.key,
+    index: STEP_KEYS.indexOf(step.key) + 1,
+    total: STEP_KEYS.length,
+    question: step.question[mode] || step.question.english,
+    options: step.options.map(({ value, label }) => ({ value, label })),
+    answers: { ...answers },
+  };
+}
+
+/* ───────────────────────── Scoring ───────────────────────── */
+const HEADS_RANGE = { "1": [1, 1], "2-4": [2, 4], "6-8": [6, 8], "12+": [12, 99] };
+
+/** mm² of the first W × H figure ("400 × 450 mm" → 180000) */
+function areaMm2(area) {
+  const m = String(area || "").match(/(\d+)\s*×\s*(\d+)/);
+  return m ? parseInt(m[1], 10) * parseInt(m[2], 10) : 0;
+}
+
+const has = (entry, ...names) => names.filter((n) => entry.attachments?.includes(n));
+
+/**
+ * Points + reasons for one model; null when it can't do the application at all.
+ * Each reason names the catalog field it rests on (for citations).
+ */
+function scoreModel(entry, answers) {
+  if (!entry.heads) return null; // not an embroidery head machine (e.g. quilting)
+  const reasons = [];
+  let score = 0;
+  const add = (points, field, text) => { score += points; if (text) reasons.push({ field, text }); };
+
+  switch (answers.application) {
+    case "cap":
+      if (!has(entry, "cap frame").length) return null;
+      add(3, "attachments", "Supports a cap frame");
+      break;
+    case "garment": {
+      const frames = has(entry, "tubular frame");
+      if (frames.length) add(2, "attachments", "Tubular frame for finished garments");
+      if (entry.needles >= 9) add(1, "needles", `${entry.needles} needles per head for multi-colour logos`);
+      break;
+    }
+    case "leather":
+      if (!has(entry, "perforation").length) return null;
+      add(3, "attachments", "Perforation / punching for leather");
+      if (areaMm2(entry.area) >= 400000) add(1, "area", `Large ${entry.area} working area`);
+      break;
+    case "sequin": {
+      const deco = has(entry, "sequin", "cording", "bead", "coiling", "taping");
+      if (!deco.length) return null;
+      add(Math.min(3, deco.length), "attachments", `Decorative devices: ${deco.join(", ")}`);
+      break;
+    }
+  }
+
+  const heads = entry.heads;
+  switch (answers.volume) {
+    case "small":
+      if (heads <= 2) add(2, "heads", `${heads}-head setup suits sampling and short runs`);
+      else if (heads > 6) score -= 2;
+      break;
+    case "medium":
+      if (heads >= 2 && heads <= 6) add(2, "heads", `${heads} heads for steady medium volumes`);
+      break;
+    case "bulk":
+      if (heads >= 6) add(2, "heads", `${heads} heads for bulk output`);
+      else if (heads <= 2) score -= 1;
+      if (entry.max_speed_rpm >= 1200) add(1, "max_speed_rpm", `Fast: up to ${entry.max_speed_rpm} RPM`);
+      break;
+  }
+
+  const range = HEADS_RANGE[answers.heads];
+  if (range) {
+    const [lo, hi] = range;
+    if (heads >= lo && heads <= hi) add(3, "heads", `Matches the requested ${label("heads", answers.heads)}`);
+    else score -= Math.min(3, Math.abs(heads < lo ? lo - heads : heads - hi) / 2);
+  }
+
+  switch (answers.budget) {
+    case "compact":
+      if (heads <= 2) add(2, "heads", "Compact footprint and entry-level investment");
+      else if (heads > 4) score -= 2;
+      break;
+    case "standard":
+      if (heads >= 2 && heads <= 6) add(1, "heads", "Fits a standard workshop");
+      break;
+    case "large":
+      if (heads >= 6) add(1, "heads", "Built for a factory floor");
+      break;
+  }
+
+  // Ties: the more versatile machine first
+  score += (entry.attachments?.length || 0) * 0.05;
+  return { score, reasons };
+}
+
+/**
+ * Rank catalog models for a set of wizard answers (missing answers are ignored).
+ * @returns {{ model:string, family:string, score:number, reasons:string[], heads:number, needles:number|null,
+ *             max_speed_rpm:number|null, area:string|null, attachments:string[], citations:object[] }[]}
+ */
+export function recommendModels(models = [], answers = {}, { limit = MAX_RESULTS } = {}) {
+  const ranked = models
+    .map((entry) => ({ entry, s: scoreModel(entry, answers) }))
+    .filter((r) => r.s)
+    .sort((a, b) => b.s.score - a.s.score || a.entry.heads - b.entry.heads);
+
+  return ranked.slice(0, limit).map(({ entry, s }) => {
+    // Same citation shape as a catalog spec answer: the line each reason rests on
+    const lines = s.reasons.map((r) => ({ field: r.field }));
+    return {
+      model: entry.model,
+      family: entry.family,
+      score: Math.round(s.score * 100) / 100,
+      reasons: [...new Set(s.reasons.map((r) => r.text))],
+      heads: entry.heads,
+      needles: entry.needles ?? null,
+      max_speed_rpm: entry.max_speed_rpm ?? null,
+      area: entry.area ?? null,
+      attachments: entry.attachments || [],
+      citations: buildCatalogCitations({ entry, lines }, `${entry.model} ${Object.values(answers).join(" ")}`),
+    };
+  });
+}
+
+/* ───────────────────────── Replies ───────────────────────── */
+const label = (key, value) => RECOMMEND_STEPS.find((s) => s.key === key)?.options.find((o) => o.value === value)?.label;
+
+const RESULT_TEXT = {
+  english: {
+    none:    (picked) => `No machine in the catalog matches ${picked}. Our sales team can suggest the right option.`,
+    intro:   (picked) => `Based on your answers (${picked}), these fit best:`,
+    closest: "closest overall fit",
+    next:    "Ask for any model's full specs, or compare two of them.",
+  },
+  hinglish: {
+    none:    (picked) => `${picked} ke liye catalog mein koi matching machine nahi mili. Sales team se baat karein—wo sahi option bata denge.`,
+    intro:   (picked) => `Aapke jawab (${picked}) ke hisaab se best options:`,
+    closest: "aapki zaroorat ke kareeb",
+    next:    "Kisi model ki full specs ya comparison chahiye to poochhiye.",
+  },
+  hindi: {
+    none:    (picked) => `${picked} के लिए कैटलॉग में कोई मेल खाती मशीन नहीं मिली। हमारी सेल्स टीम सही विकल्प बता देगी।`,
+    intro:   (picked) => `आपके जवाबों (${picked}) के हिसाब से ये सबसे उपयुक्त हैं:`,
+    closest: "आपकी ज़रूरत के सबसे करीब",
+    next:    "किसी मॉडल के पूरे स्पेसिफिकेशन या दो मॉडलों की तुलना चाहिए तो पूछिए।",
+  },
+};
+
+export function formatRecommendations(recs, answers, mode = "english") {
+  const t = RESULT_TEXT[mode] || RESULT_TEXT.english;
+  const picked = STEP_KEYS.map((k) => label(k, answers[k])).filter(Boolean).join(" · ");
+  if (!recs.length) return t.none(picked);
+  const lines = [t.intro(picked)];
+  recs.forEach((r, i) => {
+    const specs = [r.heads && `${r.heads} head${r.heads === 1 ? "" : "s"}`, r.needles && `${r.needles} needles`, r.area]
+      .filter(Boolean).join(", ");
+    lines.push(`${i + 1}. **${r.model}** (${specs}) — ${r.reasons.join("; ") || t.closest}`);
+  });
+  lines.push(t.next);
+  return lines.join("\n");
+}
+
+const REPROMPT = {
+  english:  "Please pick one of the options below (or type “cancel” to stop).",
+  hinglish: "Neeche diye options mein se ek chuniye (ya “cancel” likhiye).",
+  hindi:    "कृपया नीचे दिए विकल्पों में से एक चुनिए (या “cancel” लिखिए)।",
+};
+const CANCELLED = {
+  english:  "Okay, machine finder stopped—ask me anything else!",
+  hinglish: "Theek hai, machine finder band—aur kuch poochhiye!",
+  hindi:    "ठीक है, मशीन फ़ाइंडर बंद—और कुछ पूछिए!",
+};
+
+/* ───────────────────────── Flow ───────────────────────── */
+/**
+ * Start (or restart) the wizard in `session.wizard`.
+ * @returns {{ text:string, wizard:object }}
+ */
+export function startWizard(session, { question = "", mode = "english", answers, models = [] } = {}) {
+  session.wizard = { answers: { ...prefill(question), ...answers }, startedAt: Date.now() };
+  return advance(session, mode, models);
+}
+
+/**
+ * Feed one answer to the active wizard.
+ * @returns {{ text:string, wizard?:object, recommendations?:object[], answers?:object } | { passThrough:true }}
+ *   passThrough: the message isn't an answer (isWizardExit: a new question or purchase intent) —
+ *   the wizard is dropped (never with `strict`, which just asks again)
+ */
+export function continueWizard(session, input = "", { mode = "english", models = [], strict = false } = {}) {
+  const text = String(input).trim();
+  if (CANCEL_RE.test(text)) { delete session.wizard; return { text: CANCELLED[mode] || CANCELLED.english, cancelled: true }; }
+  if (RESTART_RE.test(text)) return startWizard(session, { mode, models });
+
+  const step = nextStep(session.wizard.answers);
+  // Checked before matching, so a number or keyword inside a real question is never taken as an answer
+  const exit = isWizardExit(text);
+  if (exit && !strict) { delete session.wizard; return { passThrough: true }; }
+  const value = !exit && step && matchOption(step.key, text);
+  if (!value) {
+    return { text: REPROMPT[mode] || REPROMPT.english, wizard: stepPayload(step, session.wizard.answers, mode) };
+  }
+  session.wizard.answers[step.key] = value;
+  return advance(session, mode, models);
+}
+
+/** Next question, or the ranked result once every step is answered */
+function advance(session, mode, models = []) {
+  const { answers } = session.wizard;
+  const step = nextStep(answers);
+  if (step) {
+    const wizard = stepPayload(step, answers, mode);
+    return { text: wizard.question, wizard };
+  }
+  delete session.wizard;
+  const recommendations = recommendModels(models, answers);
+  return { text: formatRecommendations(recommendations, answers, mode), recommendations, answers };
+}
+
+/** Ranked result straight from answers (stateless /api/recommend), filling nothing in */
+export function recommendFromAnswers(models, answers = {}, mode = "english") {
+  const clean = {};
+  for (const key of STEP_KEYS) {
+    const value = answers[key] != null ? matchOption(key, String(answers[key])) : null;
+    if (value) clean[key] = value;
+  }
+  const recommendations = recommendModels(models, clean);
+  return { text: formatRecommendations(recommendations, clean, mode), recommendations, answers: clean };
+}
+
+/**
+ * One /api/recommend call (Express and Vercel):
+ *   { answers: {application, volume, heads, budget} }  → ranked at once, session untouched
+ *   { restart: true } or no wizard yet                → first question
+ *   { answer: "caps" }                                 → next question or the result
+ *   nothing                                            → the current question again
+ */
+export function recommendRequest(session, { answer, answers, restart } = {}, { mode = "english", models = [] } = {}) {
+  let step;
+  if (answers && typeof answers === "object") step = recommendFromAnswers(models, answers, mode);
+  else if (restart || !wizardActive(session)) step = startWizard(session, { mode, models, question: answer ? String(answer) : "" });
+  else if (answer) step = continueWizard(session, answer, { mode, models, strict: true });
+  else step = advance(session, mode, models);
+
+  return {
+    done: !step.wizard,
+    text: step.text,
+    ...(step.wizard ? { wizard: step.wizard } : {}),
+    ...(step.recommendations ? { recommendations: step.recommendations, answers: step.answers } : {}),
+    ...(step.cancelled ? { cancelled: true } : {}),
+  };
+}
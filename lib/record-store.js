@@ -0,0 +1,97 @@
+// lib/record-store.js — Append-only record stores (leads, turn analytics, feedback)
+//
+// Backends:
+//   file   — one JSON line per record (appendFile, so concurrent writers never interleave a line)
+//   redis  — a Redis list via REDIS_URL (ioredis, loaded only when selected)
+//   memory — per-process array (dev / tests)
+//
+// Every backend exposes the same async interface:
+//   add(record)   all() → records oldest first   list({ limit, since }) → newest first   get(id)
+// Records carry `id` and an ISO `createdAt` (used by `since`).
+import fs from "fs";
+import path from "path";
+
+/** Newest first, optionally only since an ISO date, capped at `limit` (1–maxLimit) */
+export function newestFirst(records, { limit = 100, since, maxLimit = 1000 } = {}) {
+  const t = since ? Date.parse(since) : NaN;
+  return records
+    .filter((r) => Number.isNaN(t) || Date.parse(r.createdAt) >= t)
+    .reverse()
+    .slice(0, Math.max(1, Math.min(maxLimit, parseInt(limit, 10) || 100)));
+}
+
+function withQueries(store) {
+  return {
+    ...store,
+    async list(opts) { return newestFirst(await store.all(), opts); },
+    async get(id) { return (await store.all()).find((r) => r.id === id) || null; },
+  };
+}
+
+/* ───────────────────────────── Backends ─────────────────────────────── */
+function createMemoryRecordStore() {
+  const records = [];
+  return withQueries({
+    kind: "memory",
+    async add(record) { records.push(structuredClone(record)); },
+    async all() { return structuredClone(records); },
+  });
+}
+
+function createFileRecordStore(filePath) {
+  return withQueries({
+    kind: "file",
+    async add(record) {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.appendFile(filePath, `${JSON.stringify(record)}\n`);
+    },
+    async all() {
+      const raw = await fs.promises.readFile(filePath, "utf8").catch(() => "");
+      return raw.split("\n").filter(Boolean).flatMap((line) => {
+        try { return [JSON.parse(line)]; } catch { return []; } // skip a torn last line
+      });
+    },
+  });
+}
+
+function createRedisRecordStore(redisKey, { url = process.env.REDIS_URL, maxRecords = 0, label = "store" } = {}) {
+  if (!url) throw new Error(`${label}=redis needs REDIS_URL (e.g. "redis://localhost:6379")`);
+  let clientPromise = null;
+  const client = () => (clientPromise ??= import("ioredis").then(({ default: Redis }) =>
+    new Redis(url, { lazyConnect: false, maxRetriesPerRequest: 2 })
+  ));
+  return withQueries({
+    kind: "redis",
+    async add(record) {
+      const redis = await client();
+      await redis.rpush(redisKey, JSON.stringify(record));
+      if (maxRecords) await redis.ltrim(redisKey, -maxRecords, -1);
+    },
+    async all() { return (await (await client()).lrange(redisKey, 0, -1)).map((s) => JSON.parse(s)); },
+  });
+}
+
+/* ───────────────────────────── Factory ──────────────────────────────── */
+/** Vercel's /tmp and memory are per instance and wiped on cold start: a file / memory store there keeps a random slice */
+export function warnIfEphemeral(kind, label = "store") {
+  if (process.env.VERCEL && String(kind).toLowerCase() !== "redis") {
+    console.warn(`⚠️ ${label}=${kind} on Vercel keeps records per instance until its next cold start; set ${label}=redis (REDIS_URL)`);
+  }
+}
+
+/**
+ * @param {string} kind              file | redis | memory
+ * @param {object} opts
+ * @param {string} opts.filePath     file backend
+ * @param {string} opts.redisKey     redis backend
+ * @param {number}[opts.maxRecords]  redis backend keeps only the newest N (0 = all)
+ * @param {string}[opts.label]       env var name for error messages ("LEAD_STORE")
+ */
+export function createRecordStore(kind, { filePath, redisKey, maxRecords = 0, label = "store" }) {
+  switch (String(kind).toLowerCase()) {
+    case "memory": return createMemoryRecordStore();
+    case "redis":  return createRedisRecordStore(redisKey, { maxRecords, label });
+    case "file":   return createFileRecordStore(filePath);
+    default: throw new Error(`Unknown ${label} "${kind}" (use file | redis | memory)`);
+  }
+}
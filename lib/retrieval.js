@@ -0,0 +1,96 @@
+// lib/retrieval.js — Hybrid retrieval: cosine + BM25 fused with reciprocal rank fusion
+//
+//   fused(d) = Σ 1 / (RRF_K + rank_r(d))   over the vector and BM25 rankings
+//            + MODEL_MATCH_BOOST × (query model ids the chunk mentions exactly)
+//
+// The model boost dwarfs any RRF score, so "dy-1206hc speed" always puts
+// DY-1206HC chunks first; BM25 then orders those by the other query terms.
+// RETRIEVAL_MODE=vector restores plain cosine ranking.
+// Chunks users keep rating down (lib/feedback.js) have their score scaled by `weights`.
+//
+// Each ranking only contributes its best RRF_DEPTH docs (the vector side via a top-K search,
+// lib/vector-search.js), so only that candidate set is scored and sorted, never the whole index.
+import { cosineSim } from "./vectors.js";
+import { bm25Scores } from "./bm25.js";
+import { extractModelIds } from "./model-ids.js";
+import { packVectors, createSearcher, topScores } from "./vector-search.js";
+
+const RETRIEVAL_MODE    = (process.env.RETRIEVAL_MODE || "hybrid").toLowerCase();
+const RRF_K             = parseInt(process.env.RRF_K || "60", 10);
+const RRF_DEPTH         = parseInt(process.env.RRF_DEPTH || "100", 10);
+const MODEL_MATCH_BOOST = 1;
+
+/** Stable chunk id (`<source>#<chunk_index>`; older indexes lack `chunk_id`) */
+export const chunkId = (c) => c.chunk_id || `${c.source}#${c.chunk_index}`;
+
+/** doc index → 1-based rank, from a best-first [{ i }] list */
+const rankMap = (list) => new Map(list.map(({ i }, r) => [i, r + 1]));
+
+/**
+ * @param {object}   args
+ * @param {object[]} args.vectors     index vectors (with `embedding`)
+ * @param {object}  [args.lexical]    BM25 index aligned with `vectors` (lib/bm25.js)
+ * @param {number[]} args.queryVec
+ * @param {string}   args.queryText   raw retrieval query (model ids intact)
+ * @param {number}   args.topK
+ * @param {Map}     [args.weights]    chunk_id → weight (< 1 = down-weighted by feedback)
+ * @param {Function}[args.search]     (queryVec, k) → [{ i, score }] best first, from lib/vectors.js
+ *                                    (default: an exact search packed from `vectors` on the spot)
+ * @returns {{ top: object[], maxScore: number, modelIds: string[] }}
+ *   top[i] = { …vector, score (cosine), bm25, fused, modelMatch, weight }
+ *   maxScore stays the raw best cosine, so feedback never turns an answer into a fallback
+ */
+export function retrieve({ vectors, lexical, queryVec, queryText, topK, weights = null, search = null }) {
+  const nearest = (search || createSearcher(packVectors(vectors)).search)(queryVec, Math.max(RRF_DEPTH, topK));
+  const maxScore = nearest.length ? nearest[0].score : -Infinity;
+  const weightOf = (v) => weights?.get(chunkId(v)) ?? 1;
+  const byFused = (a, b) => b.fused - a.fused;
+
+  if (RETRIEVAL_MODE === "vector" || !lexical) {
+    const top = nearest
+      .map(({ i, score }) => {
+        const v = vectors[i];
+        const weight = weightOf(v);
+        return { ...v, score, bm25: 0, fused: score * weight, modelMatch: false, weight };
+      })
+      .sort(byFused)
+      .slice(0, topK);
+    return { top, maxScore, modelIds: [] };
+  }
+
+  const bm25 = bm25Scores(lexical, queryText);
+  const cos = new Map(nearest.map(({ i, score }) => [i, score]));
+  const cosRank = rankMap(nearest);
+  const lexRank = rankMap(topScores(bm25, Math.max(RRF_DEPTH, topK)));
+  const modelIds = extractModelIds(queryText);
+
+  // Candidates: either ranking's best, plus every chunk naming a queried model id
+  const candidates = new Set([...cosRank.keys(), ...lexRank.keys()]);
+  if (modelIds.length) {
+    lexical.docs.forEach((d, i) => { if (d.models?.some((id) => modelIds.includes(id))) candidates.add(i); });
+  }
+
+  const top = [...candidates]
+    .map((i) => {
+      const v = vectors[i];
+      const models = lexical.docs[i]?.models || [];
+      const matched = modelIds.filter((id) => models.includes(id)).length;
+      const weight = weightOf(v);
+      const fused = weight * (
+        (cosRank.has(i) ? 1 / (RRF_K + cosRank.get(i)) : 0) +
+        (lexRank.has(i) ? 1 / (RRF_K + lexRank.get(i)) : 0) +
+        MODEL_MATCH_BOOST * matched
+      );
+      const score = cos.get(i) ?? cosineSim(queryVec, v.embedding);
+      return { ...v, score, bm25: bm25[i], fused, modelMatch: matched > 0, weight };
+    })
+    .sort(byFused)
+    .slice(0, topK);
+
+  return { top, maxScore, modelIds };
+}
+
+/** Enough to answer from: an exact model-id hit, or a best cosine of at least `minScore` (else the low-score fallback) */
+export function isGrounded({ top, maxScore }, minScore) {
+  return top.length > 0 && (top[0].modelMatch || maxScore >= minScore);
+}
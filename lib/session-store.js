@@ -0,0 +1,185 @@
+// lib/session-store.js — Pluggable session persistence shared by server.mjs and api/*
+//
+// Backends (SESSION_STORE):
+//   file   — one JSON file per session under SESSION_DIR (default)
+//   redis  — any Redis-compatible server via REDIS_URL (Redis, Valkey, KeyDB, Upstash…); required on Vercel
+//   memory — per-process Map (dev only; lost on restart)
+//
+// Every backend exposes the same async interface:
+//   get(sid) → session | null   save(sid, session)   destroy(sid)   sweep() → removed count
+// Sessions expire SESSION_TTL_HOURS after `lastSeen`.
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+/* ─────────────────────────── Paths & Config ─────────────────────────── */
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT_DIR  = path.resolve(__dirname, "..");
+
+const HISTORY_LIMIT     = parseInt(process.env.HISTORY_LIMIT || "50", 10);
+const SESSION_TTL_HOURS = parseFloat(process.env.SESSION_TTL_HOURS || "720"); // 30 days, same as the sid cookie
+const SESSION_TTL_MS    = SESSION_TTL_HOURS * 60 * 60 * 1000;
+const REDIS_PREFIX      = process.env.REDIS_PREFIX || "dukejia:sess:";
+const DEFAULT_SESSION_DIR = path.join(ROOT_DIR, "data", "sessions");
+
+/* ───────────────────────────── Helpers ──────────────────────────────── */
+const SID_RE = /^[A-Za-z0-9_-]{1,200}$/;
+
+/** Session ids end up in file names / Redis keys, so only accept a safe charset */
+export function isValidSessionId(sid) {
+  return typeof sid === "string" && SID_RE.test(sid);
+}
+
+function readCookie(header, name) {
+  const m = String(header || "").match(new RegExp(`(?:^|;\\s*)${name}=([^;]+)`));
+  return m ? decodeURIComponent(m[1]) : undefined;
+}
+
+/** Session id from X-Session-ID, body/query `sessionId`, or the sid cookie (legacy names included) */
+export function readSessionId(req, body = req.body) {
+  const cookie = req.headers?.cookie;
+  const candidates = [
+    req.headers?.["x-session-id"],
+    body?.sessionId,
+    req.query?.sessionId,
+    readCookie(cookie, "sid"),
+    readCookie(cookie, "dukejia_sid"),
+    readCookie(cookie, "hca_sid"),
+  ];
+  return candidates.find(isValidSessionId) || null;
+}
+
+export function newSession(now = Date.now()) {
+  return { history: [], createdAt: now, lastSeen: now, hits: 0 };
+}
+
+function isExpired(session, now = Date.now()) {
+  return !session || now - (session.lastSeen || 0) > SESSION_TTL_MS;
+}
+
+/** Cap stored history so a chatty session can't grow without bound */
+function trimmed(session) {
+  const history = Array.isArray(session.history) ? session.history : [];
+  return { ...session, history: history.slice(-HISTORY_LIMIT) };
+}
+
+/* ───────────────────────────── Backends ─────────────────────────────── */
+function createMemoryStore() {
+  const map = new Map();
+  return {
+    kind: "memory",
+    async get(sid) {
+      const s = map.get(sid);
+      if (isExpired(s)) { map.delete(sid); return null; }
+      return structuredClone(s);
+    },
+    async save(sid, session) { map.set(sid, structuredClone(trimmed(session))); },
+    async destroy(sid) { map.delete(sid); },
+    async sweep() {
+      let n = 0;
+      for (const [sid, s] of map) if (isExpired(s)) { map.delete(sid); n++; }
+      return n;
+    },
+  };
+}
+
+function createFileStore(dir = process.env.SESSION_DIR || DEFAULT_SESSION_DIR) {
+  fs.mkdirSync(dir, { recursive: true });
+  const fileFor = (sid) => path.join(dir, `${sid}.json`);
+
+  return {
+    kind: "file",
+    async get(sid) {
+      let s;
+      try { s = JSON.parse(await fs.promises.readFile(fileFor(sid), "utf8")); }
+      catch { return null; }
+      if (isExpired(s)) { await this.destroy(sid); return null; }
+      return s;
+    },
+    async save(sid, session) {
+      // write-then-rename so a crash never leaves a half-written session
+      const tmp = `${fileFor(sid)}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, JSON.stringify(trimmed(session)));
+      await fs.promises.rename(tmp, fileFor(sid));
+    },
+    async destroy(sid) {
+      await fs.promises.rm(fileFor(sid), { force: true });
+    },
+    async sweep() {
+      let n = 0;
+      const names = await fs.promises.readdir(dir).catch(() => []);
+      for (const name of names) {
+        if (!name.endsWith(".json")) continue;
+        const sid = name.slice(0, -5);
+        if (!(await this.get(sid))) n++; // get() removes expired files
+      }
+      return n;
+    },
+  };
+}
+
+function createRedisStore(url = process.env.REDIS_URL) {
+  if (!url) throw new Error('SESSION_STORE=redis needs REDIS_URL (e.g. "redis://localhost:6379")');
+  const ttlSeconds = Math.max(1, Math.round(SESSION_TTL_MS / 1000));
+  const key = (sid) => `${REDIS_PREFIX}${sid}`;
+
+  // ioredis is only loaded when this backend is selected
+  let clientPromise = null;
+  const client = () => (clientPromise ??= import("ioredis").then(({ default: Redis }) =>
+    new Redis(url, { lazyConnect: false, maxRetriesPerRequest: 2 })
+  ));
+
+  return {
+    kind: "redis",
+    async get(sid) {
+      const raw = await (await client()).get(key(sid));
+      if (!raw) return null;
+      const s = JSON.parse(raw);
+      if (isExpired(s)) { await this.destroy(sid); return null; }
+      return s;
+    },
+    async save(sid, session) {
+      // EX is refreshed on every save, so expiry tracks lastSeen
+      await (await client()).set(key(sid), JSON.stringify(trimmed(session)), "EX", ttlSeconds);
+    },
+    async destroy(sid) { await (await client()).del(key(sid)); },
+    async sweep() { return 0; }, // Redis expires keys itself
+  };
+}
+
+/* ───────────────────────────── Factory ──────────────────────────────── */
+/** Why a `kind` store can't run here, or null — createSessionStore throws it, /api/health reports it */
+export function sessionStoreProblem(kind = process.env.SESSION_STORE || "file") {
+  // Each Vercel instance has its own /tmp and memory, wiped on cold start: history and language would come and go
+  if (process.env.VERCEL && String(kind).toLowerCase() !== "redis") {
+    return `SESSION_STORE=redis is required on Vercel (got "${kind}"; /tmp and memory are per instance)`;
+  }
+  if (String(kind).toLowerCase() === "redis" && !process.env.REDIS_URL) {
+    return 'SESSION_STORE=redis needs REDIS_URL (e.g. "redis://localhost:6379")';
+  }
+  return null;
+}
+
+export function createSessionStore(kind = process.env.SESSION_STORE || "file") {
+  const problem = sessionStoreProblem(kind);
+  if (problem) throw new Error(problem);
+  switch (String(kind).toLowerCase()) {
+    case "memory": return createMemoryStore();
+    case "redis":  return createRedisStore();
+    case "file":   return createFileStore();
+    default: throw new Error(`Unknown SESSION_STORE "${kind}" (use file | redis | memory)`);
+  }
+}
+
+/** One store per process (and per warm serverless instance) */
+export function getSessionStore() {
+  return (globalThis.__DUKEJIA_SESSION_STORE__ ??= createSessionStore());
+}
+
+/** Load (or start) a session and record the visit */
+export async function openSession(store, sid, now = Date.now()) {
+  const session = (await store.get(sid)) || newSession(now);
+  session.lastSeen = now;
+  session.hits = (session.hits || 0) + 1;
+  return session;
+}
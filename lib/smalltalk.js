@@ -0,0 +1,221 @@
+// lib/smalltalk.js — Greetings, thanks, bye, help… answered without touching the knowledge base
+//
+// Intents, their phrases, priorities and replies live in data/intents.json (INTENTS_PATH), so
+// they can be tuned without touching code. A message is small talk only when intent phrases /
+// patterns and fillers cover it end to end ("hi sir", "ok thanks bye"); "help me choose a cap
+// machine" has words left over and goes on to the knowledge base.
+// `npm run check-intents` runs the tricky utterances in data/eval/smalltalk.json against it.
+import path from "path";
+import { BOT_NAME, FRONTEND_GREETS, INTENTS_PATH } from "./config.js";
+import { readJsonFile } from "./ingest.js";
+
+const MAX_SMALL_TALK_CHARS = 80; // longer messages are questions, whatever they start with
+
+/** Time-of-day greeting in IST */
+export function getISTGreeting(now = new Date()) {
+  const hour = Number(
+    new Intl.DateTimeFormat("en-GB", {
+      timeZone: "Asia/Kolkata",
+      hour: "2-digit",
+      hour12: false,
+    }).format(now)
+  );
+  if (hour < 5)  return "Good night";
+  if (hour < 12) return "Good morning";
+  if (hour < 17) return "Good afternoon";
+  if (hour < 21) return "Good evening";
+  return "Good night";
+}
+
+/** Build a full greeting (not used on first user 'hi' anymore) */
+export function buildGreeting(mode) {
+  const base = getISTGreeting();
+  if (mode === "hinglish") {
+    return `${base}! Main ${BOT_NAME} hoon. How can I help you today?`;
+  }
+  if (mode === "hindi") {
+    return `नमस्ते! मैं ${BOT_NAME} हूँ। आज मैं आपकी क्या मदद कर सकता हूँ?`;
+  }
+  return `${base}! I’m ${BOT_NAME}. How can I help you today?`;
+}
+
+/* ───────────────────────── Intents ───────────────────────── */
+const fillBot = (text) => String(text).replaceAll("{bot}", BOT_NAME);
+
+/** Lowercase, emoji split off as words, punctuation → spaces */
+function normalizeText(text = "") {
+  return String(text).normalize("NFC").toLowerCase()
+    .replace(/[\uFE0F\u200D]|\p{Emoji_Modifier}/gu, "")
+    .replace(/(\p{Extended_Pictographic})/gu, " $1 ")
+    .replace(/[^\p{L}\p{M}\p{N}\p{Extended_Pictographic}\s]/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/** Phrase → regex source: any letter may repeat ("hiii", "okkk"), words may run together ("thankyou") */
+function phraseSource(phrase) {
+  return [...normalizeText(fillBot(phrase))]
+    .map((ch) => {
+      if (ch === " ") return "\\s*";
+      const esc = ch.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      return /\p{L}/u.test(ch) ? `${esc}+` : esc;
+    })
+    .join("");
+}
+
+const unit = (source, intent) => ({ re: new RegExp(source, "iuy"), intent });
+
+/**
+ * data/intents.json → { intents, units, starters, minimal, problems }.
+ * `units` are the sticky regexes the matcher walks the message with (fillers have no intent);
+ * `problems` lists entries that were skipped or patterns that don't compile.
+ */
+export function compileIntents(config = {}) {
+  const problems = [];
+  const intents = [];
+  const units = [];
+  const names = new Set();
+
+  for (const [i, raw] of (Array.isArray(config.intents) ? config.intents : []).entries()) {
+    const where = `intents[${i}]${raw?.name ? ` (${raw.name})` : ""}`;
+    if (!raw?.name || typeof raw.name !== "string") { problems.push(`${where}: missing "name"`); continue; }
+    if (names.has(raw.name)) { problems.push(`${where}: duplicate name`); continue; }
+
+    const responses = {};
+    for (const [mode, list] of Object.entries(raw.responses || {})) {
+      if (Array.isArray(list) && list.length) responses[mode] = list.map(fillBot);
+    }
+    if (!responses.english) { problems.push(`${where}: no "english" responses`); continue; }
+
+    const intent = { name: raw.name, priority: Number(raw.priority) || 0, greeting: raw.greeting === true, starters: raw.starters === true, responses };
+    const own = [];
+    for (const phrase of raw.phrases || []) {
+      const source = phraseSource(phrase);
+      if (source) own.push(unit(source, intent));
+    }
+    for (const pattern of raw.patterns || []) {
+      try { own.push(unit(pattern, intent)); }
+      catch (err) { problems.push(`${where}: bad pattern ${JSON.stringify(pattern)} (${err.message})`); }
+    }
+    if (!own.length) { problems.push(`${where}: no "phrases" or "patterns"`); continue; }
+
+    names.add(raw.name);
+    intents.push(intent);
+    units.push(...own);
+  }
+  for (const filler of config.fillers || []) {
+    const source = phraseSource(filler);
+    if (source) units.push(unit(source, null));
+  }
+
+  const starters = {};
+  for (const [mode, list] of Object.entries(config.starters || {})) {
+    const chips = [];
+    for (const chip of Array.isArray(list) ? list : []) {
+      if (!chip?.label) { problems.push(`starters.${mode}: chip without a "label"`); continue; }
+      chips.push({ label: fillBot(chip.label), question: fillBot(chip.question || chip.label) });
+    }
+    if (chips.length) starters[mode] = chips;
+  }
+
+  const minimal = Object.fromEntries(Object.entries(config.minimal || {}).map(([mode, text]) => [mode, fillBot(text)]));
+  return { intents, units, starters, minimal: minimal.english ? minimal : { english: "How can I assist you?", ...minimal }, problems };
+}
+
+/** Loaded once per process; INTENTS_PATH points elsewhere */
+export function getIntents() {
+  if (!globalThis.__DUKEJIA_INTENTS__) {
+    const config = readJsonFile(INTENTS_PATH);
+    if (!Array.isArray(config?.intents)) console.warn(`⚠️ Intents not found at ${INTENTS_PATH}; small talk is off.`);
+    const compiled = compileIntents(config || {});
+    for (const p of compiled.problems) console.warn(`⚠️ ${path.basename(INTENTS_PATH)}: ${p}`);
+    globalThis.__DUKEJIA_INTENTS__ = compiled;
+  }
+  return globalThis.__DUKEJIA_INTENTS__;
+}
+
+/* ───────────────────────── Matching ───────────────────────── */
+/**
+ * The intent of a message that is small talk from end to end, or null.
+ * Each stretch must be an intent phrase / pattern or a filler, ending at a word boundary;
+ * of the intents found, the highest priority wins ("ok thanks" → thanks).
+ */
+export function matchIntent(q, { units } = getIntents()) {
+  const s = normalizeText(q);
+  if (!s || s.length > MAX_SMALL_TALK_CHARS) return null;
+
+  const dead = new Set(); // positions the rest of the message can't be covered from
+  const cover = (pos, found) => {
+    if (pos >= s.length) return found;
+    if (dead.has(pos)) return null;
+    const steps = [];
+    for (const u of units) {
+      u.re.lastIndex = pos;
+      const m = u.re.exec(s);
+      const end = m ? pos + m[0].length : pos;
+      if (end > pos && (end === s.length || s[end] === " ")) steps.push({ end, intent: u.intent });
+    }
+    steps.sort((a, b) => b.end - a.end);
+    for (const { end, intent } of steps) {
+      const done = cover(end + 1, intent ? [...found, intent] : found);
+      if (done) return done;
+    }
+    dead.add(pos);
+    return null;
+  };
+
+  const found = cover(0, []);
+  if (!found?.length) return null;
+  return found.reduce((best, it) => (it.priority > best.priority ? it : best));
+}
+
+/** Intent name ("hello", "thanks"…) of a whole-message small talk, else null */
+export function smallTalkMatch(q) {
+  return matchIntent(q)?.name ?? null;
+}
+
+const pick = (arr) => arr[Math.floor(Math.random() * arr.length)];
+
+export function makeSmallTalkReply(kind, mode) {
+  const intent = getIntents().intents.find((i) => i.name === kind);
+  if (!intent) return buildMinimalAssist(mode);
+  return pick(intent.responses[mode] || intent.responses.english);
+}
+
+/** Entry-point quick replies ([{ label, question }]) in the reply language */
+export function starterSuggestions(mode) {
+  const { starters } = getIntents();
+  return starters[mode] || starters.english || [];
+}
+
+/** First-turn minimal line ONLY when user greets and frontend already introduced the bot */
+export function buildMinimalAssist(mode) {
+  const { minimal } = getIntents();
+  return minimal[mode] || minimal.english;
+}
+
+/**
+ * Full small-talk entry point.
+ * Returns { kind, text, starters } if the message is small talk, else null;
+ * `starters` says the reply should offer the entry-point chips (first turn, help).
+ */
+export function handleSmallTalk(q, { mode, isFirstTurn = false } = {}) {
+  const trimmed = (q || "").trim();
+  // We greet minimally on first user greeting if frontend already introduced the bot.
+  const minimalFirstTurn = isFirstTurn && FRONTEND_GREETS;
+
+  const intent = matchIntent(trimmed);
+  if (intent) {
+    const starters = isFirstTurn || intent.starters;
+    if (minimalFirstTurn && intent.greeting) {
+      return { kind: intent.name, text: buildMinimalAssist(mode), starters }; // minimal one-liner only
+    }
+    return { kind: intent.name, text: makeSmallTalkReply(intent.name, mode), starters };
+  }
+
+  // First-turn, blank or punctuation-only → minimal assist
+  if (minimalFirstTurn && trimmed.replace(/[?.!\s]/g, "") === "") {
+    return { kind: "hello", text: buildMinimalAssist(mode), starters: true };
+  }
+  return null;
+}
@@ -0,0 +1,45 @@
+// lib/sse.js — Server-Sent Events helpers for streaming /api/ask
+//
+// Events: "delta" { text } while generating, then "done" { …final payload } or "error" { error, status }.
+// Works with both Express and Vercel responses (plain Node ServerResponse underneath).
+
+/** Client opts into streaming via `Accept: text/event-stream`, `?stream=1` or `{ stream: true }` */
+export function wantsEventStream(req, body = req.body) {
+  const accept = String(req.headers?.accept || "");
+  const flag = String(req.query?.stream ?? body?.stream ?? "").toLowerCase();
+  return accept.includes("text/event-stream") || flag === "1" || flag === "true";
+}
+
+export function openEventStream(res) {
+  res.statusCode = 200;
+  res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
+  res.setHeader("Cache-Control", "no-cache, no-transform");
+  res.setHeader("Connection", "keep-alive");
+  res.setHeader("X-Accel-Buffering", "no"); // disable proxy buffering (nginx)
+  res.flushHeaders?.();
+}
+
+export function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/** Lazily-opened event stream: headers go out with the first event */
+export function createEventStream(res) {
+  const ensureOpen = () => { if (!res.headersSent) openEventStream(res); };
+  return {
+    delta(text) {
+      ensureOpen();
+      sendEvent(res, "delta", { text });
+    },
+    done(payload) {
+      ensureOpen();
+      sendEvent(res, "done", payload);
+      res.end();
+    },
+    error(message, status = 500) {
+      ensureOpen();
+      sendEvent(res, "error", { error: message, status });
+      res.end();
+    },
+  };
+}
@@ -0,0 +1,121 @@
+// lib/suggestions.js — Follow-up questions offered as quick-reply chips after an answer
+//
+// Built from what the answer was grounded on, without another LLM call:
+//   spec      catalog fields of the model the question names that it hasn't asked about yet
+//   compare   that model against another one from the retrieved chunks or its catalog family
+//   question  Q&A lines in the retrieved chunks ("Q. What is the warranty period?") — English only,
+//             since the sources are English and a click would switch the reply language
+// Entry-point chips (first turn, help) come from data/intents.json (lib/smalltalk.js).
+// Each suggestion is { label, question }: the chip shows the label and sends the question.
+import { askedSpecFields, formatField } from "./catalog.js";
+import { extractModelIds } from "./model-ids.js";
+import { lexicalTokens } from "./bm25.js";
+
+export const MAX_SUGGESTIONS = 3;
+// Catalog fields in the order they're worth asking about next
+const SPEC_ORDER = ["max_speed_rpm", "area", "attachments", "needles", "heads", "control"];
+
+const FOLLOW_UP_TEXT = {
+  english: {
+    heads:         (m) => `How many heads does ${m} have?`,
+    needles:       (m) => `How many needles does ${m} have?`,
+    max_speed_rpm: (m) => `What is the max speed of ${m}?`,
+    area:          (m) => `What is the embroidery area of ${m}?`,
+    control:       (m) => `Which control system does ${m} use?`,
+    attachments:   (m) => `Which attachments does ${m} support?`,
+    compare:       (a, b) => `Compare ${a} vs ${b}`,
+  },
+  hinglish: {
+    heads:         (m) => `${m} mein kitne heads hain?`,
+    needles:       (m) => `${m} mein kitni needles hain?`,
+    max_speed_rpm: (m) => `${m} ki max speed kitni hai?`,
+    area:          (m) => `${m} ka embroidery area kitna hai?`,
+    control:       (m) => `${m} mein kaun sa control system hai?`,
+    attachments:   (m) => `${m} ke saath kaun se attachments milte hain?`,
+    compare:       (a, b) => `${a} aur ${b} mein kya farak hai?`,
+  },
+  hindi: {
+    heads:         (m) => `${m} में कितने हेड हैं?`,
+    needles:       (m) => `${m} में कितनी सुइयाँ हैं?`,
+    max_speed_rpm: (m) => `${m} की अधिकतम स्पीड कितनी है?`,
+    area:          (m) => `${m} का एम्ब्रॉयडरी एरिया कितना है?`,
+    control:       (m) => `${m} में कौन सा कंट्रोल सिस्टम है?`,
+    attachments:   (m) => `${m} के साथ कौन से अटैचमेंट मिलते हैं?`,
+    compare:       (a, b) => `${a} और ${b} में क्या अंतर है?`,
+  },
+};
+
+// "Q. What is …?", "3) Do you …?" or a bare question line in a Q&A source
+const QUESTION_LINE_RE = /^[ \t]*(?:Q\s*\d*\s*[.:)-]\s*|\d{1,2}[.)]\s*)?([A-Z][^?\n]{10,110}\?)[ \t]*$/gm;
+
+/** Mostly the same words as one of `asked` (so not worth suggesting) */
+function alreadyAsked(text, asked) {
+  const a = new Set(lexicalTokens(text));
+  if (!a.size) return true;
+  return asked.some((q) => {
+    const b = new Set(lexicalTokens(q));
+    if (!b.size) return false;
+    let shared = 0;
+    for (const t of a) if (b.has(t)) shared++;
+    return shared / Math.min(a.size, b.size) >= 0.6;
+  });
+}
+
+/** Catalog entries for `ids`, in order, without repeats */
+function catalogEntries(ids, models) {
+  const seen = new Set();
+  const entries = [];
+  for (const id of ids) {
+    const entry = models.find((m) => m.id === id);
+    if (entry && !seen.has(entry.id)) { seen.add(entry.id); entries.push(entry); }
+  }
+  return entries;
+}
+
+/**
+ * Up to MAX_SUGGESTIONS follow-ups for an answer.
+ * @param {object}   args
+ * @param {string}   args.question   retrieval query (English after lib/translate.js)
+ * @param {string[]} [args.asked]    other phrasings to steer clear of (the user's own words)
+ * @param {object[]} [args.chunks]   retrieved chunks the answer used
+ * @param {string}   [args.mode]     reply language
+ * @param {object[]} [args.models]   catalog entries
+ * @param {string[]} [args.answered] catalog fields the answer already gave
+ * @returns {{ label: string, question: string }[]}
+ */
+export function followUpSuggestions({ question = "", asked = [], chunks = [], mode = "english", models = [], answered = [] } = {}) {
+  const text = FOLLOW_UP_TEXT[mode] || FOLLOW_UP_TEXT.english;
+  const askedIds = extractModelIds(question);
+  // Chunks mention models in passing, so only a model the question names gets spec follow-ups
+  const [primary] = catalogEntries(askedIds, models);
+
+  const specs = [];
+  let compare = null;
+  if (primary) {
+    const skip = new Set([...askedSpecFields(question), ...answered]);
+    for (const field of SPEC_ORDER) {
+      if (!skip.has(field) && formatField(field, primary[field]) != null) specs.push(text[field](primary.model));
+    }
+    const others = catalogEntries(chunks.flatMap((c) => extractModelIds(c.text_original || "")), models)
+      .filter((m) => !askedIds.includes(m.id));
+    const other = others.find((m) => m.family === primary.family) || others[0]
+      || models.find((m) => m.family === primary.family && !askedIds.includes(m.id));
+    if (other) compare = text.compare(primary.model, other.model);
+  }
+
+  const fromChunks = [];
+  if (!FOLLOW_UP_TEXT[mode] || mode === "english") {
+    for (const c of chunks) {
+      for (const m of (c.text_original || "").matchAll(QUESTION_LINE_RE)) fromChunks.push(m[1].replace(/\s+/g, " ").trim());
+    }
+  }
+
+  const picked = [];
+  const avoid = [question, ...asked];
+  for (const q of [specs[0], fromChunks.find((q) => !alreadyAsked(q, avoid)), compare, ...specs.slice(1), ...fromChunks]) {
+    if (picked.length >= MAX_SUGGESTIONS) break;
+    if (!q || picked.includes(q) || (!specs.includes(q) && q !== compare && alreadyAsked(q, [...avoid, ...picked]))) continue;
+    picked.push(q);
+  }
+  return picked.map((q) => ({ label: q, question: q }));
+}
@@ -0,0 +1,132 @@
+// lib/text.js — Stopwords, protected domain tokens and embedding cleaners
+// Shared by the query path (lib/core.js) and the document path (scripts/embed.mjs),
+// so queries and chunks are normalised with exactly the same vocabulary.
+
+/* ───────────────────────────── Stopwords ────────────────────────────── */
+export const EN_STOPWORDS = new Set(`
+a about above after again against all am an and any are aren't as at
+be because been before being below between both but by
+can't cannot could couldn't did didn't do does doesn't doing don't down during
+each few for from further
+had hadn't has hasn't have haven't having he he'd he'll he's her here here's hers herself him himself his how how's
+i i'd i'll i'm i've if in into is isn't it it's its itself
+let's
+me more most mustn't my myself
+no nor not of off on once only or other ought our ours ourselves out over own
+same shan't she she'd she'll she's should shouldn't so some such
+than that that's the their theirs them themselves then there there's these they they'd they'll they're they've this those through to too
+under until up very
+was wasn't we we'd we'll we're we've were weren't what what's when when's where where's which while who who's whom why why's with won't would wouldn't
+you you'd you'll you're you've your yours yourself yourselves
+`.trim().split(/\s+/));
+
+export const HINGLISH_STOPWORDS = new Set([
+  "hai","hain","ho","hona","hoga","hogi","honge","hote","hota","thi","tha","the",
+  "kya","kyu","kyun","kyunki","kisi","kis","kaun","konsa","kab","kaha","kahaan","kaise",
+  "nahi","nahin","na","mat","bas","sirf","bhi","hi","to","tho","ab","abhi","phir","fir",
+  "ye","yeh","vo","woh","aisa","waisa","jab","tab","agar","lekin","magar","par","per","ya","aur",
+  "ka","ki","ke","mein","me","mai","mei","mujhe","mujhko","hume","humko","tumhe","aap","ap","hum","tum",
+  "se","ko","tak","pe","par","liye","ke","liye",
+  "kr","kar","karo","karna","karke","krke","krna","ho gya","hogaya","chahiye","chahie","krdo","kardo","de","do","lo","le","dena","lena"
+]);
+
+export const HINDI_STOPWORDS = new Set([
+  "है","हैं","हो","होना","होगा","होगी","होंगे","होते","होता","था","थी","थे",
+  "क्या","क्यों","क्योंकि","किसी","कौन","कौनसा","कब","कहाँ","कैसे",
+  "नहीं","मत","बस","सिर्फ","भी","ही","तो","अब","अभी","फिर",
+  "यह","ये","वह","वो","जब","तब","अगर","लेकिन","मगर","या","और",
+  "का","की","के","में","मे","मुझे","हमें","तुम्हें","आप","हम","तुम",
+  "से","को","तक","पर","लिए","चाहिए","कर","करो","करना","करके","कर दें","कर लो"
+]);
+
+/* ─────────────────────────── Protected Tokens ───────────────────────── */
+// Never stripped as stopwords: brand, domain, spec and model vocabulary
+export const PROTECTED_TOKENS = new Set([
+  // ─── Core company / brands ───
+  "hari","chand","anand","anil","hca",
+  "hari-chand-anand","hari-chand-anand-&-co","hari-chand-anand-and-co",
+  "duke","duke-jia","dukejia","duki","contact","call","email","address","Branches","Headquarters",
+  "Head Office","Factory","Works","Website","WhatsApp","Whatsapp","Whats app","Phone",
+  "Brand","Brands","names","name","features","feature","specification","specifications","specs","model","models","type","types",
+  "descriptions","description","Appllications","application","Machine_id","Machine ID","ID",
+
+  // ─── Spec vocabulary ───
+  "needle","niddle","heads","head","speed","rpm","Embroidery Area","phase","phases",
+
+  // ─── Regions ───
+  "delhi","india","bangladesh","ethiopia",
+
+  // ─── Domains / industries ───
+  "automation","solution","solutions","garment","leather","mattress",
+  "perforation","embroidery","quilting","sewing","upholstery","pattern",
+
+  // ─── Attachments / techniques ───
+  "sequin","sequins","bead","beads","cording","coiling","taping","rhinestone","chenille","chainstitch","cap","tubular",
+
+  // ─── Control systems / file formats ───
+  "dahao","a18","dst","tajima","usb","u-disk","lcd","touchscreen","network",
+
+  // ─── Features / safety / mechanics ───
+  "auto-trimming","automatic-trimming","auto-color-change","automatic-color-change",
+  "thread-break-detection","power-failure-recovery","servo","servo-motor","36v","36v-dc",
+  "oil-mist","dust-clean","wide-voltage","270-cap-frame",
+
+  // ─── Machine models (embroidery & related) ───
+  "es-1300","es 1300","dy pe750x600","halo-100","dy-601ctm","dy sk d2-2.0rh",
+  "dy-606","dy-606h","dy-606hc","dy-606l","dy-606xl","dy-606s","dy-606+1ct","dy-606+1pd",
+  "dy-602","dy-602h","dy-602hc","dy-602l","dy-602xl","dy-602s","dy-602+1ct","dy-602+1pd","dy 601ctm",
+  "dy 606+6","dy602+2","dy-606+6","dy 908","dy 912","dy 915-120","dy 918-120",
+  "dy 1201","dy 1201l","dy 1201h","dy 1201xl","dy 1201s",
+  "dy-1201","dy-1201l","dy-1201h","dy-1201xl","dy-1201s","dy Halo-100",
+  "dy-1201+1ct","dy-1201+1pd","dy 1204","dy 1206","dy 1206h","dy 1206hc",
+  "dy-1204","dy-1206","dy-1206h","dy-1206hc",
+  "dy-1202","dy-1202l","dy-1202h","dy 1202h","dy-1202xl","dy-1202s","dy 918","dy 915",
+  "dy 1502","dy-1502",
+  "dy-1202hc","dy-1203h","dy-1204","dy-1206","dy-1206h",
+  "dy-1502","dy-908","dy-912","dy915-120","dy918-120","dy cs3000",
+  "duke-single-head","duke multi-head","duke multi head","duke multihead",
+  "dukejia-single-head","dukejia multi-head","dukejia multi head","dukejia multihead",
+
+  // ─── Non-embroidery models (brand-relevant) ───
+  "dy-cs3000","dy-pe750x600","dy-sk-d2-2.0rh"
+]);
+
+/* ───────────────────────────── Cleaners ─────────────────────────────── */
+export function normalizeWhitespace(s) {
+  return (s || "")
+    .replace(/\r/g, "")
+    .replace(/[ \t]+\n/g, "\n")
+    .replace(/\n{3,}/g, "\n\n");
+}
+
+function keepToken(t) {
+  if (PROTECTED_TOKENS.has(t)) return true;
+  if (EN_STOPWORDS.has(t)) return false;
+  if (HINGLISH_STOPWORDS.has(t)) return false;
+  if (HINDI_STOPWORDS.has(t)) return false;
+  return true;
+}
+
+/** Query cleaner: lowercase, strip punctuation, drop EN/Hinglish/Hindi stopwords */
+export function cleanForEmbedding(s) {
+  if (!s) return "";
+  const lower = s.toLowerCase();
+  const stripped = lower.replace(/[^a-z0-9\u0900-\u097F\s-]/g, " ");
+  return stripped.split(/\s+/).filter(Boolean).filter(keepToken).join(" ").trim();
+}
+
+// Keep units/symbols useful in specs: . , / + - × ° % " '
+const KEEP_REGEX = /[^a-z0-9\u0900-\u097F\s\.\,\+\/\-×°%"']/g;
+
+/** Document cleaner: like the query cleaner but keeps spec symbols; never returns near-empty text */
+export function cleanChunkForEmbedding(s) {
+  if (!s) return "";
+  const lower = s.toLowerCase();
+  const stripped = lower.replace(KEEP_REGEX, " ");
+  let out = stripped.split(/\s+/).filter(Boolean).filter(keepToken).join(" ").trim();
+  // If cleaning nuked too much (tables/numbers), use lightly-normalized original
+  if (out.replace(/\s+/g, "").length < 16) {
+    out = normalizeWhitespace(lower).slice(0, 4000);
+  }
+  return out;
+}
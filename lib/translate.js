@@ -0,0 +1,175 @@
+// lib/translate.js — Hinglish / Hindi questions → English retrieval queries
+//
+// The knowledge sources are English, so "1201 machine ki speed kitni hai" is searched as
+// "1201 machine speed how much" instead of embedding the Hinglish as is. Only retrieval
+// sees the translation; the reply is still written in the user's language (lib/language.js).
+//
+// QUERY_TRANSLATION:
+//   glossary (default)  offline word / phrase glossary below; function words are dropped
+//   llm                 the generation model translates, the glossary covers any failure
+//   off                 queries are searched as typed
+// Model ids (lib/model-ids.js), numbers and PROTECTED_TOKENS always come through unchanged.
+import { detectResponseMode } from "./language.js";
+import { findModelIds } from "./model-ids.js";
+import { HINGLISH_STOPWORDS, HINDI_STOPWORDS, PROTECTED_TOKENS } from "./text.js";
+
+export const QUERY_TRANSLATION = (process.env.QUERY_TRANSLATION || "glossary").toLowerCase();
+
+/* ───────────────────────────── Glossary ─────────────────────────────── */
+// Lowercase Hinglish / Hindi word or phrase → English; the longest phrase wins. Words not listed
+// stay as typed (often English already), Hinglish / Hindi stopwords are dropped.
+const GLOSSARY = {
+  // ─── Questions ───
+  "kya hai": "what is", "kya hota hai": "what is", "kaun sa": "which", "kaun si": "which", "kon sa": "which",
+  "kon si": "which", "konsa": "which", "konsi": "which", "kitna": "how much", "kitni": "how much",
+  "kitne": "how many", "kitne ka": "price", "kitne ki": "price", "kaise": "how", "kaisa": "how", "kab": "when",
+  "kaha": "where", "kahan": "where", "kahaan": "where", "kyu": "why", "kyun": "why", "kya": "what",
+  "क्या है": "what is", "कौन सा": "which", "कौन सी": "which", "कौनसा": "which", "कितना": "how much",
+  "कितनी": "how much", "कितने": "how many", "कितने का": "price", "कैसे": "how", "कैसा": "how", "कब": "when",
+  "कहाँ": "where", "कहां": "where", "क्यों": "why", "क्या": "what",
+
+  // ─── Buying / service ───
+  "kimat": "price", "keemat": "price", "daam": "price", "bhav": "price", "bhaav": "price",
+  "kharidna": "buy", "kharid": "buy", "lena hai": "buy", "milega": "available", "milegi": "available",
+  "milta": "available", "milti": "available", "bhejna": "delivery", "pahunch": "delivery", "din": "days",
+  "saal": "year", "mahine": "months", "sikhana": "training", "sikhayenge": "training", "theek": "repair",
+  "kharab": "fault", "mistri": "technician", "dukaan": "showroom", "daftar": "office", "shakha": "branch",
+  "kiraya": "rent", "kist": "emi", "kisht": "emi",
+  "कीमत": "price", "क़ीमत": "price", "दाम": "price", "भाव": "price", "प्राइस": "price", "रेट": "rate",
+  "खरीदना": "buy", "ख़रीदना": "buy", "खरीद": "buy", "मिलेगा": "available", "मिलेगी": "available",
+  "डिलीवरी": "delivery", "दिन": "days", "साल": "year", "वर्ष": "year", "महीने": "months",
+  "वारंटी": "warranty", "गारंटी": "guarantee", "सर्विस": "service", "सेवा": "service",
+  "प्रशिक्षण": "training", "ट्रेनिंग": "training", "मरम्मत": "repair", "खराब": "fault", "ख़राब": "fault",
+  "तकनीशियन": "technician", "इंजीनियर": "engineer", "डेमो": "demo", "कोटेशन": "quotation",
+  "ऑफिस": "office", "कार्यालय": "office", "दफ्तर": "office", "शाखा": "branch", "ब्रांच": "branch",
+  "संपर्क": "contact", "पता": "address", "फोन": "phone", "फ़ोन": "phone", "नंबर": "number", "ईमेल": "email",
+
+  // ─── Machines / specs ───
+  "mashin": "machine", "raftar": "speed", "raftaar": "speed", "gati": "speed",
+  "sui": "needle", "suiyan": "needles", "suiyaan": "needles", "dhaga": "thread",
+  "dhaage": "threads", "dhage": "threads", "rang": "color", "kadhai": "embroidery", "kadai": "embroidery",
+  "kashidakari": "embroidery", "silai": "sewing", "rajai": "quilting", "gadda": "mattress", "gadde": "mattress",
+  "chamda": "leather", "chamde": "leather", "kapda": "fabric", "kapde": "fabric", "topi": "cap",
+  "chhed": "perforation", "ched": "perforation", "bijli": "power", "vajan": "weight", "wajan": "weight",
+  "wazan": "weight", "lambai": "length", "chaudai": "width", "chaurai": "width", "aakar": "size",
+  "akar": "size", "naap": "size", "kshetra": "area", "khasiyat": "features", "visheshta": "features",
+  "upyog": "applications", "istemal": "use", "prakar": "types", "kism": "types", "tarah": "types",
+  "farak": "difference", "fark": "difference", "antar": "difference", "mukabla": "comparison",
+  "behtar": "better", "sabse achha": "best", "sabse acchi": "best", "achha": "good", "accha": "good", "achhi": "good", "acchi": "good",
+  "sasta": "cheap", "sasti": "cheap", "mehenga": "expensive", "mehnga": "expensive", "chhota": "small",
+  "chhoti": "small", "bada": "large", "badi": "large", "tez": "fast", "dhima": "slow", "naya": "new",
+  "nayi": "new", "purana": "old", "purani": "old", "chalti": "runs", "chalta": "runs", "chalana": "operate",
+  "मशीन": "machine", "मॉडल": "model", "स्पीड": "speed", "गति": "speed", "रफ्तार": "speed", "रफ़्तार": "speed",
+  "सुई": "needle", "सुइयाँ": "needles", "सुइयां": "needles", "नीडल": "needle", "हेड": "head", "सिर": "head",
+  "धागा": "thread", "धागे": "threads", "रंग": "color", "कढ़ाई": "embroidery", "कढाई": "embroidery",
+  "कशीदाकारी": "embroidery", "एम्ब्रॉयडरी": "embroidery", "सिलाई": "sewing", "रजाई": "quilting",
+  "क्विल्टिंग": "quilting", "गद्दा": "mattress", "गद्दे": "mattress", "चमड़ा": "leather", "चमड़े": "leather",
+  "कपड़ा": "fabric", "कपड़े": "fabric", "टोपी": "cap", "कैप": "cap", "छेद": "perforation",
+  "परफोरेशन": "perforation", "बिजली": "power", "वोल्टेज": "voltage", "मोटर": "motor", "वजन": "weight",
+  "वज़न": "weight", "लंबाई": "length", "चौड़ाई": "width", "आकार": "size", "साइज": "size", "साइज़": "size",
+  "क्षेत्र": "area", "एरिया": "area", "फ्रेम": "frame", "फ़्रेम": "frame", "कंट्रोल": "control",
+  "विशेषताएँ": "features", "विशेषताएं": "features", "विशेषता": "features", "फीचर्स": "features",
+  "उपयोग": "applications", "इस्तेमाल": "use", "प्रकार": "types", "किस्म": "types", "तरह": "types",
+  "अंतर": "difference", "फर्क": "difference", "फ़र्क": "difference", "तुलना": "compare", "बेहतर": "better",
+  "सबसे अच्छा": "best", "सबसे अच्छी": "best", "अच्छा": "good", "सस्ता": "cheap", "सस्ती": "cheap",
+  "महंगा": "expensive", "छोटा": "small", "छोटी": "small", "बड़ा": "large", "बड़ी": "large", "तेज": "fast",
+  "तेज़": "fast", "नया": "new", "नई": "new", "पुराना": "old", "चलती": "runs", "चलता": "runs",
+  "चलाना": "operate", "स्वचालित": "automatic", "ऑटोमैटिक": "automatic", "अधिकतम": "max",
+  "अटैचमेंट": "attachments", "अटैचमेंट्स": "attachments", "सिस्टम": "system", "पार्ट्स": "parts", "स्पेयर": "spare",
+
+  // ─── Places ───
+  "भारत": "india", "दिल्ली": "delhi", "लुधियाना": "ludhiana", "तिरुपुर": "tirupur", "कोलकाता": "kolkata",
+  "मुंबई": "mumbai", "सूरत": "surat", "बांग्लादेश": "bangladesh", "इथियोपिया": "ethiopia",
+
+  // ─── Joining words that carry meaning ───
+  "aur": "and", "ya": "or", "ke beech": "between", "ke sath": "with", "ke saath": "with", "bina": "without",
+  "और": "and", "या": "or", "के बीच": "between", "के साथ": "with", "बिना": "without",
+};
+
+const MAX_PHRASE = Math.max(...Object.keys(GLOSSARY).map((k) => k.split(" ").length));
+const DEVANAGARI_DIGITS = /[०-९]/g;
+const EDGE_PUNCT = /^[^\p{L}\p{N}]+|[^\p{L}\p{N}\p{M}]+$/gu;
+
+/** Word-by-word glossary translation; `[[n]]` placeholders (masked model ids) pass through */
+function glossaryTranslate(text) {
+  const words = text.split(/\s+/).filter(Boolean);
+  const out = [];
+  for (let i = 0; i < words.length; ) {
+    let matched = false;
+    for (let n = Math.min(MAX_PHRASE, words.length - i); n >= 1 && !matched; n--) {
+      const key = words.slice(i, i + n).map((w) => w.toLowerCase().replace(EDGE_PUNCT, "")).join(" ");
+      if (Object.hasOwn(GLOSSARY, key)) {
+        out.push(GLOSSARY[key]);
+        i += n;
+        matched = true;
+      }
+    }
+    if (matched) continue;
+
+    const word = words[i++];
+    if (/\[\[\d+\]\]/.test(word)) { out.push(word.replace(/[?!.,;:।]+$/, "")); continue; }
+    const bare = word.toLowerCase().replace(EDGE_PUNCT, "");
+    if (!bare) continue;
+    if (PROTECTED_TOKENS.has(bare) || /\d/.test(bare)) out.push(word.replace(EDGE_PUNCT, ""));
+    else if (!HINGLISH_STOPWORDS.has(bare) && !HINDI_STOPWORDS.has(bare)) out.push(bare);
+  }
+  return out.join(" ");
+}
+
+/** Model ids → `[[n]]` so neither the glossary nor the LLM can touch them */
+function maskModelIds(text) {
+  const ids = [];
+  let masked = text;
+  for (const m of findModelIds(text).reverse()) {
+    masked = `${masked.slice(0, m.index)}[[${ids.length}]]${masked.slice(m.index + m.raw.length)}`;
+    ids.push(m.raw);
+  }
+  return { masked, unmask: (s) => s.replace(/\[\[(\d+)\]\]/g, (_, n) => ids[n] ?? "") };
+}
+
+/* ───────────────────────────── LLM ──────────────────────────────────── */
+/** null on any failure or when a placeholder went missing */
+async function llmTranslate(llm, masked) {
+  const prompt = `
+Translate the customer's message (Hinglish or Hindi) into one short English search query for the Dukejia machine knowledge base.
+- Copy every placeholder like [[0]] exactly as written; they are machine model numbers.
+- Keep numbers, units and brand names unchanged. Do not answer the question.
+- Output ONLY the English query, nothing else.
+
+MESSAGE:
+${masked}
+`.trim();
+
+  try {
+    const out = ((await llm.generate(prompt)) || "").trim().split("\n")[0].trim().replace(/^["'“]|["'”]$/g, "");
+    if (!out || out.length > Math.max(200, masked.length * 4) || /[\u0900-\u097F]/.test(out)) return null;
+    const placeholders = masked.match(/\[\[\d+\]\]/g) || [];
+    return placeholders.every((p) => out.includes(p)) ? out : null;
+  } catch (err) {
+    console.warn("⚠️ Query translation failed:", err?.message || err);
+    return null;
+  }
+}
+
+/* ───────────────────────────── Public ───────────────────────────────── */
+/**
+ * English retrieval query for `q`. English questions (and QUERY_TRANSLATION=off) come back as is.
+ * @param {string} q
+ * @param {object} [opts]
+ * @param {object} [opts.llm]     generation provider, for method "llm"
+ * @param {string} [opts.method]  glossary | llm | off (default QUERY_TRANSLATION)
+ * @returns {Promise<{ query: string, language: string, via: "glossary"|"llm"|null }>}
+ */
+export async function translateQuery(q = "", { llm = null, method = QUERY_TRANSLATION } = {}) {
+  const text = String(q ?? "").replace(DEVANAGARI_DIGITS, (d) => String(d.charCodeAt(0) - 0x0966)).trim();
+  const language = detectResponseMode(text);
+  if (method === "off" || (language === "english" && !/[\u0900-\u097F]/.test(text))) return { query: q, language, via: null };
+
+  const { masked, unmask } = maskModelIds(text);
+  if (method === "llm" && llm) {
+    const out = await llmTranslate(llm, masked);
+    if (out) return { query: unmask(out), language, via: "llm" };
+  }
+  const out = unmask(glossaryTranslate(masked)).trim();
+  return out ? { query: out, language, via: "glossary" } : { query: q, language, via: null };
+}
@@ -0,0 +1,149 @@
+// lib/vector-search.js — Nearest-neighbour search over a packed Float32 matrix
+//
+// Vectors live in one Float32Array (row i = vector i, L2-normalized), so cosine is a plain
+// dot product and the best K come out of a size-K heap instead of sorting every score.
+//
+//   VECTOR_SEARCH=exact (default) — scan every row; exact, fine up to tens of thousands of chunks
+//   VECTOR_SEARCH=hnsw            — approximate HNSW graph (lib/hnsw.js), built in memory when the
+//                                   index is loaded or swapped (lib/vectors.js), used from HNSW_MIN_VECTORS rows up
+// `npm run bench-search` compares both (and the old array + sort path) on real or synthetic data.
+import { buildHnsw } from "./hnsw.js";
+
+const VECTOR_SEARCH    = (process.env.VECTOR_SEARCH || "exact").toLowerCase();
+const HNSW_MIN_VECTORS = parseInt(process.env.HNSW_MIN_VECTORS || "5000", 10);
+
+/* ───────────────────────────── Vectors ──────────────────────────────── */
+/** L2-normalized Float32 copy (zero vector stays zero) */
+export function normalize(vec) {
+  const out = Float32Array.from(vec);
+  let norm = 0;
+  for (let i = 0; i < out.length; i++) norm += out[i] * out[i];
+  norm = Math.sqrt(norm);
+  if (norm) for (let i = 0; i < out.length; i++) out[i] /= norm;
+  return out;
+}
+
+/** Rows of `vectors[i].embedding`, normalized, in one Float32Array → { matrix, dims } */
+export function packVectors(vectors = []) {
+  const dims = vectors.find((v) => v.embedding?.length)?.embedding.length || 0;
+  const matrix = new Float32Array(vectors.length * dims);
+  vectors.forEach((v, i) => {
+    if (v.embedding?.length !== dims) throw new Error(`Vector ${i} has ${v.embedding?.length || 0} dimensions, expected ${dims}`);
+    matrix.set(normalize(v.embedding), i * dims);
+  });
+  return { matrix, dims };
+}
+
+/** Row `i` as a view (no copy) */
+export const rowOf = (matrix, dims, i) => matrix.subarray(i * dims, (i + 1) * dims);
+
+/** Row at `offset` · query (4 accumulators: ~1.5× faster than one in V8) */
+export function dot(matrix, offset, query) {
+  const d = query.length;
+  let s0 = 0, s1 = 0, s2 = 0, s3 = 0, j = 0;
+  for (; j + 3 < d; j += 4) {
+    s0 += matrix[offset + j] * query[j];
+    s1 += matrix[offset + j + 1] * query[j + 1];
+    s2 += matrix[offset + j + 2] * query[j + 2];
+    s3 += matrix[offset + j + 3] * query[j + 3];
+  }
+  for (; j < d; j++) s0 += matrix[offset + j] * query[j];
+  return s0 + s1 + s2 + s3;
+}
+
+/* ───────────────────────────── Top-K ────────────────────────────────── */
+/**
+ * The `k` highest-scoring ids of a stream of push(id, score): a size-k min-heap,
+ * O(n log k) instead of sorting all n. sorted() → [{ i, score }] best first.
+ */
+export function createTopK(k) {
+  const ids = new Int32Array(Math.max(0, k));
+  const scores = new Float64Array(Math.max(0, k));
+  let size = 0;
+
+  const swap = (a, b) => {
+    [ids[a], ids[b]] = [ids[b], ids[a]];
+    [scores[a], scores[b]] = [scores[b], scores[a]];
+  };
+  const siftDown = (i) => {
+    for (;;) {
+      const l = 2 * i + 1, r = l + 1;
+      let m = i;
+      if (l < size && scores[l] < scores[m]) m = l;
+      if (r < size && scores[r] < scores[m]) m = r;
+      if (m === i) return;
+      swap(i, m);
+      i = m;
+    }
+  };
+
+  return {
+    get size() { return size; },
+    /** Score a newcomer must beat once the heap is full */
+    worst() { return size < k ? -Infinity : scores[0]; },
+    push(id, score) {
+      if (size < k) {
+        let i = size++;
+        ids[i] = id; scores[i] = score;
+        while (i > 0) {
+          const p = (i - 1) >> 1;
+          if (scores[p] <= scores[i]) break;
+          swap(i, p);
+          i = p;
+        }
+      } else if (k > 0 && score > scores[0]) {
+        ids[0] = id; scores[0] = score;
+        siftDown(0);
+      }
+    },
+    sorted() {
+      const out = [];
+      for (let i = 0; i < size; i++) out.push({ i: ids[i], score: scores[i] });
+      return out.sort((a, b) => b.score - a.score || a.i - b.i);
+    },
+  };
+}
+
+/** Best `k` positive entries of a score array (BM25) → [{ i, score }] */
+export function topScores(scores, k) {
+  const top = createTopK(k);
+  for (let i = 0; i < scores.length; i++) if (scores[i] > 0) top.push(i, scores[i]);
+  return top.sorted();
+}
+
+/** Exact cosine top-K: one dot product per row; `query` must be normalized */
+export function exactSearch(matrix, dims, query, k) {
+  const top = createTopK(k);
+  const n = dims ? matrix.length / dims : 0;
+  for (let i = 0, off = 0; i < n; i++, off += dims) top.push(i, dot(matrix, off, query));
+  return top.sorted();
+}
+
+/* ───────────────────────────── Searcher ─────────────────────────────── */
+/**
+ * search(queryVec, k) → [{ i, score (cosine) }] best first, over a packVectors() matrix.
+ * build() makes the HNSW graph up front (a no-op for exact search); otherwise the first search does.
+ * @param {{ matrix: Float32Array, dims: number }} packed
+ * @param {object} [opts]
+ * @param {"exact"|"hnsw"} [opts.mode]   default VECTOR_SEARCH
+ * @param {number} [opts.minVectors]     below this many rows hnsw falls back to exact
+ */
+export function createSearcher({ matrix, dims }, { mode = VECTOR_SEARCH, minVectors = HNSW_MIN_VECTORS, hnsw = {} } = {}) {
+  const n = dims ? matrix.length / dims : 0;
+  const approximate = mode === "hnsw" && n >= minVectors;
+  let graph = null;
+  const build = () => (graph ??= buildHnsw(matrix, dims, hnsw));
+  return {
+    mode: approximate ? "hnsw" : "exact",
+    size: n,
+    build() {
+      if (approximate) build();
+    },
+    search(queryVec, k) {
+      if (queryVec.length !== dims) throw new Error(`Vector dimensions differ (${queryVec.length} vs ${dims})`);
+      const q = normalize(queryVec);
+      if (!approximate) return exactSearch(matrix, dims, q, k);
+      return build().search(q, k);
+    },
+  };
+}
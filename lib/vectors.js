@@ -0,0 +1,180 @@
+// lib/vectors.js — Embedding index (data/index.json): loading, hot reload, similarity
+//
+// Loaded vectors are packed into one normalized Float32 matrix (lib/vector-search.js);
+// `index.search(queryVec, k)` returns the nearest rows without scoring into a full sort.
+//
+// Every load (and hot reload) checks the index against the running embedder (checkIndex):
+// provider / model, vector dimensions and schema_version. An incompatible index is refused
+// (the previous vectors stay live); INDEX_COMPAT=warn loads a provider / model mismatch anyway.
+import fs from "fs";
+import path from "path";
+import { EMB_PATH } from "./config.js";
+import { buildLexicalIndex, isLexicalIndexFor } from "./bm25.js";
+import { INDEX_SCHEMA_VERSION, indexEmbedding, embeddedWith, readIndex } from "./ingest.js";
+import { packVectors, rowOf, createSearcher } from "./vector-search.js";
+import { getEmbedder } from "./providers/index.js";
+
+const INDEX_COMPAT = (process.env.INDEX_COMPAT || "strict").toLowerCase();
+
+export function cosineSim(a, b) {
+  if (a.length !== b.length) throw new Error(`Vector dimensions differ (${a.length} vs ${b.length})`);
+  let dot = 0, na = 0, nb = 0;
+  for (let i = 0; i < a.length; i++) { dot += a[i] * b[i]; na += a[i] * a[i]; nb += b[i] * b[i]; }
+  return dot / (Math.sqrt(na) * Math.sqrt(nb) || 1);
+}
+
+/** Embedding length → number of vectors with it */
+function dimensionCounts(vectors) {
+  const counts = new Map();
+  for (const v of vectors) {
+    const n = v.embedding?.length || 0;
+    counts.set(n, (counts.get(n) || 0) + 1);
+  }
+  return counts;
+}
+
+/**
+ * Can `embedder` query this index?
+ *   errors   — refuse to load: newer schema, missing / mixed dimensions, dimensions ≠ meta,
+ *              provider / model mismatch (a warning with INDEX_COMPAT=warn)
+ *   warnings — load, but say so: older schema (scripts/migrate-index.mjs upgrades it)
+ * @returns {{ errors: string[], warnings: string[], schemaVersion: number, embedding: { provider, model, dimensions } }}
+ */
+export function checkIndex(raw, embedder = getEmbedder()) {
+  const errors = [];
+  const warnings = [];
+  const schemaVersion = raw.schema_version ?? 1;
+  const embedding = indexEmbedding(raw);
+  const migrate = 'run "npm run migrate-index"';
+
+  if (schemaVersion > INDEX_SCHEMA_VERSION) {
+    errors.push(`schema_version ${schemaVersion} is newer than this server understands (${INDEX_SCHEMA_VERSION}); deploy the matching code`);
+  } else if (schemaVersion < INDEX_SCHEMA_VERSION) {
+    warnings.push(`schema_version ${schemaVersion} is older than ${INDEX_SCHEMA_VERSION}; ${migrate}`);
+  }
+
+  const dims = dimensionCounts(raw.vectors);
+  if (dims.has(0)) errors.push(`${dims.get(0)} vectors have no embedding`);
+  const lengths = [...dims.keys()].filter(Boolean);
+  if (lengths.length > 1) {
+    errors.push(`vectors have mixed dimensions (${lengths.map((n) => `${dims.get(n)}×${n}`).join(", ")})`);
+  }
+  const recorded = raw.meta?.embedding?.dimensions;
+  if (recorded && lengths.length === 1 && lengths[0] !== recorded) {
+    errors.push(`vectors have ${lengths[0]} dimensions, meta.embedding says ${recorded}`);
+  }
+
+  if (embedder && !embeddedWith(raw, embedder)) {
+    const mismatch = `built with ${embedding.provider}/${embedding.model}, queries embed with ${embedder.provider}/${embedder.model}; ${migrate} or "npm run embed"`;
+    (INDEX_COMPAT === "warn" ? warnings : errors).push(mismatch);
+  }
+  return { errors, warnings, schemaVersion, embedding };
+}
+
+function readIndexFile(filePath) {
+  if (!fs.existsSync(filePath)) throw new Error(`Embeddings not found at ${filePath}. Run "npm run embed" first.`);
+  const raw = readIndex(filePath);
+  if (!raw?.vectors?.length) throw new Error("Embeddings file has no vectors.");
+  return raw;
+}
+
+/** Vectors of a compatible index; throws with checkIndex()'s errors otherwise */
+export function loadVectors(filePath = EMB_PATH, embedder = getEmbedder()) {
+  const raw = readIndexFile(filePath);
+  const { errors } = checkIndex(raw, embedder);
+  if (errors.length) throw new Error(`${filePath}: ${errors.join("; ")}`);
+  return raw.vectors;
+}
+
+/** Stored BM25 index, or one built on the spot for indexes written before it existed */
+function lexicalFor(vectors, stored) {
+  return isLexicalIndexFor(stored, vectors) ? stored : buildLexicalIndex(vectors);
+}
+
+/**
+ * Live state for one vector list: its BM25 index and a searcher over its packed, normalized matrix.
+ * An HNSW graph is built here, before load() / swap() publish the state, so no query waits on it.
+ */
+function indexState(list, nextLexical, packed = null) {
+  packed ??= packVectors(list);
+  // Every embedding becomes a view into the packed matrix, so the vectors are held once
+  list.forEach((v, i) => { v.embedding = rowOf(packed.matrix, packed.dims, i); });
+  const searcher = createSearcher(packed);
+  if (searcher.mode === "hnsw") {
+    const startedAt = Date.now();
+    searcher.build();
+    console.log(`🕸️  Built HNSW graph over ${list.length} vectors in ${Date.now() - startedAt} ms`);
+  }
+  return { vectors: list, lexical: lexicalFor(list, nextLexical), search: searcher.search, mode: searcher.mode };
+}
+
+/**
+ * Holder for the loaded vectors (and their BM25 index and searcher). Readers always go
+ * through the getters, so a reload or swap replaces all three in one assignment; read them
+ * together (`const { vectors, lexical, search } = index`) and an in-flight request keeps a
+ * consistent set.
+ * `embedder` is what load() checks the file against (default: the configured one; null skips the check).
+ */
+export function createVectorIndex(filePath = EMB_PATH, { embedder = getEmbedder() } = {}) {
+  let state = { vectors: [], lexical: null, search: () => [], mode: "exact" };
+
+  const index = {
+    get vectors() { return state.vectors; },
+    /** BM25 index aligned with `vectors` (lib/bm25.js) */
+    get lexical() { return state.lexical; },
+    /** (queryVec, k) → [{ i, score }] nearest rows of `vectors`, best first (lib/vector-search.js) */
+    get search() { return state.search; },
+    /** "exact" | "hnsw" */
+    get mode() { return state.mode; },
+    /** (Re)load from disk; keeps the previous vectors on failure or when the index is incompatible */
+    load() {
+      try {
+        const raw = readIndexFile(filePath);
+        const { errors, warnings } = checkIndex(raw, embedder);
+        for (const w of warnings) console.warn(`⚠️ ${path.basename(filePath)}: ${w}`);
+        if (errors.length) {
+          for (const e of errors) console.error(`❌ ${path.basename(filePath)}: ${e}`);
+          const live = state.vectors.length;
+          console.error(`❌ Refused ${filePath}${live ? `; still serving the previous ${live} vectors` : ""}`);
+          return false;
+        }
+        state = indexState(raw.vectors, raw.lexical, raw.packed);
+        return true;
+      } catch (err) {
+        console.warn("⚠️", err.message);
+        return false;
+      }
+    },
+    /** Atomically replace the live vectors (admin ingestion, no disk round-trip) */
+    swap(next, nextLexical = null) {
+      state = indexState(Array.isArray(next) ? next : [], nextLexical);
+    },
+    /** Reload whenever `npm run embed` rewrites the file (long-running server only) */
+    watch() {
+      // Watch the directory: index writes are write-then-rename, which replaces the file's inode
+      const base = path.basename(filePath);
+      try {
+        fs.watch(path.dirname(filePath), { persistent: false }, (_event, name) => {
+          if (name && name !== base) return;
+          if (index.load()) console.log(`♻️  Reloaded ${state.vectors.length} vectors`);
+        });
+      } catch { /* ignore */ }
+      return index;
+    },
+  };
+  return index;
+}
+
+/** Loaded once per process / cold start; setVectorIndex() swaps in another holder (scripts/check-flows.mjs) */
+export function getVectorIndex() {
+  if (!globalThis.__DUKEJIA_VECTORS__) {
+    const index = createVectorIndex();
+    if (index.load()) console.log(`🗂️  Loaded ${index.vectors.length} vectors (${index.mode} search)`);
+    globalThis.__DUKEJIA_VECTORS__ = index;
+  }
+  return globalThis.__DUKEJIA_VECTORS__;
+}
+
+export function setVectorIndex(index) {
+  globalThis.__DUKEJIA_VECTORS__ = index;
+}
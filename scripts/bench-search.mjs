@@ -0,0 +1,175 @@
+// scripts/bench-search.mjs — Vector search benchmark: index file layout × search method
+//
+//   npm run bench-search                               # synthetic 5,000 × 768 corpus
+//   npm run bench-search -- --n 50000 --skip-load      # bigger corpus, search only
+//   npm run bench-search -- --index data/index.json    # the real index (queries = its chunks + noise)
+//
+// Flags:
+//   --n <rows> --dims <d>      synthetic corpus size (default 5000 × 768, clustered like real chunks)
+//   --index <file>             benchmark a real index instead
+//   --queries <q>              queries per method (default 200)
+//   --k <k>                    neighbours per query (default TOP_K)
+//   --m / --ef-construction / --ef   HNSW parameters (defaults: HNSW_M, HNSW_EF_CONSTRUCTION, HNSW_EF_SEARCH)
+//   --skip-load                skip the file-layout comparison (the inline-JSON copy gets large)
+//
+// Reports
+//   load   — old layout (pretty JSON, embeddings inline) vs JSON sidecar + Float32 vectors file:
+//            size on disk and time to read + parse
+//   search — arrays + cosineSim + full sort (the old path) | Float32 exact top-K heap | HNSW:
+//            build time, p50 / p95 latency, and HNSW recall@k against the exact top-K
+
+/* ===================== Imports ===================== */
+import "dotenv/config";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { performance } from "node:perf_hooks";
+import { ROOT_DIR, TOP_K } from "../lib/config.js";
+import { readIndex, writeIndex, writeJsonFile } from "../lib/ingest.js";
+import { cosineSim } from "../lib/vectors.js";
+import { packVectors, normalize, exactSearch } from "../lib/vector-search.js";
+import { buildHnsw } from "../lib/hnsw.js";
+
+/* ===================== Args ===================== */
+function parseArgs(argv) {
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    const m = argv[i].match(/^--([\w-]+)(?:=(.*))?$/);
+    if (!m) throw new Error(`Unexpected argument "${argv[i]}"`);
+    const next = argv[i + 1];
+    flags[m[1]] = m[2] ?? (next && !next.startsWith("--") ? (i++, next) : true);
+  }
+  return flags;
+}
+
+const flags   = parseArgs(process.argv.slice(2));
+const int     = (v, d) => (v == null || v === true ? d : parseInt(v, 10));
+const N       = int(flags.n, 5000);
+const DIMS    = int(flags.dims, 768);
+const QUERIES = int(flags.queries, 200);
+const K       = int(flags.k, TOP_K);
+const HNSW    = {
+  ...(flags.m ? { m: int(flags.m) } : {}),
+  ...(flags["ef-construction"] ? { efConstruction: int(flags["ef-construction"]) } : {}),
+  ...(flags.ef ? { efSearch: int(flags.ef) } : {}),
+};
+
+/* ===================== Data ===================== */
+/** Deterministic PRNG (mulberry32) and standard normal draws */
+function gaussian(seed = 7) {
+  let a = seed >>> 0;
+  const uniform = () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return (((t ^ (t >>> 14)) >>> 0) + 1) / 4294967297;
+  };
+  return { uniform, normal: () => Math.sqrt(-2 * Math.log(uniform())) * Math.cos(2 * Math.PI * uniform()) };
+}
+
+const rng = gaussian();
+
+/** Rows scattered around √n topic centres, the way chunks of the same document cluster */
+function syntheticVectors(n, dims) {
+  const centres = Array.from({ length: Math.max(4, Math.round(Math.sqrt(n))) }, () => Array.from({ length: dims }, rng.normal));
+  return Array.from({ length: n }, (_, i) => {
+    const c = centres[Math.floor(rng.uniform() * centres.length)];
+    return { chunk_id: `synthetic#${i}`, text_cleaned: "", embedding: c.map((x) => x + 0.8 * rng.normal()) };
+  });
+}
+
+/** Queries near existing rows (a paraphrase of something in the corpus) */
+function makeQueries(vectors, count) {
+  return Array.from({ length: count }, () => {
+    const base = vectors[Math.floor(rng.uniform() * vectors.length)].embedding;
+    return Array.from(base, (x) => x + 0.05 * rng.normal());
+  });
+}
+
+/* ===================== Measure ===================== */
+function timeEach(queries, fn) {
+  const times = [];
+  const results = queries.map((q) => {
+    const t = performance.now();
+    const r = fn(q);
+    times.push(performance.now() - t);
+    return r;
+  });
+  times.sort((a, b) => a - b);
+  const at = (p) => times[Math.min(times.length - 1, Math.floor(p * times.length))];
+  return { results, p50: at(0.5), p95: at(0.95), mean: times.reduce((s, x) => s + x, 0) / times.length };
+}
+
+const ms = (x) => `${x.toFixed(x < 10 ? 3 : 1)} ms`;
+const mb = (bytes) => `${(bytes / 1048576).toFixed(1)} MB`;
+
+function benchLoad(vectors) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "dukejia-bench-"));
+  try {
+    const payload = { model: "bench", meta: {}, vectors };
+    const jsonPath = path.join(dir, "inline.json");
+    const binPath = path.join(dir, "index.json");
+    // The old layout: pretty-printed, embeddings inline
+    writeJsonFile(jsonPath, { ...payload, vectors: vectors.map((v) => ({ ...v, embedding: Array.from(v.embedding) })) });
+    writeIndex(binPath, payload, { format: "binary" });
+    const size = (p) => fs.readdirSync(path.dirname(p)).filter((f) => f.startsWith(path.basename(p, ".json"))).reduce((s, f) => s + fs.statSync(path.join(dir, f)).size, 0);
+
+    const time = (fn) => { const t = performance.now(); fn(); return performance.now() - t; };
+    const inline = time(() => JSON.parse(fs.readFileSync(jsonPath, "utf8")));
+    const binary = time(() => readIndex(binPath));
+    console.log("\n📂 Load (read + parse)");
+    console.log(`   inline JSON (old)        ${mb(size(jsonPath)).padStart(9)}   ${ms(inline).padStart(11)}`);
+    console.log(`   sidecar + Float32 file   ${mb(size(binPath)).padStart(9)}   ${ms(binary).padStart(11)}`);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/* ===================== Runner ===================== */
+async function main() {
+  let vectors;
+  if (flags.index) {
+    const file = path.resolve(ROOT_DIR, String(flags.index));
+    vectors = readIndex(file)?.vectors;
+    if (!vectors?.length) throw new Error(`No vectors in ${file}`);
+    console.log("📦 Index:  ", file);
+  } else {
+    vectors = syntheticVectors(N, DIMS);
+    console.log("🧪 Synthetic corpus (clustered, seeded)");
+  }
+  const { matrix, dims } = packVectors(vectors);
+  console.log(`🧩 Vectors: ${vectors.length} × ${dims}   queries: ${QUERIES}   k: ${K}`);
+
+  if (!flags["skip-load"]) benchLoad(vectors);
+
+  const queries = makeQueries(vectors, QUERIES);
+  const arrays = vectors.map((v) => Array.from(v.embedding));
+
+  const legacy = timeEach(queries, (q) => arrays
+    .map((e, i) => ({ i, score: cosineSim(q, e) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, K));
+  const exact = timeEach(queries, (q) => exactSearch(matrix, dims, normalize(q), K));
+
+  const t = performance.now();
+  const graph = buildHnsw(matrix, dims, HNSW);
+  const buildMs = performance.now() - t;
+  const hnsw = timeEach(queries, (q) => graph.search(normalize(q), K));
+
+  const recall = hnsw.results.reduce((sum, got, qi) => {
+    const truth = new Set(exact.results[qi].map((r) => r.i));
+    return sum + got.filter((r) => truth.has(r.i)).length / Math.max(1, truth.size);
+  }, 0) / queries.length;
+
+  console.log("\n🔎 Search (per query)          p50          p95         mean");
+  for (const [label, r] of [["arrays + full sort (old)", legacy], ["Float32 exact top-K", exact], ["HNSW", hnsw]]) {
+    console.log(`   ${label.padEnd(26)} ${ms(r.p50).padStart(11)}  ${ms(r.p95).padStart(11)}  ${ms(r.mean).padStart(11)}`);
+  }
+  console.log(`\n🕸️  HNSW build ${ms(buildMs)} · recall@${K} vs exact ${(recall * 100).toFixed(1)}%`);
+}
+
+main().catch((err) => {
+  console.error("⚠️ Bench error:", err?.stack || err?.message || err);
+  process.exit(1);
+});
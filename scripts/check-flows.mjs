@@ -0,0 +1,158 @@
+// scripts/check-flows.mjs — Multi-turn conversations replayed through the wizard and the lead flow
+//
+//   npm run check-flows                                # data/eval/flows.json
+//   npm run check-flows -- --flow price --verbose
+//
+// Flags:
+//   --cases <file>     { catalog, knowledge, flows: [{ name, steps: [{ say, expect }] }] } (default data/eval/flows.json)
+//   --flow <text>      only the flows whose name contains <text>
+//   --verbose          list every turn, not just the failures
+//   --json             machine-readable report on stdout
+//
+// Every flow gets a fresh session and runs through answerQuestion() exactly as /api/ask does, against
+// the cases file's own catalog and knowledge chunks with the mock providers: no index, network or API
+// key needed. Leads, turn logs and feedback go to memory stores and notifications to a memory notifier,
+// whatever LEAD_STORE / ANALYTICS_STORE / FEEDBACK_STORE / LEAD_NOTIFIER say.
+//
+// Exits 1 when a turn fails, so it can gate a change to lib/recommend.js, lib/leads.js or lib/core.js.
+
+/* ===================== Imports ===================== */
+import "dotenv/config";
+import path from "node:path";
+import { ROOT_DIR } from "../lib/config.js";
+import { readJsonFile, chunkSource, embedChunks } from "../lib/ingest.js";
+import { createVectorIndex, setVectorIndex } from "../lib/vectors.js";
+import { createCatalogStore, setCatalog } from "../lib/catalog-store.js";
+import { createEmbedder, createLLM, setEmbedder, setLLM } from "../lib/providers/index.js";
+import { createNotifier, setNotifier } from "../lib/notify.js";
+import { LEAD_CAPTURE, getLeadStore } from "../lib/leads.js";
+import { getTurnStore } from "../lib/analytics.js";
+import { answerQuestion } from "../lib/core.js";
+
+/* ===================== Args ===================== */
+function parseArgs(argv) {
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    const m = argv[i].match(/^--([\w-]+)(?:=(.*))?$/);
+    if (!m) throw new Error(`Unexpected argument "${argv[i]}"`);
+    const next = argv[i + 1];
+    flags[m[1]] = m[2] ?? (next && !next.startsWith("--") ? (i++, next) : true);
+  }
+  return flags;
+}
+
+const flags = parseArgs(process.argv.slice(2));
+const resolve = (p) => path.resolve(ROOT_DIR, String(p));
+const CASES = resolve(flags.cases || "data/eval/flows.json");
+const ONLY  = typeof flags.flow === "string" ? flags.flow.toLowerCase() : null;
+const log   = flags.json ? () => {} : console.log;
+
+// Replays must never write a real lead, turn or rating (the stores are created on first use)
+Object.assign(process.env, { LEAD_STORE: "memory", ANALYTICS_STORE: "memory", FEEDBACK_STORE: "memory" });
+
+/* ===================== Setup ===================== */
+/** The cases file's catalog and knowledge chunks, served in place of data/catalog.json and the index */
+async function loadFixtures({ catalog, knowledge = [] }) {
+  const embedder = createEmbedder("mock");
+  setEmbedder(embedder);
+  setLLM(createLLM("mock"));
+  setNotifier(createNotifier("memory"));
+
+  const catalogStore = createCatalogStore(CASES);
+  catalogStore.swap(catalog);
+  setCatalog(catalogStore);
+
+  const bySource = new Map();
+  for (const k of knowledge) {
+    const name = k.source || "knowledge.txt";
+    bySource.set(name, [...(bySource.get(name) || []), { text: k.text }]);
+  }
+  const chunks = [...bySource].flatMap(([name, records]) => chunkSource({ name, kind: "txt", records }, {}));
+  const { vectors } = await embedChunks(chunks, { embedder });
+  const index = createVectorIndex(CASES, { embedder: null });
+  index.swap(vectors);
+  setVectorIndex(index);
+  return { models: catalogStore.models.length, chunks: vectors.length };
+}
+
+/* ===================== Checks ===================== */
+const show = (v) => (v === undefined ? "none" : JSON.stringify(v));
+
+/** Differences from `expected`: objects match on their listed keys only, null means "not set" */
+function mismatches(expected, actual, at) {
+  if (expected === null) return actual == null ? [] : [`${at}: expected none, got ${show(actual)}`];
+  if (typeof expected === "object" && !Array.isArray(expected)) {
+    if (!actual || typeof actual !== "object") return [`${at}: expected ${show(expected)}, got ${show(actual)}`];
+    return Object.entries(expected).flatMap(([key, value]) => mismatches(value, actual[key], `${at}.${key}`));
+  }
+  return JSON.stringify(expected) === JSON.stringify(actual) ? [] : [`${at}: expected ${show(expected)}, got ${show(actual)}`];
+}
+
+async function runFlow(flow, n) {
+  const sessionId = `check-flows-${n}`;
+  const session = { history: [] };
+  const turns = [];
+  for (const [i, step] of flow.steps.entries()) {
+    const { kind, lead, wizard, session: sessionExpect, saved, logged } = step.expect || {};
+    const problems = [];
+    let result = null;
+    try {
+      result = await answerQuestion({ question: step.say, session, options: { sessionId } });
+    } catch (err) {
+      problems.push(`threw: ${err?.message || err}`);
+    }
+    if (result) {
+      if (kind !== undefined) problems.push(...mismatches(kind, result.kind, "kind"));
+      if (lead !== undefined) problems.push(...mismatches(lead, result.lead, "lead"));
+      if (wizard !== undefined) problems.push(...mismatches(wizard, result.wizard, "wizard"));
+      if (sessionExpect !== undefined) problems.push(...mismatches(sessionExpect, session, "session"));
+      if (saved !== undefined) {
+        const leads = (await getLeadStore().all()).filter((l) => l.sessionId === sessionId);
+        problems.push(...mismatches(saved, leads.at(-1), "saved"));
+      }
+      if (logged !== undefined) {
+        const logs = (await getTurnStore().all()).filter((t) => t.sessionId === sessionId);
+        problems.push(...mismatches(logged, logs.at(-1)?.query, "logged"));
+      }
+    }
+    turns.push({ flow: flow.name, step: i + 1, say: step.say, kind: result?.kind ?? null, ok: !problems.length, problems });
+  }
+  return turns;
+}
+
+/* ===================== Main ===================== */
+async function main() {
+  if (!LEAD_CAPTURE) throw new Error("LEAD_CAPTURE=false turns the lead flow off; unset it to check the flows");
+  const cases = readJsonFile(CASES);
+  const flows = (cases?.flows || []).filter((f) => !ONLY || f.name.toLowerCase().includes(ONLY));
+  if (!Array.isArray(cases?.catalog?.models)) throw new Error(`No catalog at ${CASES} (expected { catalog: { models: [...] } })`);
+  if (!flows.length) throw new Error(`No flows at ${CASES}${ONLY ? ` matching "${ONLY}"` : ""} (expected { flows: [{ name, steps }] })`);
+
+  const fixtures = await loadFixtures(cases);
+  const results = [];
+  for (const [n, flow] of flows.entries()) results.push(...(await runFlow(flow, n + 1)));
+  const failed = results.filter((r) => !r.ok);
+
+  if (flags.json) {
+    console.log(JSON.stringify({ cases: CASES, fixtures, flows: flows.length, results }, null, 2));
+  } else {
+    log("📋 Cases:   ", `${CASES} (${flows.length} flows, ${results.length} turns)`);
+    log("📚 Fixtures:", `${fixtures.models} models, ${fixtures.chunks} knowledge chunks (mock providers)`);
+
+    const shown = flags.verbose ? results : failed;
+    log(`\n${flags.verbose ? "🧾 Turns" : "🔎 Failures"} (${shown.length}):`);
+    let current = null;
+    for (const r of shown) {
+      if (r.flow !== current) log(`   ${(current = r.flow)}`);
+      log(`     ${r.ok ? "✓" : "✗"} ${r.step}. ${JSON.stringify(r.say).padEnd(52)} ${r.kind}`);
+      for (const p of r.problems) log(`          ${p}`);
+    }
+    log(`\n📊 ${results.length - failed.length}/${results.length} turns passed`);
+  }
+  if (failed.length) process.exitCode = 1;
+}
+
+main().catch((err) => {
+  console.error("⚠️ Flow check error:", err?.stack || err?.message || err);
+  process.exit(1);
+});
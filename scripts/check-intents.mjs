@@ -0,0 +1,82 @@
+// scripts/check-intents.mjs — Small-talk intents (data/intents.json) against the tricky-utterance set
+//
+//   npm run check-intents                              # bundled intents + data/eval/smalltalk.json
+//   npm run check-intents -- --intents ./my-intents.json --verbose
+//
+// Flags:
+//   --intents <file>   intents config (default INTENTS_PATH / data/intents.json)
+//   --cases <file>     { cases: [{ text, expect: "<intent>" | null }] } (default data/eval/smalltalk.json)
+//   --verbose          list every case, not just the failures
+//   --json             machine-readable report on stdout
+//
+// Exits 1 when a case fails or the config has problems, so it can gate a config change.
+
+/* ===================== Imports ===================== */
+import "dotenv/config";
+import path from "node:path";
+import { INTENTS_PATH, ROOT_DIR } from "../lib/config.js";
+import { readJsonFile } from "../lib/ingest.js";
+import { RESPONSE_MODES } from "../lib/language.js";
+import { compileIntents, matchIntent } from "../lib/smalltalk.js";
+
+/* ===================== Args ===================== */
+function parseArgs(argv) {
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    const m = argv[i].match(/^--([\w-]+)(?:=(.*))?$/);
+    if (!m) throw new Error(`Unexpected argument "${argv[i]}"`);
+    const next = argv[i + 1];
+    flags[m[1]] = m[2] ?? (next && !next.startsWith("--") ? (i++, next) : true);
+  }
+  return flags;
+}
+
+const flags = parseArgs(process.argv.slice(2));
+const resolve = (p) => path.resolve(ROOT_DIR, String(p));
+const INTENTS = flags.intents ? resolve(flags.intents) : INTENTS_PATH;
+const CASES   = resolve(flags.cases || "data/eval/smalltalk.json");
+const log     = flags.json ? () => {} : console.log;
+
+/* ===================== Main ===================== */
+function main() {
+  const config = readJsonFile(INTENTS);
+  if (!Array.isArray(config?.intents)) throw new Error(`No intents at ${INTENTS} (expected { intents: [...] })`);
+  const cases = readJsonFile(CASES)?.cases;
+  if (!Array.isArray(cases) || !cases.length) throw new Error(`No cases at ${CASES} (expected { cases: [{ text, expect }] })`);
+
+  const compiled = compileIntents(config);
+  // Missing languages aren't errors (English is the fallback) but are worth knowing about
+  const untranslated = compiled.intents.flatMap((i) =>
+    RESPONSE_MODES.filter((m) => !i.responses[m]).map((m) => `${i.name} has no ${m} responses`));
+
+  const results = cases.map((c) => {
+    const got = matchIntent(c.text, compiled)?.name ?? null;
+    return { text: c.text, expect: c.expect ?? null, got, ok: got === (c.expect ?? null), why: c.why };
+  });
+  const failed = results.filter((r) => !r.ok);
+
+  if (flags.json) {
+    console.log(JSON.stringify({ intents: INTENTS, cases: CASES, problems: compiled.problems, untranslated, results }, null, 2));
+  } else {
+    log("🗂️  Intents:", `${INTENTS} (${compiled.intents.map((i) => `${i.name}/${i.priority}`).join(", ")})`);
+    log("📋 Cases:  ", `${CASES} (${cases.length})`);
+    for (const p of compiled.problems) log(`   ❌ ${p}`);
+    for (const u of untranslated) log(`   ⚠️ ${u}`);
+
+    const shown = flags.verbose ? results : failed;
+    log(`\n${flags.verbose ? "🧾 Cases" : "🔎 Failures"} (${shown.length}):`);
+    for (const r of shown) {
+      const why = r.why ? `  — ${r.why}` : "";
+      log(`   ${r.ok ? "✓" : "✗"} ${JSON.stringify(r.text).padEnd(44)} expected ${String(r.expect).padEnd(9)} got ${r.got}${why}`);
+    }
+    log(`\n📊 ${results.length - failed.length}/${results.length} passed${compiled.problems.length ? `, ${compiled.problems.length} config problem(s)` : ""}`);
+  }
+  if (failed.length || compiled.problems.length) process.exitCode = 1;
+}
+
+try {
+  main();
+} catch (err) {
+  console.error("⚠️ Intent check error:", err?.stack || err?.message || err);
+  process.exit(1);
+}
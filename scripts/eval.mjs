@@ -0,0 +1,181 @@
+// scripts/eval.mjs — Offline retrieval evaluation against a golden question set
+//
+//   npm run eval                                        # data/index.json, mock embedder, no network
+//   npm run eval -- --compare /tmp/index-800.json       # per-question diff against a second index
+//   npm run eval -- --embedder gemini --llm gemini      # real query embeddings + answers (needs GOOGLE_API_KEY)
+//
+// Flags:
+//   --golden <file>    golden set (default data/eval/golden.json; format in lib/eval.js)
+//   --index <file>     index to evaluate (default OUT_PATH / data/index.json)
+//   --compare <file>   second index; prints metric deltas and every question that changed
+//   --embedder mock|gemini|openai   mock (default) re-embeds the chunks in memory (lib/providers/mock.js);
+//                            gemini / openai embed the queries with EMBEDDING_MODEL against the stored vectors
+//   --llm none|mock|gemini|openai   also generate answers and check the expected facts in them (default none)
+//   --feedback         apply the live thumbs-down weights (lib/feedback.js); off by default
+//   --verbose          list every question, not just misses / changes
+//   --json             machine-readable report on stdout
+//
+// Retrieval knobs come from the environment exactly as in the server:
+//   TOP_K, MIN_OK_SCORE, RETRIEVAL_MODE, RRF_K, QUERY_TRANSLATION — e.g. `MIN_OK_SCORE=0.25 npm run eval`.
+//   QUERY_TRANSLATION=llm needs --llm; without it the glossary translates.
+// To try CHUNK_STRATEGY / CHUNK_SIZE / CHUNK_OVERLAP offline, build a mock-embedded index first:
+//   CHUNK_SIZE=800 EMBEDDING_PROVIDER=mock OUT_PATH=/tmp/index-800.json CATALOG_PATH=/tmp/catalog-800.json npm run embed
+
+/* ===================== Imports ===================== */
+import "dotenv/config";
+import path from "node:path";
+import { EMB_PATH, ROOT_DIR, TOP_K, MIN_OK_SCORE } from "../lib/config.js";
+import { readIndex, indexEmbedding } from "../lib/ingest.js";
+import { createVectorIndex } from "../lib/vectors.js";
+import { isGrounded } from "../lib/retrieval.js";
+import { searchIndex } from "../lib/core.js";
+import { buildPrompt } from "../lib/prompt.js";
+import { detectResponseMode } from "../lib/language.js";
+import { translateQuery } from "../lib/translate.js";
+import { PROVIDERS, createEmbedder, createLLM, getEmbedder, getLLM, setEmbedder, setLLM } from "../lib/providers/index.js";
+import { mockEmbedding } from "../lib/providers/mock.js";
+import { readGolden, scoreQuestion, summarizeRun, diffRuns } from "../lib/eval.js";
+
+/* ===================== Args ===================== */
+function parseArgs(argv) {
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    const m = argv[i].match(/^--([\w-]+)(?:=(.*))?$/);
+    if (!m) throw new Error(`Unexpected argument "${argv[i]}"`);
+    const next = argv[i + 1];
+    flags[m[1]] = m[2] ?? (next && !next.startsWith("--") ? (i++, next) : true);
+  }
+  return flags;
+}
+
+const flags = parseArgs(process.argv.slice(2));
+const resolve = (p) => path.resolve(ROOT_DIR, String(p));
+const GOLDEN   = resolve(flags.golden || "data/eval/golden.json");
+const INDEX_A  = flags.index ? resolve(flags.index) : EMB_PATH;
+const INDEX_B  = flags.compare ? resolve(flags.compare) : null;
+const EMBEDDER = String(flags.embedder || "mock");
+const LLM      = String(flags.llm || "none");
+const KS       = [...new Set([1, 3, TOP_K])].sort((a, b) => a - b);
+const log      = flags.json ? () => {} : console.log;
+
+/* ===================== Index ===================== */
+/** Load an index; with the mock embedder, chunks embedded by another provider are re-embedded in memory */
+function loadIndex(filePath) {
+  const raw = readIndex(filePath);
+  if (!raw?.vectors?.length) throw new Error(`No vectors in ${filePath}. Run "npm run embed" first.`);
+  const built = indexEmbedding(raw);
+  const query = getEmbedder();
+  if (EMBEDDER !== "mock" && built.provider !== query.provider) {
+    throw new Error(`${filePath} was embedded with ${built.provider}/${built.model}; use --embedder ${built.provider === "mock" ? "mock" : `${built.provider} or mock`}`);
+  }
+  if (EMBEDDER !== "mock" && built.model !== query.model) {
+    console.warn(`⚠️ ${path.basename(filePath)} was embedded with ${built.model}, queries use ${query.model}`);
+  }
+  const vectors = EMBEDDER === "mock" && built.provider !== "mock"
+    ? raw.vectors.map((v) => ({ ...v, embedding: mockEmbedding(v.text_cleaned) }))
+    : raw.vectors;
+  const index = createVectorIndex(filePath);
+  index.swap(vectors, raw.lexical);
+  const model = `${built.provider}/${built.model || "unknown model"}`;
+  return { index, meta: { file: filePath, model, vectors: vectors.length, ...raw.meta && { chunkSize: raw.meta.chunk_size, chunkOverlap: raw.meta.chunk_overlap, chunkStrategy: raw.meta.chunk_strategy ?? "fixed" } } };
+}
+
+/* ===================== Run ===================== */
+async function answer(q, top) {
+  const prompt = buildPrompt({ question: q.question, mode: detectResponseMode(q.question), chunks: top });
+  return getLLM().generate(prompt);
+}
+
+async function evaluate(filePath, golden) {
+  const { index, meta } = loadIndex(filePath);
+  const weights = flags.feedback ? undefined : new Map();
+  const results = [];
+  for (const q of golden) {
+    const { query } = await translateQuery(q.question, { llm: LLM !== "none" ? getLLM() : null });
+    const found = await searchIndex(index, query, { topK: TOP_K, weights });
+    const grounded = isGrounded(found, MIN_OK_SCORE);
+    const text = LLM !== "none" ? (grounded ? await answer(q, found.top) : "") : null;
+    results.push(scoreQuestion(q, found, { grounded, answer: text }));
+  }
+  return { meta, summary: summarizeRun(results, KS), results };
+}
+
+/* ===================== Report ===================== */
+const pct = (x) => (x == null ? "—" : `${(x * 100).toFixed(1)}%`);
+const num = (x) => (x == null ? "—" : x.toFixed(3));
+const delta = (a, b) => (a == null || b == null ? "" : `${b - a >= 0 ? "+" : ""}${((b - a) * 100).toFixed(1)}`);
+
+function printSummary(runs) {
+  const [a, b] = runs;
+  const rows = [
+    ...KS.map((k) => [`recall@${k}`, (s) => s.recall[`@${k}`], pct]),
+    ["MRR", (s) => s.mrr, num],
+    ["fallback rate", (s) => s.fallbackRate, pct],
+    ["false grounded (out of scope)", (s) => s.falseGroundedRate, pct],
+    ["facts in context", (s) => s.factRecallContext, pct],
+    ...(LLM !== "none" ? [["facts in answer", (s) => s.factRecallAnswer, pct]] : []),
+  ];
+  for (const [label, get, fmt] of rows) {
+    const va = get(a.summary);
+    const line = `   ${label.padEnd(30)} ${fmt(va).padStart(8)}`;
+    if (!b) { log(line); continue; }
+    const vb = get(b.summary);
+    log(`${line} ${fmt(vb).padStart(8)}   ${delta(va, vb)}`);
+  }
+}
+
+const rankText = (r) => (r == null ? "miss" : `#${r}`);
+
+async function main() {
+  if (!PROVIDERS.includes(EMBEDDER)) throw new Error(`--embedder must be one of: ${PROVIDERS.join(", ")}`);
+  if (LLM !== "none" && !PROVIDERS.includes(LLM)) throw new Error(`--llm must be none or one of: ${PROVIDERS.join(", ")}`);
+  setEmbedder(createEmbedder(EMBEDDER));
+  if (LLM !== "none") setLLM(createLLM(LLM));
+
+  const golden = readGolden(GOLDEN);
+  log("📋 Golden set:   ", `${GOLDEN} (${golden.length} questions)`);
+  log("🧠 Embedder/LLM: ", EMBEDDER, "/", LLM);
+  log("🎯 TOP_K / MIN_OK_SCORE:", TOP_K, "/", MIN_OK_SCORE);
+
+  const runs = [await evaluate(INDEX_A, golden)];
+  if (INDEX_B) runs.push(await evaluate(INDEX_B, golden));
+  for (const [i, run] of runs.entries()) {
+    const m = run.meta;
+    log(`📦 ${i ? "B" : "A"}: ${m.file} — ${m.vectors} chunks, ${m.model}` +
+      (m.chunkSize ? `, ${m.chunkStrategy} chunks ${m.chunkSize}/${m.chunkOverlap}` : ""));
+  }
+
+  if (flags.json) {
+    const report = { golden: GOLDEN, embedder: EMBEDDER, llm: LLM, topK: TOP_K, minScore: MIN_OK_SCORE, runs };
+    if (runs[1]) report.diff = diffRuns(runs[0].results, runs[1].results);
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+
+  log(`\n📊 Metrics${runs[1] ? "                              A        B     Δ pts" : ""}`);
+  printSummary(runs);
+
+  if (runs[1]) {
+    const diff = diffRuns(runs[0].results, runs[1].results);
+    log(`\n🔀 Changed questions (${diff.length}):`);
+    for (const d of diff) {
+      const mark = d.change > 0 ? "✅" : d.change < 0 ? "❌" : "↔️ ";
+      const fb = d.fallback[0] !== d.fallback[1] ? `  fallback ${d.fallback[0]}→${d.fallback[1]}` : "";
+      const answered = d.factsInAnswer ? `  answer facts ${d.factsInAnswer.join("→")}` : "";
+      log(`   ${mark} ${d.id.padEnd(24)} ${rankText(d.rank[0])} → ${rankText(d.rank[1])}${fb}  context facts ${d.factsInContext.join("→")}${answered}  ${d.question}`);
+    }
+    return;
+  }
+
+  const shown = flags.verbose ? runs[0].results : runs[0].results.filter((r) => (r.expectFallback ? !r.fallback : !r.rank || r.rank > 3 || r.fallback));
+  log(`\n${flags.verbose ? "🧾 Questions" : "🔎 Misses (not in top 3, fallback, or out-of-scope answered)"} (${shown.length}):`);
+  for (const r of shown) {
+    const status = r.expectFallback ? (r.fallback ? "fallback ✓" : "answered ✗") : `${rankText(r.rank)}${r.fallback ? " fallback" : ""}`;
+    log(`   ${r.id.padEnd(24)} ${status.padEnd(12)} max ${num(r.maxScore)}  top ${r.top.join(", ")}  ${r.question}`);
+  }
+}
+
+main().catch((err) => {
+  console.error("⚠️ Eval error:", err?.stack || err?.message || err);
+  process.exit(1);
+});
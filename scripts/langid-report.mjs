@@ -0,0 +1,120 @@
+// scripts/langid-report.mjs — Accuracy of the language-ID model (lib/langid.js) on a labeled test set
+//
+//   npm run langid-report                              # bundled train / test samples
+//   npm run langid-report -- --verbose                 # every test message, not just the misses
+//
+// Flags:
+//   --train <file>     training sample, { labels: { english: [..], hinglish: [..], hindi: [..] } } (default LANGID_PATH)
+//   --test <file>      labeled messages, { samples: [{ text, label }] } (default data/langid/test.json)
+//   --verbose          list every message with its scores
+//   --json             machine-readable report on stdout
+//
+// "Routed" accuracy applies LANGID_MIN_CONFIDENCE the way lib/language.js does: unsure calls
+// become English. Keep the test messages out of the training sample.
+
+/* ===================== Imports ===================== */
+import "dotenv/config";
+import path from "node:path";
+import { LANGID_PATH, LANGID_MIN_CONFIDENCE, ROOT_DIR } from "../lib/config.js";
+import { readJsonFile } from "../lib/ingest.js";
+import { trainLanguageModel, identifyLanguage } from "../lib/langid.js";
+
+/* ===================== Args ===================== */
+function parseArgs(argv) {
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    const m = argv[i].match(/^--([\w-]+)(?:=(.*))?$/);
+    if (!m) throw new Error(`Unexpected argument "${argv[i]}"`);
+    const next = argv[i + 1];
+    flags[m[1]] = m[2] ?? (next && !next.startsWith("--") ? (i++, next) : true);
+  }
+  return flags;
+}
+
+const flags = parseArgs(process.argv.slice(2));
+const resolve = (p) => path.resolve(ROOT_DIR, String(p));
+const TRAIN = flags.train ? resolve(flags.train) : LANGID_PATH;
+const TEST  = resolve(flags.test || "data/langid/test.json");
+const log   = flags.json ? () => {} : console.log;
+
+/* ===================== Scoring ===================== */
+const pct = (n, d) => (d ? `${((100 * n) / d).toFixed(1)}%` : "—");
+
+function evaluate(model, samples) {
+  const results = samples.map(({ text, label }) => {
+    const r = identifyLanguage(text, model);
+    const routed = r.label && r.confidence >= LANGID_MIN_CONFIDENCE ? r.label : "english";
+    return { text, expected: label, predicted: r.label, confidence: r.confidence, routed, scores: r.scores };
+  });
+
+  const labels = [...new Set([...model.labels, ...samples.map((s) => s.label)])];
+  const confusion = Object.fromEntries(labels.map((a) => [a, Object.fromEntries(labels.map((b) => [b, 0]))]));
+  for (const r of results) if (r.predicted) confusion[r.expected][r.predicted]++;
+
+  const perLabel = Object.fromEntries(labels.map((l) => {
+    const tp = confusion[l][l];
+    const predicted = labels.reduce((n, e) => n + confusion[e][l], 0);
+    const actual = results.filter((r) => r.expected === l).length;
+    return [l, { support: actual, precision: predicted ? tp / predicted : null, recall: actual ? tp / actual : null }];
+  }));
+
+  return {
+    total: results.length,
+    correct: results.filter((r) => r.predicted === r.expected).length,
+    routedCorrect: results.filter((r) => r.routed === r.expected).length,
+    labels, confusion, perLabel, results,
+  };
+}
+
+/* ===================== Main ===================== */
+function main() {
+  const train = readJsonFile(TRAIN);
+  if (!train?.labels) throw new Error(`No training sample at ${TRAIN} (expected { labels: { <label>: [texts] } })`);
+  const test = readJsonFile(TEST);
+  if (!Array.isArray(test?.samples) || !test.samples.length) throw new Error(`No test samples at ${TEST} (expected { samples: [{ text, label }] })`);
+
+  const model = trainLanguageModel(train.labels);
+  const sizes = model.labels.map((l) => `${l} ${train.labels[l].length}`).join(", ");
+  log("📚 Train:", `${TRAIN} (${sizes}; ${model.vocabulary} n-grams)`);
+  log("📋 Test: ", `${TEST} (${test.samples.length} messages)`);
+
+  const trainTexts = new Set(Object.values(train.labels).flat().map((t) => t.trim().toLowerCase()));
+  const leaked = test.samples.filter((s) => trainTexts.has(s.text.trim().toLowerCase()));
+  if (leaked.length) console.warn(`⚠️ ${leaked.length} test message(s) also in the training sample, e.g. "${leaked[0].text}"`);
+
+  const rep = evaluate(model, test.samples);
+  if (flags.json) {
+    console.log(JSON.stringify({ train: TRAIN, test: TEST, minConfidence: LANGID_MIN_CONFIDENCE, ...rep }, null, 2));
+    return;
+  }
+
+  log(`\n📊 Accuracy: ${rep.correct}/${rep.total} (${pct(rep.correct, rep.total)})`);
+  log(`   Routed (below ${LANGID_MIN_CONFIDENCE} → english): ${rep.routedCorrect}/${rep.total} (${pct(rep.routedCorrect, rep.total)})`);
+
+  log("\n   label        support  precision  recall");
+  for (const [l, m] of Object.entries(rep.perLabel)) {
+    const p = m.precision == null ? "—" : `${(100 * m.precision).toFixed(1)}%`;
+    const r = m.recall == null ? "—" : `${(100 * m.recall).toFixed(1)}%`;
+    log(`   ${l.padEnd(12)} ${String(m.support).padStart(7)}  ${p.padStart(9)}  ${r.padStart(6)}`);
+  }
+
+  log(`\n🔀 Confusion (rows: expected, columns: predicted)`);
+  log(`   ${"".padEnd(12)} ${rep.labels.map((l) => l.padStart(9)).join(" ")}`);
+  for (const a of rep.labels) {
+    log(`   ${a.padEnd(12)} ${rep.labels.map((b) => String(rep.confusion[a][b]).padStart(9)).join(" ")}`);
+  }
+
+  const shown = flags.verbose ? rep.results : rep.results.filter((r) => r.predicted !== r.expected);
+  log(`\n${flags.verbose ? "🧾 Messages" : "🔎 Misses"} (${shown.length}):`);
+  for (const r of shown) {
+    const mark = r.predicted === r.expected ? "✓" : "✗";
+    log(`   ${mark} ${r.expected.padEnd(9)} → ${String(r.predicted).padEnd(9)} ${r.confidence.toFixed(2)}  ${r.text}`);
+  }
+}
+
+try {
+  main();
+} catch (err) {
+  console.error("⚠️ Language-ID report error:", err?.stack || err?.message || err);
+  process.exit(1);
+}
@@ -0,0 +1,125 @@
+// scripts/migrate-index.mjs — Re-embed an existing index under another embedding provider / model
+//
+//   npm run migrate-index                                              # upgrade data/index.json to the current schema (and INDEX_FORMAT)
+//   npm run migrate-index -- --provider openai --model nomic-embed-text # re-embed every chunk with a new model
+//
+// Flags:
+//   --in <file>         index to migrate (default OUT_PATH / data/index.json)
+//   --out <file>        where to write it (default: --in, after copying the original to <in>.bak)
+//   --provider <name>   gemini | openai | mock (default EMBEDDING_PROVIDER)
+//   --model <name>      embedding model (default EMBEDDING_MODEL, or the provider's default)
+//   --dry-run           report what would change; no API calls, nothing written
+//
+// Chunks are not re-read from the PDFs: chunk ids, text, pages and source meta carry over as-is,
+// so feedback (lib/feedback.js) and golden-set anchors keep pointing at the same chunks.
+// Vectors are only reused when provider and model are unchanged (a schema-only upgrade).
+// A running server keeps its old vectors until it embeds with the new model as well:
+// switch EMBEDDING_PROVIDER / EMBEDDING_MODEL, then restart.
+
+/* ===================== Imports ===================== */
+import "dotenv/config";
+import fs from "node:fs";
+import path from "node:path";
+import { EMB_PATH, ROOT_DIR, LLM_PROVIDER, GENERATION_MODEL, EMBEDDING_PROVIDER, EMBEDDING_MODEL } from "../lib/config.js";
+import { readIndex, writeIndex, embedChunks, buildPayload, indexEmbedding, embeddedWith, INDEX_SCHEMA_VERSION } from "../lib/ingest.js";
+import { createEmbedder, providerProblems } from "../lib/providers/index.js";
+import { checkIndex } from "../lib/vectors.js";
+import { chunkId } from "../lib/retrieval.js";
+
+/* ===================== Args ===================== */
+function parseArgs(argv) {
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    const m = argv[i].match(/^--([\w-]+)(?:=(.*))?$/);
+    if (!m) throw new Error(`Unexpected argument "${argv[i]}"`);
+    const next = argv[i + 1];
+    flags[m[1]] = m[2] ?? (next && !next.startsWith("--") ? (i++, next) : true);
+  }
+  return flags;
+}
+
+const flags    = parseArgs(process.argv.slice(2));
+const resolve  = (p) => path.resolve(ROOT_DIR, String(p));
+const IN_PATH  = flags.in ? resolve(flags.in) : EMB_PATH;
+const OUT_PATH = flags.out ? resolve(flags.out) : IN_PATH;
+const PROVIDER = String(flags.provider || EMBEDDING_PROVIDER).toLowerCase();
+const DRY_RUN  = !!flags["dry-run"];
+
+const describe = (e) => `${e.provider}/${e.model}${e.dimensions ? ` (${e.dimensions} dims)` : ""}`;
+
+/* ===================== Runner ===================== */
+async function main() {
+  const problems = providerProblems({ embedding: PROVIDER, llm: null });
+  if (problems.length) throw new Error(problems.join("; "));
+
+  const raw = readIndex(IN_PATH);
+  if (!raw?.vectors?.length) throw new Error(`No vectors in ${IN_PATH}`);
+
+  const embedder = createEmbedder(PROVIDER, flags.model ? { model: String(flags.model) } : {});
+  const from = indexEmbedding(raw);
+  const fromSchema = raw.schema_version ?? 1;
+  const reuse = embeddedWith(raw, embedder);
+
+  console.log("📦 IN:           ", IN_PATH);
+  console.log("📦 OUT:          ", OUT_PATH);
+  console.log("🧠 From:         ", describe(from), `· schema ${fromSchema}`);
+  console.log("🧠 To:           ", `${embedder.provider}/${embedder.model}`, `· schema ${INDEX_SCHEMA_VERSION}`);
+  console.log("🧩 Chunks:       ", raw.vectors.length, reuse ? "(same model: vectors reused)" : "(all re-embedded)");
+
+  if (reuse && fromSchema === INDEX_SCHEMA_VERSION && OUT_PATH === IN_PATH) {
+    console.log("✅ Already up to date, nothing to do.");
+    return;
+  }
+  if (DRY_RUN) {
+    console.log("🔎 Dry run: nothing embedded or written.");
+    return;
+  }
+
+  // Everything but the old vector, hash and dense id carries over; chunk ids are pinned for older indexes
+  const chunks = raw.vectors.map(({ embedding, hash, id, ...chunk }) => ({ ...chunk, chunk_id: chunkId(chunk) }));
+  const { vectors, reused, embedded } = await embedChunks(chunks, {
+    embedder,
+    previous: reuse ? raw.vectors : [],
+    onProgress: (done, total) => console.log(`   → ${done}/${total}`),
+  });
+  console.log(`   ♻️  reused ${reused}, embedded ${embedded}`);
+
+  const generation = raw.meta?.generation || { provider: raw.generation_model ? "gemini" : LLM_PROVIDER, model: raw.generation_model || GENERATION_MODEL };
+  const next = buildPayload({
+    vectors,
+    sources: raw.meta?.sources || [],
+    provider: embedder.provider,
+    model: embedder.model,
+    generationProvider: generation.provider,
+    generationModel: generation.model,
+    chunkSize: raw.meta?.chunk_size,
+    chunkOverlap: raw.meta?.chunk_overlap,
+    chunkStrategy: raw.meta?.chunk_strategy ?? "fixed", // indexes from before CHUNK_STRATEGY were all fixed-size
+  });
+  const payload = {
+    ...next,
+    meta: {
+      ...raw.meta,
+      ...next.meta,
+      migrated_from: { ...from, schema_version: fromSchema, migratedAt: next.createdAt },
+    },
+  };
+
+  const { errors } = checkIndex(payload, embedder);
+  if (errors.length) throw new Error(`Migrated index failed its checks: ${errors.join("; ")}`);
+
+  if (OUT_PATH === IN_PATH) {
+    fs.copyFileSync(IN_PATH, `${IN_PATH}.bak`);
+    console.log("💾 Backup:       ", `${IN_PATH}.bak`);
+  }
+  writeIndex(OUT_PATH, payload);
+  console.log("✅ Saved migrated index to:", OUT_PATH, `(${describe(indexEmbedding(payload))})`);
+  if (embedder.provider !== EMBEDDING_PROVIDER || embedder.model !== EMBEDDING_MODEL) {
+    console.log(`👉 Serve it with EMBEDDING_PROVIDER=${embedder.provider} EMBEDDING_MODEL=${embedder.model}, then restart.`);
+  }
+}
+
+main().catch((err) => {
+  console.error("⚠️ Migrate error:", err?.stack || err?.message || err);
+  process.exit(1);
+});